@@ -1,4 +1,5 @@
 import { Database } from 'arangojs';
+import pool from './database.js';
 
 // Connect to existing ArangoDB instance (flowmaster database)
 const arangoConfig = {
@@ -44,4 +45,232 @@ export function getGraph(name) {
   return db.graph(name);
 }
 
+// ==================================
+// QUERY SAFETY (caller-influenced AQL)
+// ==================================
+
+// Collections and views callers may name or touch through custom AQL
+export const COLLECTION_ALLOWLIST = (process.env.ARANGO_COLLECTION_ALLOWLIST ||
+  'knowledge_patterns,agent_guidance,learning_instructions,mcp_servers,' +
+  'coding_standards,requirements,architecture_patterns,knowledge_search_view,' +
+  'evidence_validates_standard')
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean);
+
+// Named graphs callers may traverse
+export const GRAPH_ALLOWLIST = (process.env.ARANGO_GRAPH_ALLOWLIST || 'knowledge_graph')
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean);
+
+export const QUERY_LIMITS = {
+  maxRuntimeSeconds: parseFloat(process.env.AQL_MAX_RUNTIME_SECONDS || '10'),
+  memoryLimitBytes: parseInt(process.env.AQL_MEMORY_LIMIT_BYTES || String(256 * 1024 * 1024)),
+  maxRows: parseInt(process.env.AQL_MAX_ROWS || '1000')
+};
+
+const WRITE_NODE_TYPES = ['InsertNode', 'UpdateNode', 'ReplaceNode', 'RemoveNode', 'UpsertNode'];
+
+// Graph nodes load vertices by id (a start vertex may name any collection)
+// and edges through collections the plan does not always list. Caller AQL
+// may not use them; the graph endpoints cover traversal of allowed graphs.
+const GRAPH_NODE_TYPES = ['TraversalNode', 'ShortestPathNode', 'KShortestPathsNode', 'EnumeratePathsNode'];
+
+// Functions that reach collections by name or id at runtime, so the plan's
+// collection list does not show what they read (CALL/APPLY can invoke any of them)
+const FORBIDDEN_FUNCTIONS = [
+  'DOCUMENT',
+  'COLLECTIONS',
+  'COLLECTION_COUNT',
+  'SCHEMA_GET',
+  'SCHEMA_VALIDATE',
+  'FULLTEXT',
+  'NEAR',
+  'WITHIN',
+  'WITHIN_RECTANGLE',
+  'CALL',
+  'APPLY',
+  'V8'
+];
+
+// Names of the functions called anywhere in a plan (expressions of every
+// node, including subqueries); user-defined functions are reported as USER::<name>
+function planFunctionCalls(value, calls = new Set()) {
+  if (Array.isArray(value)) {
+    value.forEach(item => planFunctionCalls(item, calls));
+  } else if (value && typeof value === 'object') {
+    if (value.type === 'function call' && typeof value.name === 'string') {
+      calls.add(value.name.toUpperCase());
+    } else if (value.type === 'user function call' && typeof value.name === 'string') {
+      calls.add(`USER::${value.name}`);
+    }
+
+    Object.values(value).forEach(item => planFunctionCalls(item, calls));
+  }
+
+  return calls;
+}
+
+// Raised when a query is refused before execution (status is the HTTP code)
+export class QueryRejectedError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'QueryRejectedError';
+    this.status = status;
+  }
+}
+
+export function isAllowedCollection(name) {
+  return typeof name === 'string' && !name.startsWith('_') && COLLECTION_ALLOWLIST.includes(name);
+}
+
+export function assertAllowedCollection(name) {
+  if (!isAllowedCollection(name)) {
+    throw new QueryRejectedError(`Collection not allowed: ${name}`, 403);
+  }
+  return name;
+}
+
+export function assertAllowedGraph(name) {
+  if (!GRAPH_ALLOWLIST.includes(name)) {
+    throw new QueryRejectedError(`Graph not allowed: ${name}`, 403);
+  }
+  return name;
+}
+
+// What an explained plan would touch. Subquery plans are nested in their
+// SubqueryNode, so nodes are collected recursively.
+export function summarizePlan(plan, warnings = []) {
+  const nodes = [];
+
+  const collect = list => {
+    for (const node of list || []) {
+      nodes.push(node);
+      if (node.subquery) collect(node.subquery.nodes);
+    }
+  };
+
+  collect(plan.nodes);
+
+  return {
+    writes: nodes.filter(node => WRITE_NODE_TYPES.includes(node.type)).map(node => node.type),
+    collections: (plan.collections || []).map(c => c.name),
+    views: nodes.filter(node => node.type === 'EnumerateViewNode').map(node => node.view),
+    graphs: nodes.filter(node => GRAPH_NODE_TYPES.includes(node.type)).map(node => node.type),
+    functions: [...planFunctionCalls(plan.nodes)],
+    warnings
+  };
+}
+
+// Refuse a summarized plan that reaches outside the allowlists
+export function checkPlan(plan, { allowWrites = false } = {}) {
+  const forbidden = [...plan.collections, ...plan.views].filter(name => !isAllowedCollection(name));
+
+  if (forbidden.length > 0) {
+    throw new QueryRejectedError(`Collections not allowed: ${forbidden.join(', ')}`, 403);
+  }
+
+  if (plan.graphs.length > 0) {
+    throw new QueryRejectedError(
+      `Graph traversals not allowed in custom AQL (${[...new Set(plan.graphs)].join(', ')}); use the graph endpoints`,
+      403
+    );
+  }
+
+  const forbiddenCalls = plan.functions.filter(name => name.startsWith('USER::') || FORBIDDEN_FUNCTIONS.includes(name));
+
+  if (forbiddenCalls.length > 0) {
+    throw new QueryRejectedError(`Functions not allowed: ${forbiddenCalls.join(', ')}`, 403);
+  }
+
+  if (plan.writes.length > 0 && !allowWrites) {
+    throw new QueryRejectedError(`Write operations not allowed: ${[...new Set(plan.writes)].join(', ')}`, 403);
+  }
+}
+
+// Explain a query and report what it would touch, without running it
+export async function inspectQuery(aql, bindVars = {}) {
+  let explanation;
+
+  try {
+    explanation = await db.explain(aql, bindVars);
+  } catch (error) {
+    throw new QueryRejectedError(`Invalid AQL: ${error.message}`);
+  }
+
+  return summarizePlan(explanation.plan, explanation.warnings || []);
+}
+
+async function recordQueryAudit(entry) {
+  try {
+    await pool.query(
+      `INSERT INTO aql_query_audit
+       (user_id, aql, bind_vars, write_requested, status, error_message, row_count, truncated, duration_ms)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+      [
+        entry.userId,
+        entry.aql,
+        JSON.stringify(entry.bindVars || {}),
+        entry.allowWrites,
+        entry.status,
+        entry.errorMessage || null,
+        entry.rowCount ?? null,
+        entry.truncated || false,
+        entry.durationMs
+      ]
+    );
+  } catch (error) {
+    console.error('AQL audit write failed:', error.message);
+  }
+}
+
+// Run caller-supplied AQL: explain first, refuse writes unless allowWrites,
+// refuse collections outside the allowlist, graph traversals and functions
+// that read collections the plan does not list, enforce runtime/memory limits,
+// cap the rows returned and record the run in aql_query_audit
+export async function safeQuery(aql, bindVars = {}, { userId = null, allowWrites = false, maxRows = QUERY_LIMITS.maxRows } = {}) {
+  const started = Date.now();
+  const audit = { userId, aql, bindVars, allowWrites };
+
+  try {
+    const plan = await inspectQuery(aql, bindVars);
+    checkPlan(plan, { allowWrites });
+
+    const cursor = await db.query(aql, bindVars, {
+      maxRuntime: QUERY_LIMITS.maxRuntimeSeconds,
+      memoryLimit: QUERY_LIMITS.memoryLimitBytes,
+      timeout: Math.ceil(QUERY_LIMITS.maxRuntimeSeconds * 1000) + 5000,
+      batchSize: Math.min(maxRows + 1, 1000),
+      count: false
+    });
+
+    const rows = [];
+
+    while (cursor.hasNext && rows.length <= maxRows) {
+      rows.push(await cursor.next());
+    }
+
+    const truncated = rows.length > maxRows;
+
+    if (truncated) {
+      rows.length = maxRows;
+      await cursor.kill().catch(() => {});
+    }
+
+    const durationMs = Date.now() - started;
+    await recordQueryAudit({ ...audit, status: 'success', rowCount: rows.length, truncated, durationMs });
+
+    return { rows, truncated, durationMs, plan };
+  } catch (error) {
+    await recordQueryAudit({
+      ...audit,
+      status: error instanceof QueryRejectedError ? 'rejected' : 'error',
+      errorMessage: error.message,
+      durationMs: Date.now() - started
+    });
+    throw error;
+  }
+}
+
 export default db;
@@ -0,0 +1,58 @@
+import crypto from 'crypto';
+import express from 'express';
+import { runHookScriptLocally, SandboxUnavailableError } from './services/hook-runner.js';
+
+// Hook runner service: runs hook test scripts in the bubblewrap sandbox for
+// the API (HOOK_RUNNER_URL). It lives in its own container so that only this
+// process, which holds no database credentials or JWT secret, needs the
+// relaxed seccomp/AppArmor profile that user namespaces require.
+
+const PORT = parseInt(process.env.HOOK_RUNNER_PORT || '8310');
+const TOKEN = process.env.HOOK_RUNNER_TOKEN || '';
+
+if (!TOKEN) {
+  console.error('HOOK_RUNNER_TOKEN is required');
+  process.exit(1);
+}
+
+function hasToken(req) {
+  const header = req.headers.authorization || '';
+  const given = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : '');
+  const expected = Buffer.from(TOKEN);
+
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+const app = express();
+app.use(express.json({ limit: '2mb' }));
+
+app.get('/health', (req, res) => {
+  res.json({ status: 'ok' });
+});
+
+app.post('/run', async (req, res) => {
+  if (!hasToken(req)) {
+    return res.status(401).json({ error: 'Invalid hook runner token' });
+  }
+
+  const { script_content, test_input = {}, context = {} } = req.body;
+
+  if (typeof script_content !== 'string') {
+    return res.status(400).json({ error: 'script_content required' });
+  }
+
+  try {
+    res.json(await runHookScriptLocally(script_content, test_input || {}, context || {}));
+  } catch (error) {
+    if (error instanceof SandboxUnavailableError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Hook run error:', error);
+    res.status(500).json({ error: 'Failed to run hook' });
+  }
+});
+
+app.listen(PORT, () => {
+  console.log(`Hook runner listening on port ${PORT}`);
+});
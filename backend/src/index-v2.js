@@ -1,9 +1,164 @@
 import express from 'express';
 import cors from 'cors';
+import multer from 'multer';
 import bcrypt from 'bcrypt';
 import pool from './config/database.js';
-import db, { testArangoConnection, query as aqlQuery, getCollection } from './config/arango.js';
-import { generateToken, authMiddleware, requireRole } from './middleware/auth.js';
+import db, {
+  testArangoConnection,
+  query as aqlQuery,
+  getCollection,
+  safeQuery,
+  assertAllowedCollection,
+  QueryRejectedError,
+  QUERY_LIMITS
+} from './config/arango.js';
+import {
+  generateToken,
+  authMiddleware,
+  requireRole,
+  requirePermission,
+  ACCESS_TOKEN_TTL
+} from './middleware/auth.js';
+import {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  listSessions
+} from './services/sessions.js';
+import { createApiKey, API_KEY_PERMISSIONS } from './services/api-keys.js';
+import {
+  USER_ROLES,
+  USER_COLUMNS,
+  validatePassword,
+  findOrganizationTeam,
+  findOrganizationUser,
+  createUser,
+  deactivateUser,
+  reactivateUser,
+  manageableTeamIds,
+  createInvitation,
+  revokeInvitation,
+  acceptInvitation
+} from './services/users.js';
+import {
+  EVIDENCE_VISIBILITIES,
+  findAccessibleEvidence,
+  canChangeVisibility,
+  updateEvidenceVisibility,
+  listArtifacts,
+  attachArtifact,
+  addEvidenceRedactions,
+  reverifyEvidence,
+  searchEvidence,
+  getCommitEvidence,
+  getProjectTimeline,
+  requiredCategories
+} from './services/evidence.js';
+import {
+  getArtifactStorage,
+  matchesSignature,
+  ARTIFACT_MAX_BYTES,
+  ARTIFACT_MIME_TYPES
+} from './services/artifact-storage.js';
+import {
+  ENVIRONMENT_TYPES,
+  normalizeRepoUrl,
+  findProjectByRemote,
+  registerEnvironment,
+  findTeamEnvironment
+} from './services/environments.js';
+import { searchKnowledge, ensureSearchView } from './services/knowledge-search.js';
+import {
+  traverse as traverseGraph,
+  related as relatedNodes,
+  shortestPath,
+  attachCitingEvidence
+} from './services/knowledge-graph.js';
+import { verifyEvidence } from './services/verification.js';
+import {
+  redactForTeam,
+  redactTextForTeam,
+  mergeRedactions,
+  RedactionTimeoutError,
+  validateRedactionRule,
+  getTeamRedactionRules,
+  findTeamRedactionRule,
+  createRedactionRule,
+  updateRedactionRule,
+  deleteRedactionRule,
+  scanStoredRows,
+  REDACTION_SCAN_TARGETS,
+  REDACTION_TYPES
+} from './services/redaction.js';
+import {
+  TREND_INTERVALS,
+  TREND_GROUP_BY,
+  getComplianceTrend,
+  rollupRange,
+  daysBetween,
+  toDateString,
+  startComplianceScheduler
+} from './services/compliance-rollup.js';
+import {
+  resolveHookBundle,
+  bundleEtag,
+  getHookVersions,
+  createHookVersion,
+  diffHookVersions,
+  getTeamHook,
+  getHookTestCases,
+  runHookTest,
+  runHookTestSuite,
+  hashContent
+} from './services/hooks.js';
+import { SandboxUnavailableError } from './services/hook-runner.js';
+import {
+  GOVERNANCE_SCHEMA,
+  parseGovernanceConfig,
+  planGovernanceSync,
+  applyGovernanceSync
+} from './services/governance-config.js';
+import {
+  MAX_EXECUTION_BATCH,
+  recordExecutions,
+  getHookEffectiveness
+} from './services/hook-telemetry.js';
+import { publishEvent, publishEvidenceEvents } from './services/events.js';
+import { attachEventStream, EVENT_STREAM_PATH } from './services/event-stream.js';
+import {
+  validateServerInput,
+  findServer,
+  serverForUser,
+  createServer,
+  updateServer,
+  archiveServer,
+  recordHeartbeat,
+  getServerStatusHistory,
+  startMcpSweeper,
+  refreshServerTools,
+  validateToolArguments,
+  testTool
+} from './services/mcp-registry.js';
+import { McpProtocolError } from './services/mcp-client.js';
+import {
+  openConnection,
+  findTeamConnection,
+  touchConnection,
+  closeConnection,
+  getConnectionHistory
+} from './services/mcp-connections.js';
+import { ANALYTICS_INTERVALS, TOOL_EXECUTION_STATUSES, getToolAnalytics } from './services/mcp-analytics.js';
+import {
+  MCP_POLICY_SCOPES,
+  validatePolicyInput,
+  listPolicies,
+  findTeamPolicy,
+  createPolicy,
+  updatePolicy,
+  deletePolicy,
+  evaluateToolPolicy
+} from './services/mcp-policies.js';
 
 const app = express();
 const PORT = process.env.PORT || 8300;
@@ -63,16 +218,28 @@ app.post('/api/auth/login', async (req, res) => {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
+    if (user.is_active === false) {
+      return res.status(403).json({ error: 'Account deactivated' });
+    }
+
     // Update last login
     await pool.query(
       'UPDATE users SET last_login = NOW() WHERE id = $1',
       [user.id]
     );
 
-    const token = generateToken(user);
+    const { session, refreshToken } = await createSession(user, {
+      userAgent: req.headers['user-agent'] || null,
+      ipAddress: req.ip
+    });
+    const token = generateToken(user, session.id);
 
     res.json({
       token,
+      refresh_token: refreshToken,
+      expires_in: ACCESS_TOKEN_TTL,
+      session_id: session.id,
+      session_expires_at: session.expires_at,
       user: {
         id: user.id,
         username: user.username,
@@ -104,385 +271,2682 @@ app.get('/api/auth/me', authMiddleware, (req, res) => {
   });
 });
 
-app.post('/api/auth/logout', authMiddleware, async (req, res) => {
-  // TODO: Invalidate token in Redis if using token blacklist
-  res.json({ message: 'Logged out successfully' });
-});
-
-// ==================================
-// KNOWLEDGE GRAPH (ArangoDB)
-// ==================================
-
-// Get knowledge patterns
-app.get('/api/knowledge/patterns', authMiddleware, async (req, res) => {
+// Exchange a refresh token for a new access token (refresh token is rotated)
+app.post('/api/auth/refresh', async (req, res) => {
   try {
-    const { search, limit = 50, offset = 0 } = req.query;
+    const { refresh_token } = req.body;
 
-    let aql, bindVars;
+    if (!refresh_token) {
+      return res.status(400).json({ error: 'Refresh token required' });
+    }
 
-    if (search) {
-      aql = `
-        FOR pattern IN knowledge_patterns
-        FILTER CONTAINS(LOWER(pattern.name), LOWER(@search)) OR CONTAINS(LOWER(pattern.description), LOWER(@search))
-        LIMIT @limit
-        RETURN pattern
-      `;
-      bindVars = { search, limit: parseInt(limit) };
-    } else {
-      aql = `
-        FOR pattern IN knowledge_patterns
-        LIMIT @limit
-        RETURN pattern
-      `;
-      bindVars = { limit: parseInt(limit) };
+    const rotated = await rotateSession(refresh_token);
+
+    if (!rotated) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
     }
 
-    const results = await aqlQuery(aql, bindVars);
+    const result = await pool.query(
+      'SELECT id, username, email, role, team_id FROM users WHERE id = $1 AND is_active = true',
+      [rotated.session.user_id]
+    );
+
+    if (result.rows.length === 0) {
+      await revokeSession(rotated.session.id);
+      return res.status(401).json({ error: 'User not found or deactivated' });
+    }
 
     res.json({
-      patterns: results,
-      count: results.length
+      token: generateToken(result.rows[0], rotated.session.id),
+      refresh_token: rotated.refreshToken,
+      expires_in: ACCESS_TOKEN_TTL,
+      session_id: rotated.session.id,
+      session_expires_at: rotated.session.expires_at
     });
   } catch (error) {
-    console.error('Knowledge patterns error:', error);
-    res.status(500).json({ error: 'Failed to fetch knowledge patterns' });
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Token refresh failed' });
   }
 });
 
-// Get agent guidance
-app.get('/api/knowledge/guidance', authMiddleware, async (req, res) => {
+app.post('/api/auth/logout', authMiddleware, async (req, res) => {
   try {
-    const results = await aqlQuery(`
-      FOR doc IN agent_guidance
-      LIMIT 100
-      RETURN doc
-    `);
-
-    res.json({ guidance: results, count: results.length });
+    await revokeSession(req.session.id, req.user.id);
+    res.json({ message: 'Logged out successfully' });
   } catch (error) {
-    console.error('Agent guidance error:', error);
-    res.status(500).json({ error: 'Failed to fetch agent guidance' });
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
   }
 });
 
-// Get MCP servers from ArangoDB
-app.get('/api/knowledge/mcp-servers', authMiddleware, async (req, res) => {
+// List sessions (own, or for admins those of a user in their organization)
+app.get('/api/auth/sessions', authMiddleware, async (req, res) => {
   try {
-    const results = await aqlQuery(`
-      FOR server IN mcp_servers
-      RETURN server
-    `);
+    const { user_id = req.user.id, include_inactive } = req.query;
 
-    res.json({ servers: results, count: results.length });
+    if (user_id !== req.user.id) {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Insufficient permissions' });
+      }
+
+      if (!(await findOrganizationUser(user_id, req.user.organization))) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+    }
+
+    const sessions = await listSessions(user_id, { includeInactive: include_inactive === 'true' });
+
+    res.json({
+      sessions: sessions.map(s => ({ ...s, current: s.id === req.session.id })),
+      count: sessions.length
+    });
   } catch (error) {
-    console.error('MCP servers query error:', error);
-    res.status(500).json({ error: 'Failed to fetch MCP servers from graph' });
+    console.error('Sessions list error:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
   }
 });
 
-// Search knowledge graph
-app.post('/api/knowledge/search', authMiddleware, async (req, res) => {
+// Revoke all sessions of a user (own sessions except the current one, or
+// for admins every session of a user in their organization, e.g. when offboarding)
+app.delete('/api/auth/sessions', authMiddleware, async (req, res) => {
   try {
-    const { query: searchQuery, collections = ['knowledge_patterns', 'agent_guidance', 'learning_instructions'] } = req.body;
-
-    if (!searchQuery) {
-      return res.status(400).json({ error: 'Search query required' });
-    }
-
-    const results = {};
+    const { user_id = req.user.id } = req.query;
+    const ownSessions = user_id === req.user.id;
 
-    for (const collectionName of collections) {
-      try {
-        const aql = `
-          FOR doc IN ${collectionName}
-          FILTER CONTAINS(LOWER(TO_STRING(doc)), LOWER(@query))
-          LIMIT 20
-          RETURN doc
-        `;
+    if (!ownSessions) {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Insufficient permissions' });
+      }
 
-        results[collectionName] = await aqlQuery(aql, { query: searchQuery });
-      } catch (err) {
-        console.warn(`Collection ${collectionName} search failed:`, err.message);
-        results[collectionName] = [];
+      if (!(await findOrganizationUser(user_id, req.user.organization))) {
+        return res.status(404).json({ error: 'User not found' });
       }
     }
 
-    res.json({ results, query: searchQuery });
+    const revoked = await revokeUserSessions(user_id, {
+      revokedBy: req.user.id,
+      exceptSessionId: ownSessions ? req.session.id : null
+    });
+
+    res.json({ message: 'Sessions revoked', revoked });
   } catch (error) {
-    console.error('Knowledge search error:', error);
-    res.status(500).json({ error: 'Search failed' });
+    console.error('Sessions revoke error:', error);
+    res.status(500).json({ error: 'Failed to revoke sessions' });
   }
 });
 
-// Execute custom AQL query (admin only)
-app.post('/api/knowledge/query', authMiddleware, requireRole('admin', 'lead'), async (req, res) => {
+// Revoke a single session
+app.delete('/api/auth/sessions/:id', authMiddleware, async (req, res) => {
   try {
-    const { aql, bindVars = {} } = req.body;
+    const { id } = req.params;
 
-    if (!aql) {
-      return res.status(400).json({ error: 'AQL query required' });
-    }
+    const result = await pool.query(
+      'SELECT id, user_id FROM user_sessions WHERE id = $1',
+      [id]
+    );
 
-    const results = await aqlQuery(aql, bindVars);
+    const session = result.rows[0];
 
-    res.json({ results, count: results.length });
-  } catch (error) {
-    console.error('Custom AQL query error:', error);
-    res.status(500).json({ error: 'Query execution failed: ' + error.message });
-  }
-});
+    // Admins may revoke sessions of users in their own organization
+    const allowed = session && (session.user_id === req.user.id ||
+      (req.user.role === 'admin' && await findOrganizationUser(session.user_id, req.user.organization)));
 
-// Get graph visualization data
-app.get('/api/knowledge/graph/:nodeId', authMiddleware, async (req, res) => {
-  try {
-    const { nodeId } = req.params;
-    const { depth = 2 } = req.query;
+    if (!allowed) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
 
-    // Get node and its relationships
-    const aql = `
-      FOR v, e, p IN 1..@depth ANY @startNode GRAPH null
-      OPTIONS {bfs: true, uniqueVertices: 'global'}
-      RETURN {vertex: v, edge: e, path: p}
-    `;
+    const revoked = await revokeSession(id, req.user.id);
 
-    const results = await aqlQuery(aql, {
-      startNode: nodeId,
-      depth: parseInt(depth)
-    });
+    if (!revoked) {
+      return res.status(409).json({ error: 'Session already revoked' });
+    }
 
-    res.json({ graph: results, count: results.length });
+    res.json({ message: 'Session revoked', session_id: id });
   } catch (error) {
-    console.error('Graph query error:', error);
-    res.status(500).json({ error: 'Failed to fetch graph data' });
+    console.error('Session revoke error:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
   }
 });
 
 // ==================================
-// MCP SERVER REGISTRY & MONITORING
+// USERS & TEAMS
 // ==================================
 
-// List MCP servers
-app.get('/api/mcp/servers', authMiddleware, async (req, res) => {
+// List users (admins: their organization; leads: their team)
+app.get('/api/users', authMiddleware, requireRole('admin', 'lead'), async (req, res) => {
   try {
-    const result = await pool.query(`
-      SELECT *
-      FROM mcp_servers_registry
-      ORDER BY name
-    `);
+    const { team_id, include_inactive, q } = req.query;
+    const teamIds = await manageableTeamIds(req.user);
+
+    const conditions = ['u.team_id = ANY($1)'];
+    const params = [teamIds];
+    let paramIndex = 2;
+
+    if (team_id) {
+      conditions.push(`u.team_id = $${paramIndex++}`);
+      params.push(team_id);
+    }
+
+    if (include_inactive !== 'true') {
+      conditions.push('u.is_active = true');
+    }
+
+    if (q) {
+      conditions.push(`(u.username ILIKE $${paramIndex} OR u.email ILIKE $${paramIndex} OR u.full_name ILIKE $${paramIndex})`);
+      params.push(`%${q}%`);
+      paramIndex++;
+    }
 
-    res.json({ servers: result.rows, count: result.rows.length });
+    const result = await pool.query(
+      `SELECT ${USER_COLUMNS}
+       FROM users u
+       LEFT JOIN teams t ON u.team_id = t.id
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY u.username`,
+      params
+    );
+
+    res.json({ users: result.rows, count: result.rows.length });
   } catch (error) {
-    console.error('MCP servers list error:', error);
-    res.status(500).json({ error: 'Failed to fetch MCP servers' });
+    console.error('Users list error:', error);
+    res.status(500).json({ error: 'Failed to fetch users' });
   }
 });
 
-// Get MCP server details with tools
-app.get('/api/mcp/servers/:id', authMiddleware, async (req, res) => {
+// Get user (self, a lead's team member, or anyone in an admin's organization)
+app.get('/api/users/:id', authMiddleware, async (req, res) => {
   try {
     const { id } = req.params;
+    const teamIds = id === req.user.id ? [req.user.team_id] : await manageableTeamIds(req.user);
 
     const result = await pool.query(
-      'SELECT * FROM mcp_servers_registry WHERE id = $1',
-      [id]
+      `SELECT ${USER_COLUMNS}
+       FROM users u
+       LEFT JOIN teams t ON u.team_id = t.id
+       WHERE u.id = $1 AND (u.id = $2 OR u.team_id = ANY($3))`,
+      [id, req.user.id, teamIds]
     );
 
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Server not found' });
+      return res.status(404).json({ error: 'User not found' });
     }
 
-    res.json({ server: result.rows[0] });
+    res.json({ user: result.rows[0] });
   } catch (error) {
-    console.error('MCP server details error:', error);
-    res.status(500).json({ error: 'Failed to fetch server details' });
+    console.error('User details error:', error);
+    res.status(500).json({ error: 'Failed to fetch user' });
   }
 });
 
-// Get active MCP connections
-app.get('/api/mcp/connections', authMiddleware, async (req, res) => {
+// MCP servers a user attached to, and for how long (self, or admins/leads of their team)
+app.get('/api/users/:id/mcp-connections', authMiddleware, async (req, res) => {
   try {
-    const result = await pool.query(`
-      SELECT c.*, s.name as server_name, u.username, u.full_name
-      FROM mcp_connections c
-      JOIN mcp_servers_registry s ON c.server_id = s.id
-      JOIN users u ON c.user_id = u.id
-      WHERE c.status = 'connected'
-      ORDER BY c.connected_at DESC
-    `);
+    const { id } = req.params;
+    const teamIds = id === req.user.id ? [req.user.team_id] : await manageableTeamIds(req.user);
 
-    res.json({ connections: result.rows, count: result.rows.length });
+    const userCheck = await pool.query(
+      'SELECT id, team_id FROM users WHERE id = $1 AND (id = $2 OR team_id = ANY($3))',
+      [id, req.user.id, teamIds]
+    );
+
+    if (userCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { error, filters, limit, offset } = connectionHistoryQuery(req.query);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const history = await getConnectionHistory(
+      teamIds,
+      { ...filters, user_id: id },
+      { groupBy: 'server', limit, offset }
+    );
+
+    res.json({ user_id: id, ...history, count: history.connections.length, limit, offset });
   } catch (error) {
-    console.error('MCP connections error:', error);
-    res.status(500).json({ error: 'Failed to fetch connections' });
+    console.error('User MCP connections error:', error);
+    res.status(500).json({ error: 'Failed to fetch MCP connections' });
   }
 });
 
-// Log MCP tool execution
-app.post('/api/mcp/tool-execution', authMiddleware, async (req, res) => {
+// Create user with an initial password (admin)
+app.post('/api/users', authMiddleware, requireRole('admin'), async (req, res) => {
   try {
-    const { server_id, tool_name, input_params, output_result, execution_time_ms, status, error_message } = req.body;
+    const { username, email, password, full_name, role = 'developer', team_id = req.user.team_id } = req.body;
 
-    const result = await pool.query(
-      `INSERT INTO mcp_tool_executions
-       (server_id, user_id, tool_name, input_params, output_result, execution_time_ms, status, error_message)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-       RETURNING *`,
-      [server_id, req.user.id, tool_name, input_params, output_result, execution_time_ms, status, error_message]
-    );
+    if (!username || !email || !password) {
+      return res.status(400).json({ error: 'username, email and password required' });
+    }
+
+    if (!USER_ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${USER_ROLES.join(', ')}` });
+    }
+
+    const passwordError = validatePassword(password);
 
-    res.json({ execution: result.rows[0] });
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    if (!(await findOrganizationTeam(team_id, req.user.organization))) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    const user = await createUser({ username, email, password, fullName: full_name, role, teamId: team_id });
+
+    res.status(201).json({ user });
   } catch (error) {
-    console.error('Tool execution log error:', error);
-    res.status(500).json({ error: 'Failed to log tool execution' });
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Username or email already in use' });
+    }
+
+    console.error('User creation error:', error);
+    res.status(500).json({ error: 'Failed to create user' });
   }
 });
 
-// Get MCP server statistics
-app.get('/api/mcp/servers/:id/stats', authMiddleware, async (req, res) => {
+// Update user: profile, role, or move to another team (admin)
+app.put('/api/users/:id', authMiddleware, requireRole('admin'), async (req, res) => {
   try {
     const { id } = req.params;
+    const { email, full_name, role, team_id } = req.body;
 
-    const stats = await pool.query(
-      `SELECT
-         COUNT(*) as total_executions,
-         COUNT(DISTINCT user_id) as unique_users,
-         AVG(execution_time_ms) as avg_execution_time,
-         COUNT(CASE WHEN status = 'success' THEN 1 END) as successful,
-         COUNT(CASE WHEN status = 'error' THEN 1 END) as failed
-       FROM mcp_tool_executions
-       WHERE server_id = $1`,
-      [id]
-    );
+    const user = await findOrganizationUser(id, req.user.organization);
 
-    res.json({ stats: stats.rows[0] });
-  } catch (error) {
-    console.error('MCP server stats error:', error);
-    res.status(500).json({ error: 'Failed to fetch server statistics' });
-  }
-});
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
 
-// ==================================
-// HOOKS MANAGEMENT
-// ==================================
+    if (role !== undefined && !USER_ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${USER_ROLES.join(', ')}` });
+    }
+
+    // Keep at least one admin able to undo mistakes
+    if (id === req.user.id && role !== undefined && role !== 'admin') {
+      return res.status(400).json({ error: 'You cannot remove your own admin role' });
+    }
+
+    if (team_id !== undefined && !(await findOrganizationTeam(team_id, req.user.organization))) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
 
-// List hooks (team-scoped)
-app.get('/api/hooks', authMiddleware, async (req, res) => {
-  try {
     const result = await pool.query(
-      `SELECT h.*, u.username as created_by_name
-       FROM hook_configurations_v2 h
-       LEFT JOIN users u ON h.created_by = u.id
-       WHERE h.team_id = $1
-       ORDER BY h.name, h.version DESC`,
-      [req.user.team_id]
+      `UPDATE users
+       SET email = COALESCE($2, email),
+           full_name = COALESCE($3, full_name),
+           role = COALESCE($4, role),
+           team_id = COALESCE($5, team_id),
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING id, username, email, full_name, role, team_id, is_active`,
+      [id, email, full_name, role, team_id]
     );
 
-    res.json({ hooks: result.rows, count: result.rows.length });
+    res.json({ user: result.rows[0], previous: { role: user.role, team_id: user.team_id } });
   } catch (error) {
-    console.error('Hooks list error:', error);
-    res.status(500).json({ error: 'Failed to fetch hooks' });
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Email already in use' });
+    }
+
+    console.error('User update error:', error);
+    res.status(500).json({ error: 'Failed to update user' });
   }
 });
 
-// Get hook details
-app.get('/api/hooks/:id', authMiddleware, async (req, res) => {
+// Deactivate user: sessions are revoked and the account is locked out at once (admin)
+app.delete('/api/users/:id', authMiddleware, requireRole('admin'), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const result = await pool.query(
-      `SELECT h.*, u.username as created_by_name
-       FROM hook_configurations_v2 h
-       LEFT JOIN users u ON h.created_by = u.id
-       WHERE h.id = $1 AND h.team_id = $2`,
-      [id, req.user.team_id]
-    );
+    if (id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot deactivate your own account' });
+    }
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Hook not found' });
+    if (!(await findOrganizationUser(id, req.user.organization))) {
+      return res.status(404).json({ error: 'User not found' });
     }
 
-    res.json({ hook: result.rows[0] });
+    const deactivated = await deactivateUser(id, req.user.id);
+
+    if (!deactivated) {
+      return res.status(409).json({ error: 'User already deactivated' });
+    }
+
+    res.json({ user: deactivated.user, revoked_sessions: deactivated.revokedSessions });
   } catch (error) {
-    console.error('Hook details error:', error);
-    res.status(500).json({ error: 'Failed to fetch hook details' });
+    console.error('User deactivation error:', error);
+    res.status(500).json({ error: 'Failed to deactivate user' });
   }
 });
 
-// Create/update hook
-app.put('/api/hooks/:id', authMiddleware, async (req, res) => {
+// Reactivate a deactivated user (admin)
+app.post('/api/users/:id/reactivate', authMiddleware, requireRole('admin'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { script_content, enabled } = req.body;
 
-    const result = await pool.query(
-      `UPDATE hook_configurations_v2
-       SET script_content = $1, enabled = $2, updated_at = NOW()
-       WHERE id = $3 AND team_id = $4
-       RETURNING *`,
-      [script_content, enabled, id, req.user.team_id]
-    );
+    if (!(await findOrganizationUser(id, req.user.organization))) {
+      return res.status(404).json({ error: 'User not found' });
+    }
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Hook not found' });
+    const user = await reactivateUser(id);
+
+    if (!user) {
+      return res.status(409).json({ error: 'User is already active' });
     }
 
-    res.json({ hook: result.rows[0] });
+    res.json({ user });
   } catch (error) {
-    console.error('Hook update error:', error);
-    res.status(500).json({ error: 'Failed to update hook' });
+    console.error('User reactivation error:', error);
+    res.status(500).json({ error: 'Failed to reactivate user' });
   }
 });
 
-// ==================================
-// V3: PROJECTS & ENVIRONMENTS
-// ==================================
-
-// List projects for user's team
-app.get('/api/projects', authMiddleware, async (req, res) => {
+// List teams (admins: their organization; others: their own team)
+app.get('/api/teams', authMiddleware, async (req, res) => {
   try {
     const result = await pool.query(
-      `SELECT p.*, t.name as team_name
-       FROM projects p
-       LEFT JOIN teams t ON p.team_id = t.id
-       WHERE p.team_id = $1
-       ORDER BY p.created_at DESC`,
-      [req.user.team_id]
+      `SELECT t.*, COUNT(u.id) FILTER (WHERE u.is_active) as member_count
+       FROM teams t
+       LEFT JOIN users u ON u.team_id = t.id
+       WHERE ${req.user.role === 'admin' ? 't.organization IS NOT DISTINCT FROM $1' : 't.id = $1'}
+       GROUP BY t.id
+       ORDER BY t.name`,
+      [req.user.role === 'admin' ? req.user.organization : req.user.team_id]
     );
 
-    res.json({ projects: result.rows, count: result.rows.length });
+    res.json({
+      teams: result.rows.map(team => ({ ...team, member_count: parseInt(team.member_count) })),
+      count: result.rows.length
+    });
   } catch (error) {
-    console.error('Projects list error:', error);
-    res.status(500).json({ error: 'Failed to fetch projects' });
+    console.error('Teams list error:', error);
+    res.status(500).json({ error: 'Failed to fetch teams' });
   }
 });
 
-// Create new project
-app.post('/api/projects', authMiddleware, requireRole('admin'), async (req, res) => {
+// Get team with its members
+app.get('/api/teams/:id', authMiddleware, async (req, res) => {
   try {
-    const { name, description, repo_url, repo_provider, default_branch, settings } = req.body;
+    const { id } = req.params;
 
-    if (!name) {
-      return res.status(400).json({ error: 'Project name required' });
+    const team = req.user.role === 'admin'
+      ? await findOrganizationTeam(id, req.user.organization)
+      : (id === req.user.team_id ? (await pool.query('SELECT * FROM teams WHERE id = $1', [id])).rows[0] : null);
+
+    if (!team) {
+      return res.status(404).json({ error: 'Team not found' });
     }
 
-    const result = await pool.query(
-      `INSERT INTO projects (name, description, repo_url, repo_provider, team_id, default_branch, settings)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)
-       RETURNING *`,
-      [name, description, repo_url, repo_provider, req.user.team_id, default_branch || 'main', settings || {}]
+    const members = await pool.query(
+      `SELECT u.id, u.username, u.email, u.full_name, u.role, u.is_active, u.last_login
+       FROM users u
+       WHERE u.team_id = $1
+       ORDER BY u.is_active DESC, u.username`,
+      [id]
     );
 
-    res.status(201).json({ project: result.rows[0] });
+    res.json({ team, members: members.rows });
   } catch (error) {
-    console.error('Project creation error:', error);
-    res.status(500).json({ error: 'Failed to create project' });
+    console.error('Team details error:', error);
+    res.status(500).json({ error: 'Failed to fetch team' });
   }
 });
 
-// Get project details
-app.get('/api/projects/:id', authMiddleware, async (req, res) => {
+// Create team in the admin's organization
+app.post('/api/teams', authMiddleware, requireRole('admin'), async (req, res) => {
   try {
-    const { id } = req.params;
+    const { name, settings } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Team name required' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO teams (name, organization, settings)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [name, req.user.organization, settings || {}]
+    );
+
+    res.status(201).json({ team: result.rows[0] });
+  } catch (error) {
+    console.error('Team creation error:', error);
+    res.status(500).json({ error: 'Failed to create team' });
+  }
+});
+
+// Update team (admin)
+app.put('/api/teams/:id', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, settings } = req.body;
+
+    if (!(await findOrganizationTeam(id, req.user.organization))) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    const result = await pool.query(
+      `UPDATE teams
+       SET name = COALESCE($2, name), settings = COALESCE($3, settings)
+       WHERE id = $1
+       RETURNING *`,
+      [id, name, settings]
+    );
+
+    res.json({ team: result.rows[0] });
+  } catch (error) {
+    console.error('Team update error:', error);
+    res.status(500).json({ error: 'Failed to update team' });
+  }
+});
+
+// Invite someone (admins: any team of their organization; leads: developers
+// for their own team). The token is returned once, to be sent to the invitee.
+app.post('/api/invitations', authMiddleware, requireRole('admin', 'lead'), async (req, res) => {
+  try {
+    const { email, full_name, role = 'developer', team_id = req.user.team_id } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email required' });
+    }
+
+    if (!USER_ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${USER_ROLES.join(', ')}` });
+    }
+
+    if (req.user.role === 'lead' && role !== 'developer') {
+      return res.status(403).json({ error: 'Leads can only invite developers' });
+    }
+
+    if (!(await manageableTeamIds(req.user)).includes(team_id)) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    const existing = await pool.query('SELECT id FROM users WHERE LOWER(email) = LOWER($1)', [email]);
+
+    if (existing.rows.length > 0) {
+      return res.status(409).json({ error: 'A user with this email already exists' });
+    }
+
+    const { invitation, token } = await createInvitation({
+      email,
+      fullName: full_name,
+      role,
+      teamId: team_id,
+      invitedBy: req.user.id
+    });
+
+    res.status(201).json({
+      invitation,
+      token,
+      warning: 'Store this token now; it cannot be retrieved again'
+    });
+  } catch (error) {
+    console.error('Invitation creation error:', error);
+    res.status(500).json({ error: 'Failed to create invitation' });
+  }
+});
+
+// List invitations for the teams the caller administers
+app.get('/api/invitations', authMiddleware, requireRole('admin', 'lead'), async (req, res) => {
+  try {
+    const { status } = req.query;
+    const teamIds = await manageableTeamIds(req.user);
+
+    const statusFilters = {
+      pending: 'AND i.accepted_at IS NULL AND i.revoked_at IS NULL AND i.expires_at > NOW()',
+      accepted: 'AND i.accepted_at IS NOT NULL',
+      revoked: 'AND i.revoked_at IS NOT NULL',
+      expired: 'AND i.accepted_at IS NULL AND i.revoked_at IS NULL AND i.expires_at <= NOW()'
+    };
+
+    const result = await pool.query(
+      `SELECT i.id, i.email, i.full_name, i.role, i.team_id, t.name as team_name,
+              i.invited_by, u.username as invited_by_name, i.expires_at,
+              i.accepted_at, i.accepted_user_id, i.revoked_at, i.created_at
+       FROM user_invitations i
+       LEFT JOIN teams t ON i.team_id = t.id
+       LEFT JOIN users u ON i.invited_by = u.id
+       WHERE i.team_id = ANY($1) ${statusFilters[status] || ''}
+       ORDER BY i.created_at DESC`,
+      [teamIds]
+    );
+
+    res.json({ invitations: result.rows, count: result.rows.length });
+  } catch (error) {
+    console.error('Invitations list error:', error);
+    res.status(500).json({ error: 'Failed to fetch invitations' });
+  }
+});
+
+// Revoke a pending invitation
+app.delete('/api/invitations/:id', authMiddleware, requireRole('admin', 'lead'), async (req, res) => {
+  try {
+    const revoked = await revokeInvitation(req.params.id, await manageableTeamIds(req.user));
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'Pending invitation not found' });
+    }
+
+    res.json({ message: 'Invitation revoked', invitation_id: revoked.id });
+  } catch (error) {
+    console.error('Invitation revoke error:', error);
+    res.status(500).json({ error: 'Failed to revoke invitation' });
+  }
+});
+
+// Redeem an invitation: the invitee picks a username and password and is logged in
+app.post('/api/invitations/accept', async (req, res) => {
+  try {
+    const { token, username, password, full_name } = req.body;
+
+    if (!token || !username || !password) {
+      return res.status(400).json({ error: 'token, username and password required' });
+    }
+
+    const passwordError = validatePassword(password);
+
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    const user = await acceptInvitation(token, { username, password, fullName: full_name });
+
+    if (!user) {
+      return res.status(404).json({ error: 'Invitation is invalid, expired or already used' });
+    }
+
+    const { session, refreshToken } = await createSession(user, {
+      userAgent: req.headers['user-agent'] || null,
+      ipAddress: req.ip
+    });
+
+    res.status(201).json({
+      token: generateToken(user, session.id),
+      refresh_token: refreshToken,
+      expires_in: ACCESS_TOKEN_TTL,
+      session_id: session.id,
+      session_expires_at: session.expires_at,
+      user
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Username or email already in use' });
+    }
+
+    console.error('Invitation accept error:', error);
+    res.status(500).json({ error: 'Failed to accept invitation' });
+  }
+});
+
+// ==================================
+// API KEYS (machine credentials)
+// ==================================
+
+// Create API key (plaintext key is returned once)
+app.post('/api/api-keys', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const {
+      name,
+      team_id = req.user.team_id,
+      project_id = null,
+      environment_id = null,
+      permissions = [],
+      expires_at = null
+    } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'API key name required' });
+    }
+
+    if (!Array.isArray(permissions) || permissions.length === 0) {
+      return res.status(400).json({ error: 'At least one permission required', allowed: API_KEY_PERMISSIONS });
+    }
+
+    const unknown = permissions.filter(p => !API_KEY_PERMISSIONS.includes(p));
+
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown permissions: ${unknown.join(', ')}`, allowed: API_KEY_PERMISSIONS });
+    }
+
+    if (!(await findOrganizationTeam(team_id, req.user.organization))) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    if (project_id) {
+      const projectCheck = await pool.query(
+        'SELECT id FROM projects WHERE id = $1 AND team_id = $2',
+        [project_id, team_id]
+      );
+
+      if (projectCheck.rows.length === 0) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+    }
+
+    if (environment_id) {
+      const envCheck = await pool.query(
+        `SELECT e.id FROM environments e
+         JOIN projects p ON e.project_id = p.id
+         WHERE e.id = $1 AND p.team_id = $2 AND ($3::uuid IS NULL OR e.project_id = $3)`,
+        [environment_id, team_id, project_id]
+      );
+
+      if (envCheck.rows.length === 0) {
+        return res.status(404).json({ error: 'Environment not found' });
+      }
+    }
+
+    const { apiKey, key } = await createApiKey({
+      name,
+      teamId: team_id,
+      projectId: project_id,
+      environmentId: environment_id,
+      permissions,
+      expiresAt: expires_at,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({ api_key: apiKey, key });
+  } catch (error) {
+    console.error('API key creation error:', error);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+// List API keys (never includes key material)
+app.get('/api/api-keys', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const { team_id = req.user.team_id, include_revoked } = req.query;
+
+    if (!(await findOrganizationTeam(team_id, req.user.organization))) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    const result = await pool.query(
+      `SELECT k.id, k.name, k.key_prefix, k.team_id, k.project_id, k.environment_id,
+              k.permissions, k.expires_at, k.last_used_at, k.last_used_ip,
+              k.created_at, k.revoked_at, u.username as created_by_name, p.name as project_name
+       FROM api_keys k
+       LEFT JOIN users u ON k.created_by = u.id
+       LEFT JOIN projects p ON k.project_id = p.id
+       WHERE k.team_id = $1 AND ($2 OR k.revoked_at IS NULL)
+       ORDER BY k.created_at DESC`,
+      [team_id, include_revoked === 'true']
+    );
+
+    res.json({ api_keys: result.rows, count: result.rows.length });
+  } catch (error) {
+    console.error('API keys list error:', error);
+    res.status(500).json({ error: 'Failed to fetch API keys' });
+  }
+});
+
+// Revoke API key (keys of teams in the admin's organization)
+app.delete('/api/api-keys/:id', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const teamIds = await manageableTeamIds(req.user);
+
+    const result = await pool.query(
+      `UPDATE api_keys SET revoked_at = NOW()
+       WHERE id = $1 AND team_id = ANY($2) AND revoked_at IS NULL
+       RETURNING id, name, key_prefix, revoked_at`,
+      [req.params.id, teamIds]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    res.json({ api_key: result.rows[0] });
+  } catch (error) {
+    console.error('API key revoke error:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+// ==================================
+// KNOWLEDGE GRAPH (ArangoDB)
+// ==================================
+
+// Get knowledge patterns
+app.get('/api/knowledge/patterns', authMiddleware, async (req, res) => {
+  try {
+    const { search, limit = 50, offset = 0 } = req.query;
+
+    let aql, bindVars;
+
+    if (search) {
+      aql = `
+        FOR pattern IN knowledge_patterns
+        FILTER CONTAINS(LOWER(pattern.name), LOWER(@search)) OR CONTAINS(LOWER(pattern.description), LOWER(@search))
+        LIMIT @limit
+        RETURN pattern
+      `;
+      bindVars = { search, limit: parseInt(limit) };
+    } else {
+      aql = `
+        FOR pattern IN knowledge_patterns
+        LIMIT @limit
+        RETURN pattern
+      `;
+      bindVars = { limit: parseInt(limit) };
+    }
+
+    const results = await aqlQuery(aql, bindVars);
+
+    res.json({
+      patterns: results,
+      count: results.length
+    });
+  } catch (error) {
+    console.error('Knowledge patterns error:', error);
+    res.status(500).json({ error: 'Failed to fetch knowledge patterns' });
+  }
+});
+
+// Get agent guidance
+app.get('/api/knowledge/guidance', authMiddleware, async (req, res) => {
+  try {
+    const results = await aqlQuery(`
+      FOR doc IN agent_guidance
+      LIMIT 100
+      RETURN doc
+    `);
+
+    res.json({ guidance: results, count: results.length });
+  } catch (error) {
+    console.error('Agent guidance error:', error);
+    res.status(500).json({ error: 'Failed to fetch agent guidance' });
+  }
+});
+
+// Get MCP servers from ArangoDB
+app.get('/api/knowledge/mcp-servers', authMiddleware, async (req, res) => {
+  try {
+    const results = await aqlQuery(`
+      FOR server IN mcp_servers
+      RETURN server
+    `);
+
+    res.json({ servers: results, count: results.length });
+  } catch (error) {
+    console.error('MCP servers query error:', error);
+    res.status(500).json({ error: 'Failed to fetch MCP servers from graph' });
+  }
+});
+
+// Ranked knowledge search across Postgres and ArangoDB (GET query string or POST body)
+async function handleKnowledgeSearch(params, res) {
+  try {
+    const q = params.q || params.query;
+    const toList = value => (Array.isArray(value) ? value : String(value).split(',')).map(v => v.trim()).filter(Boolean);
+
+    if (!q || !String(q).trim()) {
+      return res.status(400).json({ error: 'Search query required' });
+    }
+
+    const limit = Math.min(parseInt(params.limit) || 20, 100);
+    const offset = Math.max(parseInt(params.offset) || 0, 0);
+    const collections = params.collections ? toList(params.collections).map(assertAllowedCollection) : undefined;
+
+    const search = await searchKnowledge(String(q), {
+      category: params.category,
+      tags: params.tags ? toList(params.tags) : [],
+      sources: params.sources ? toList(params.sources) : undefined,
+      collections,
+      limit,
+      offset
+    });
+
+    res.json({ ...search, query: q, limit, offset });
+  } catch (error) {
+    if (error instanceof QueryRejectedError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Knowledge search error:', error);
+    res.status(500).json({ error: 'Search failed' });
+  }
+}
+
+app.get('/api/knowledge/search', authMiddleware, (req, res) => handleKnowledgeSearch(req.query, res));
+app.post('/api/knowledge/search', authMiddleware, (req, res) => handleKnowledgeSearch(req.body, res));
+
+// Execute custom AQL query (admins and leads; read-only unless an admin opts in)
+app.post('/api/knowledge/query', authMiddleware, requireRole('admin', 'lead'), async (req, res) => {
+  try {
+    const { aql, bindVars = {}, allow_writes = false, max_rows } = req.body;
+
+    if (!aql) {
+      return res.status(400).json({ error: 'AQL query required' });
+    }
+
+    if (allow_writes && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Only admins can run write queries' });
+    }
+
+    const { rows, truncated, durationMs } = await safeQuery(aql, bindVars, {
+      userId: req.user.id,
+      allowWrites: allow_writes === true,
+      maxRows: Math.min(parseInt(max_rows) || QUERY_LIMITS.maxRows, QUERY_LIMITS.maxRows)
+    });
+
+    res.json({ results: rows, count: rows.length, truncated, duration_ms: durationMs });
+  } catch (error) {
+    if (error instanceof QueryRejectedError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Custom AQL query error:', error);
+    res.status(500).json({ error: 'Query execution failed: ' + error.message });
+  }
+});
+
+// Custom AQL audit log (admin only)
+app.get('/api/knowledge/query/audit', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const { user_id, status, limit = 100, offset = 0 } = req.query;
+
+    const conditions = [];
+    const params = [];
+    let paramIndex = 1;
+
+    if (user_id) {
+      conditions.push(`a.user_id = $${paramIndex++}`);
+      params.push(user_id);
+    }
+
+    if (status) {
+      conditions.push(`a.status = $${paramIndex++}`);
+      params.push(status);
+    }
+
+    const whereClause = conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : '';
+
+    const result = await pool.query(
+      `SELECT a.*, u.username
+       FROM aql_query_audit a
+       LEFT JOIN users u ON a.user_id = u.id
+       ${whereClause}
+       ORDER BY a.created_at DESC
+       LIMIT $${paramIndex++} OFFSET $${paramIndex}`,
+      [...params, parseInt(limit), parseInt(offset)]
+    );
+
+    res.json({ queries: result.rows, count: result.rows.length });
+  } catch (error) {
+    console.error('AQL audit list error:', error);
+    res.status(500).json({ error: 'Failed to fetch query audit log' });
+  }
+});
+
+// Node ids are "collection/key": accept them URL-encoded or as two path segments
+const graphNodeId = params => params.nodeId || `${params.collection}/${params.key}`;
+
+// Traversal options shared by the graph endpoints (query string)
+function graphOptions(query) {
+  const toList = value => (Array.isArray(value) ? value : String(value).split(',')).map(v => v.trim()).filter(Boolean);
+
+  return {
+    graph: query.graph,
+    edgeCollections: query.edges ? toList(query.edges) : undefined,
+    direction: query.direction || 'any',
+    edgeTypes: query.edge_types ? toList(query.edge_types) : []
+  };
+}
+
+function handleGraphError(error, res, label) {
+  if (error instanceof QueryRejectedError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({ error: 'Failed to fetch graph data' });
+}
+
+// Graph visualization data: { nodes, edges } within `depth` hops of a node
+app.get(['/api/knowledge/graph/:nodeId', '/api/knowledge/graph/:collection/:key'], authMiddleware, async (req, res) => {
+  try {
+    let graph = await traverseGraph(graphNodeId(req.params), {
+      ...graphOptions(req.query),
+      depth: req.query.depth || 2
+    });
+
+    if (req.query.include_evidence === 'true') {
+      graph = await attachCitingEvidence(graph, req.user);
+    }
+
+    res.json({ ...graph, node_count: graph.nodes.length, edge_count: graph.edges.length });
+  } catch (error) {
+    handleGraphError(error, res, 'Graph query');
+  }
+});
+
+// Direct neighbours of a node
+app.get(['/api/graph/related/:nodeId', '/api/graph/related/:collection/:key'], authMiddleware, async (req, res) => {
+  try {
+    let graph = await relatedNodes(graphNodeId(req.params), {
+      ...graphOptions(req.query),
+      limit: req.query.limit
+    });
+
+    if (req.query.include_evidence === 'true') {
+      graph = await attachCitingEvidence(graph, req.user);
+    }
+
+    res.json({ ...graph, node_count: graph.nodes.length, edge_count: graph.edges.length });
+  } catch (error) {
+    handleGraphError(error, res, 'Related nodes');
+  }
+});
+
+// Shortest path between two nodes (?from=collection/key&to=collection/key)
+app.get('/api/graph/shortest-path', authMiddleware, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    if (!from || !to) {
+      return res.status(400).json({ error: 'from and to node ids required' });
+    }
+
+    const path = await shortestPath(from, to, graphOptions(req.query));
+    res.json(path);
+  } catch (error) {
+    handleGraphError(error, res, 'Shortest path');
+  }
+});
+
+// ==================================
+// MCP SERVER REGISTRY & MONITORING
+// ==================================
+
+// List MCP servers (archived ones only with ?include_archived=true)
+app.get('/api/mcp/servers', authMiddleware, async (req, res) => {
+  try {
+    const includeArchived = req.query.include_archived === 'true';
+
+    const result = await pool.query(`
+      SELECT *
+      FROM mcp_servers_registry
+      ${includeArchived ? '' : 'WHERE archived_at IS NULL'}
+      ORDER BY name
+    `);
+
+    res.json({
+      servers: result.rows.map(server => serverForUser(server, req.user)),
+      count: result.rows.length
+    });
+  } catch (error) {
+    console.error('MCP servers list error:', error);
+    res.status(500).json({ error: 'Failed to fetch MCP servers' });
+  }
+});
+
+// Get MCP server details with tools
+app.get('/api/mcp/servers/:id', authMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query(
+      'SELECT * FROM mcp_servers_registry WHERE id = $1',
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Server not found' });
+    }
+
+    res.json({ server: serverForUser(result.rows[0], req.user) });
+  } catch (error) {
+    console.error('MCP server details error:', error);
+    res.status(500).json({ error: 'Failed to fetch server details' });
+  }
+});
+
+// Register an MCP server (admin)
+app.post('/api/mcp/servers', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const { error, fields } = validateServerInput(req.body);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const server = await createServer(fields, req.user.id);
+
+    res.status(201).json({ server });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Server name already exists' });
+    }
+
+    console.error('MCP server registration error:', error);
+    res.status(500).json({ error: 'Failed to register server' });
+  }
+});
+
+// Update an MCP server definition (admin)
+app.put('/api/mcp/servers/:id', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const { error, fields } = validateServerInput(req.body, { partial: true });
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const server = await updateServer(req.params.id, fields);
+
+    if (!server) {
+      return res.status(404).json({ error: 'Server not found' });
+    }
+
+    res.json({ server });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Server name already exists' });
+    }
+
+    console.error('MCP server update error:', error);
+    res.status(500).json({ error: 'Failed to update server' });
+  }
+});
+
+// Remove an MCP server from the registry (admin). Connection and execution
+// history is kept; open connections are closed.
+app.delete('/api/mcp/servers/:id', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const result = await archiveServer(req.params.id, req.user.id);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Server not found' });
+    }
+
+    res.json({ message: 'Server removed', server: result.server, closed_connections: result.closedConnections });
+  } catch (error) {
+    console.error('MCP server removal error:', error);
+    res.status(500).json({ error: 'Failed to remove server' });
+  }
+});
+
+// Liveness report from a client running the server
+app.post('/api/mcp/servers/:id/heartbeat', authMiddleware, requirePermission('mcp:report'), async (req, res) => {
+  try {
+    const { status = 'active', error = null } = req.body;
+
+    if (!['active', 'error'].includes(status)) {
+      return res.status(400).json({ error: "status must be 'active' or 'error'" });
+    }
+
+    const server = await findServer(req.params.id);
+
+    if (!server) {
+      return res.status(404).json({ error: 'Server not found' });
+    }
+
+    // Error messages can quote credentials (connection strings, tokens)
+    const { record: redacted } = await redactForTeam(
+      req.user.team_id,
+      { error: error ? String(error).slice(0, 2000) : null },
+      ['error']
+    );
+
+    const result = await recordHeartbeat(server, {
+      status,
+      error: redacted.error,
+      userId: req.user.id
+    });
+
+    if (!result) {
+      return res.status(404).json({ error: 'Server not found' });
+    }
+
+    res.json({
+      status: result.server.status,
+      last_heartbeat: result.server.last_heartbeat,
+      status_changed: result.changed,
+      heartbeat_interval_seconds: result.server.heartbeat_interval_seconds
+    });
+  } catch (error) {
+    if (error instanceof RedactionTimeoutError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('MCP heartbeat error:', error);
+    res.status(500).json({ error: 'Failed to record heartbeat' });
+  }
+});
+
+// Status transitions and daily uptime for the MCP Server Monitor
+app.get('/api/mcp/servers/:id/status-history', authMiddleware, async (req, res) => {
+  try {
+    const days = parseInt(req.query.days || '7');
+
+    if (isNaN(days) || days < 1 || days > 90) {
+      return res.status(400).json({ error: 'days must be between 1 and 90' });
+    }
+
+    const server = await findServer(req.params.id, { includeArchived: true });
+
+    if (!server) {
+      return res.status(404).json({ error: 'Server not found' });
+    }
+
+    const history = await getServerStatusHistory(server.id, { days });
+
+    res.json({ server_id: server.id, status: server.status, last_heartbeat: server.last_heartbeat, ...history });
+  } catch (error) {
+    console.error('MCP status history error:', error);
+    res.status(500).json({ error: 'Failed to fetch status history' });
+  }
+});
+
+function handleMcpError(error, res, label, message) {
+  if (error instanceof McpProtocolError || error instanceof RedactionTimeoutError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({ error: message });
+}
+
+// Cached tool list of a server; ?refresh=true (admin) re-runs tools/list
+app.get('/api/mcp/servers/:id/tools', authMiddleware, async (req, res) => {
+  try {
+    const server = await findServer(req.params.id);
+
+    if (!server) {
+      return res.status(404).json({ error: 'Server not found' });
+    }
+
+    let cached = {
+      tools_discovered: server.tools_discovered,
+      tools_discovered_at: server.tools_discovered_at,
+      server_info: server.server_info
+    };
+
+    if (req.query.refresh === 'true') {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Only admins can refresh tool discovery' });
+      }
+
+      cached = await refreshServerTools(server);
+    }
+
+    const tools = cached.tools_discovered || [];
+
+    res.json({
+      server_id: server.id,
+      tools,
+      count: tools.length,
+      discovered_at: cached.tools_discovered_at,
+      server_info: cached.server_info
+    });
+  } catch (error) {
+    handleMcpError(error, res, 'MCP tool discovery', 'Failed to fetch tools');
+  }
+});
+
+// Invoke a tool with schema-checked arguments (admin); the run is recorded
+app.post('/api/mcp/servers/:id/test-tool', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const { tool_name, arguments: args = {} } = req.body;
+
+    if (!tool_name || typeof tool_name !== 'string') {
+      return res.status(400).json({ error: 'tool_name required' });
+    }
+
+    const server = await findServer(req.params.id);
+
+    if (!server) {
+      return res.status(404).json({ error: 'Server not found' });
+    }
+
+    let tools = server.tools_discovered || [];
+
+    // Discover on first use, or when the tool may be new
+    if (!tools.some(tool => tool.name === tool_name)) {
+      tools = (await refreshServerTools(server)).tools_discovered || [];
+    }
+
+    const tool = tools.find(t => t.name === tool_name);
+
+    if (!tool) {
+      return res.status(404).json({ error: 'Tool not found', available: tools.map(t => t.name) });
+    }
+
+    const errors = validateToolArguments(tool, args);
+
+    if (errors.length > 0) {
+      return res.status(422).json({ error: 'Invalid tool arguments', errors, input_schema: tool.input_schema });
+    }
+
+    const { execution, result } = await testTool(server, tool, args, req.user);
+
+    res.json({
+      execution_id: execution.id,
+      status: execution.status,
+      execution_time_ms: execution.execution_time_ms,
+      error_message: execution.error_message,
+      result
+    });
+  } catch (error) {
+    handleMcpError(error, res, 'MCP test tool', 'Failed to test tool');
+  }
+});
+
+// Get active MCP connections (team-scoped)
+app.get('/api/mcp/connections', authMiddleware, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT c.*, s.name as server_name, u.username, u.full_name
+       FROM mcp_connections c
+       JOIN mcp_servers_registry s ON c.server_id = s.id
+       LEFT JOIN users u ON c.user_id = u.id
+       WHERE c.status = 'connected' AND c.team_id = $1
+       ORDER BY c.connected_at DESC`,
+      [req.user.team_id]
+    );
+
+    res.json({ connections: result.rows, count: result.rows.length });
+  } catch (error) {
+    console.error('MCP connections error:', error);
+    res.status(500).json({ error: 'Failed to fetch connections' });
+  }
+});
+
+// Project/environment an MCP report applies to. API keys bound to a
+// project/environment can only report for it; an environment implies its
+// project. Returns { status, error } or { project_id, environment_id, environment }.
+async function resolveMcpScope(req, project_id = null, environment_id = null) {
+  let environment = null;
+
+  if (req.apiKey) {
+    if ((req.apiKey.project_id && project_id && project_id !== req.apiKey.project_id) ||
+        (req.apiKey.environment_id && environment_id && environment_id !== req.apiKey.environment_id)) {
+      return { status: 403, error: 'API key is not valid for this project or environment' };
+    }
+
+    project_id = req.apiKey.project_id || project_id;
+    environment_id = req.apiKey.environment_id || environment_id;
+  }
+
+  if (project_id) {
+    const projectCheck = await pool.query(
+      'SELECT archived_at FROM projects WHERE id = $1 AND team_id = $2',
+      [project_id, req.user.team_id]
+    );
+
+    if (projectCheck.rows.length === 0) {
+      return { status: 404, error: 'Project not found' };
+    }
+
+    if (projectCheck.rows[0].archived_at) {
+      return { status: 409, error: 'Project is archived' };
+    }
+  }
+
+  if (environment_id) {
+    environment = await findTeamEnvironment(environment_id, req.user.team_id);
+
+    if (!environment) {
+      return { status: 404, error: 'Environment not found' };
+    }
+
+    if (project_id && environment.project_id !== project_id) {
+      return { status: 400, error: 'Environment does not belong to project' };
+    }
+
+    project_id = environment.project_id;
+  }
+
+  return { project_id, environment_id, environment };
+}
+
+// A Claude session attached to an MCP server. connection_id is the client's
+// own session id; repeating a connect with it returns the open connection.
+app.post('/api/mcp/connections', authMiddleware, requirePermission('mcp:report'), async (req, res) => {
+  try {
+    const { server_id, connection_id, metadata = null } = req.body;
+    let { project_id = null, environment_id = null } = req.body;
+
+    if (!server_id) {
+      return res.status(400).json({ error: 'server_id required' });
+    }
+
+    if (connection_id !== undefined && (typeof connection_id !== 'string' || !connection_id || connection_id.length > 255)) {
+      return res.status(400).json({ error: 'connection_id must be a string of at most 255 characters' });
+    }
+
+    const server = await findServer(server_id);
+
+    if (!server) {
+      return res.status(404).json({ error: 'Server not found' });
+    }
+
+    const scope = await resolveMcpScope(req, project_id, environment_id);
+
+    if (scope.error) {
+      return res.status(scope.status).json({ error: scope.error });
+    }
+
+    ({ project_id, environment_id } = scope);
+
+    // Service keys may attribute the session to a member of their team
+    let userId = req.user.id;
+
+    if (req.apiKey) {
+      userId = req.body.user_id || null;
+
+      if (userId) {
+        const member = await pool.query(
+          'SELECT id FROM users WHERE id = $1 AND team_id = $2',
+          [userId, req.user.team_id]
+        );
+
+        if (member.rows.length === 0) {
+          return res.status(404).json({ error: 'User not found' });
+        }
+      }
+    }
+
+    const { record: redacted } = await redactForTeam(req.user.team_id, { metadata }, ['metadata']);
+
+    const { connection, created } = await openConnection(server, {
+      user: req.user,
+      apiKey: req.apiKey || null,
+      userId,
+      projectId: project_id,
+      environmentId: environment_id,
+      connectionId: connection_id,
+      metadata: redacted.metadata
+    });
+
+    // A reused connection_id must name the same session: same user and server
+    if (!connection) {
+      return res.status(409).json({ error: 'connection_id is already in use' });
+    }
+
+    res.status(created ? 201 : 200).json({ connection, created });
+  } catch (error) {
+    if (error instanceof RedactionTimeoutError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('MCP connect error:', error);
+    res.status(500).json({ error: 'Failed to record connection' });
+  }
+});
+
+// The caller may act on a connection it opened: its user, a team API key
+// (for its project), or an admin/lead of the team
+function canManageConnection(connection, req) {
+  if (req.apiKey) {
+    return !req.apiKey.project_id || req.apiKey.project_id === connection.project_id;
+  }
+
+  return connection.user_id === req.user.id || ['admin', 'lead'].includes(req.user.role);
+}
+
+// Keep-alive for a session that is still attached (resets the idle timeout)
+app.post('/api/mcp/connections/:id/activity', authMiddleware, requirePermission('mcp:report'), async (req, res) => {
+  try {
+    const connection = await findTeamConnection(req.params.id, req.user.team_id);
+
+    if (!connection || !canManageConnection(connection, req)) {
+      return res.status(404).json({ error: 'Connection not found' });
+    }
+
+    const touched = connection.status === 'connected' ? await touchConnection(connection.id) : null;
+
+    if (!touched) {
+      return res.status(409).json({ error: 'Connection is closed', close_reason: connection.close_reason });
+    }
+
+    res.json({ connection_id: connection.id, last_activity_at: touched.last_activity_at });
+  } catch (error) {
+    console.error('MCP connection activity error:', error);
+    res.status(500).json({ error: 'Failed to record activity' });
+  }
+});
+
+// A Claude session detached from an MCP server
+app.post('/api/mcp/connections/:id/disconnect', authMiddleware, requirePermission('mcp:report'), async (req, res) => {
+  try {
+    const connection = await findTeamConnection(req.params.id, req.user.team_id);
+
+    if (!connection || !canManageConnection(connection, req)) {
+      return res.status(404).json({ error: 'Connection not found' });
+    }
+
+    if (connection.status !== 'connected') {
+      return res.json({ connection, already_closed: true });
+    }
+
+    const closed = await closeConnection(connection.id, 'client_disconnect');
+
+    res.json({ connection: closed || connection, already_closed: !closed });
+  } catch (error) {
+    console.error('MCP disconnect error:', error);
+    res.status(500).json({ error: 'Failed to record disconnect' });
+  }
+});
+
+// Error for the first of `names` in `query` that is set but not a UUID, or null
+function uuidParamError(query, names) {
+  const name = names.find(name => query[name] && !/^[0-9a-f]{8}-([0-9a-f]{4}-){3}[0-9a-f]{12}$/i.test(query[name]));
+  return name ? `${name} must be a UUID` : null;
+}
+
+// Validate connection history query params; returns { error } or { filters, limit, offset }
+function connectionHistoryQuery(query) {
+  const uuidError = uuidParamError(query, ['user_id', 'server_id', 'project_id', 'environment_id']);
+
+  if (uuidError) {
+    return { error: uuidError };
+  }
+
+  for (const name of ['from', 'to']) {
+    if (query[name] && isNaN(Date.parse(query[name]))) {
+      return { error: `${name} must be a date` };
+    }
+  }
+
+  return {
+    filters: {
+      user_id: query.user_id,
+      server_id: query.server_id,
+      project_id: query.project_id,
+      environment_id: query.environment_id,
+      status: query.status,
+      from: query.from,
+      to: query.to
+    },
+    limit: Math.min(parseInt(query.limit) || 100, 500),
+    offset: Math.max(parseInt(query.offset) || 0, 0)
+  };
+}
+
+// Team connection history with usage per server (?group_by=user for per user)
+app.get('/api/mcp/connections/history', authMiddleware, async (req, res) => {
+  try {
+    const { error, filters, limit, offset } = connectionHistoryQuery(req.query);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const groupBy = req.query.group_by === 'user' ? 'user' : 'server';
+
+    const history = await getConnectionHistory([req.user.team_id], filters, { groupBy, limit, offset });
+
+    res.json({ ...history, group_by: groupBy, count: history.connections.length, limit, offset });
+  } catch (error) {
+    console.error('MCP connection history error:', error);
+    res.status(500).json({ error: 'Failed to fetch connection history' });
+  }
+});
+
+// Who used a server, and for how long
+app.get('/api/mcp/servers/:id/connections', authMiddleware, async (req, res) => {
+  try {
+    const server = await findServer(req.params.id, { includeArchived: true });
+
+    if (!server) {
+      return res.status(404).json({ error: 'Server not found' });
+    }
+
+    const { error, filters, limit, offset } = connectionHistoryQuery(req.query);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const history = await getConnectionHistory(
+      [req.user.team_id],
+      { ...filters, server_id: server.id },
+      { groupBy: 'user', limit, offset }
+    );
+
+    res.json({ server_id: server.id, ...history, count: history.connections.length, limit, offset });
+  } catch (error) {
+    console.error('MCP server connections error:', error);
+    res.status(500).json({ error: 'Failed to fetch server connections' });
+  }
+});
+
+// Server, scope and user of a tool call reported by a client. Calls within a
+// reported session (connection_id) inherit its server, scope and user.
+// Returns { status, error } or the call context.
+async function resolveToolCall(req) {
+  const { connection_id, tool_name } = req.body;
+  let { server_id, project_id = null, environment_id = null } = req.body;
+  let userId = req.user.id;
+  let connection = null;
+  let environment = null;
+
+  if (connection_id) {
+    connection = await findTeamConnection(String(connection_id), req.user.team_id);
+
+    if (!connection) {
+      return { status: 404, error: 'Connection not found' };
+    }
+
+    if (!canManageConnection(connection, req)) {
+      return { status: 403, error: 'Not allowed to report for this connection' };
+    }
+
+    if (server_id && server_id !== connection.server_id) {
+      return { status: 400, error: 'Connection belongs to another server' };
+    }
+
+    server_id = connection.server_id;
+    project_id = connection.project_id;
+    environment_id = connection.environment_id;
+    userId = connection.user_id;
+
+    if (environment_id) {
+      environment = await findTeamEnvironment(environment_id, req.user.team_id);
+    }
+  } else {
+    const scope = await resolveMcpScope(req, project_id, environment_id);
+
+    if (scope.error) {
+      return scope;
+    }
+
+    ({ project_id, environment_id, environment } = scope);
+  }
+
+  if (!server_id || !tool_name) {
+    return { status: 400, error: 'server_id and tool_name required' };
+  }
+
+  const server = await findServer(server_id, { includeArchived: true });
+
+  if (!server) {
+    return { status: 404, error: 'Server not found' };
+  }
+
+  return { server, connection, userId, project_id, environment_id, environment, tool_name };
+}
+
+// Store a reported tool call; inputs, output and error are redacted first
+async function insertToolExecution(call, req, fields) {
+  const { record: redacted, redactions } = await redactForTeam(
+    req.user.team_id,
+    fields,
+    ['input_params', 'output_result', 'error_message']
+  );
+
+  const result = await pool.query(
+    `INSERT INTO mcp_tool_executions
+     (server_id, user_id, team_id, project_id, environment_id, connection_id,
+      tool_name, input_params, output_result, execution_time_ms, status, error_message,
+      policy_id, policy_decision, redactions, redacted_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+     RETURNING *`,
+    [
+      call.server.id,
+      call.userId,
+      req.user.team_id,
+      call.project_id,
+      call.environment_id,
+      call.connection ? call.connection.id : null,
+      call.tool_name,
+      redacted.input_params,
+      redacted.output_result,
+      fields.execution_time_ms,
+      fields.status,
+      redacted.error_message,
+      fields.policy_id,
+      fields.policy_decision,
+      redactions ? JSON.stringify(redactions) : null,
+      redactions ? new Date() : null
+    ]
+  );
+
+  return result.rows[0];
+}
+
+// MCP tool policies visible to the team (global, team and project rules)
+app.get('/api/mcp/policies', authMiddleware, async (req, res) => {
+  try {
+    const { scope, project_id } = req.query;
+
+    if (scope && !MCP_POLICY_SCOPES.includes(scope)) {
+      return res.status(400).json({ error: 'Invalid scope' });
+    }
+
+    const policies = await listPolicies(req.user.team_id, { scope, projectId: project_id });
+
+    res.json({ policies });
+  } catch (error) {
+    console.error('MCP policies fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch MCP policies' });
+  }
+});
+
+// Global rules are admin-only; team and project rules belong to their team
+function canEditPolicy(policy, user) {
+  return policy.scope === 'global' ? user.role === 'admin' : policy.team_id === user.team_id;
+}
+
+app.post('/api/mcp/policies', authMiddleware, requireRole('admin', 'lead'), async (req, res) => {
+  try {
+    const { scope = 'team', project_id = null } = req.body;
+
+    if (!MCP_POLICY_SCOPES.includes(scope)) {
+      return res.status(400).json({ error: 'Invalid scope' });
+    }
+
+    if (scope === 'global' && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Only admins can create global policies' });
+    }
+
+    const { error, fields } = validatePolicyInput(req.body);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (scope === 'project') {
+      if (!project_id) {
+        return res.status(400).json({ error: 'project_id required for project-scoped policies' });
+      }
+
+      const projectCheck = await pool.query(
+        'SELECT id FROM projects WHERE id = $1 AND team_id = $2',
+        [project_id, req.user.team_id]
+      );
+
+      if (projectCheck.rows.length === 0) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+    }
+
+    const policy = await createPolicy(fields, {
+      scope,
+      teamId: req.user.team_id,
+      projectId: project_id,
+      userId: req.user.id
+    });
+
+    res.status(201).json({ policy });
+  } catch (error) {
+    console.error('MCP policy creation error:', error);
+    res.status(500).json({ error: 'Failed to create MCP policy' });
+  }
+});
+
+// Scope and project are fixed; everything else can change
+app.put('/api/mcp/policies/:id', authMiddleware, requireRole('admin', 'lead'), async (req, res) => {
+  try {
+    const existing = await findTeamPolicy(req.params.id, req.user.team_id);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Policy not found' });
+    }
+
+    if (!canEditPolicy(existing, req.user)) {
+      return res.status(403).json({ error: 'Not allowed to change this policy' });
+    }
+
+    const { error, fields } = validatePolicyInput(req.body, { partial: true });
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const policy = await updatePolicy(existing.id, fields);
+
+    res.json({ policy });
+  } catch (error) {
+    console.error('MCP policy update error:', error);
+    res.status(500).json({ error: 'Failed to update MCP policy' });
+  }
+});
+
+// Logged executions keep their decision; their policy_id is cleared
+app.delete('/api/mcp/policies/:id', authMiddleware, requireRole('admin', 'lead'), async (req, res) => {
+  try {
+    const existing = await findTeamPolicy(req.params.id, req.user.team_id);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Policy not found' });
+    }
+
+    if (!canEditPolicy(existing, req.user)) {
+      return res.status(403).json({ error: 'Not allowed to delete this policy' });
+    }
+
+    await deletePolicy(existing.id);
+
+    res.json({ message: 'Policy deleted' });
+  } catch (error) {
+    console.error('MCP policy deletion error:', error);
+    res.status(500).json({ error: 'Failed to delete MCP policy' });
+  }
+});
+
+// Ask whether a tool may run before calling it. Returns the decision
+// ('allow', 'deny', 'require_approval') and the rule that made it; denied
+// calls are logged as executions with status 'denied'. For require_approval
+// the client asks the user and reports the answer with the execution.
+app.post('/api/mcp/policies/evaluate', authMiddleware, requirePermission('mcp:report'), async (req, res) => {
+  try {
+    const call = await resolveToolCall(req);
+
+    if (call.error) {
+      return res.status(call.status).json({ error: call.error });
+    }
+
+    const { decision, rule } = await evaluateToolPolicy({
+      teamId: req.user.team_id,
+      projectId: call.project_id,
+      environment: call.environment,
+      server: call.server,
+      toolName: call.tool_name
+    });
+
+    let execution = null;
+
+    if (decision === 'deny') {
+      execution = await insertToolExecution(call, req, {
+        input_params: req.body.input_params,
+        status: 'denied',
+        error_message: rule.reason || 'Denied by MCP tool policy',
+        policy_id: rule.id,
+        policy_decision: 'deny'
+      });
+
+      publishEvent('mcp.tool_denied', {
+        teamId: req.user.team_id,
+        projectId: call.project_id,
+        environmentId: call.environment_id,
+        userId: call.userId,
+        data: {
+          execution_id: execution.id,
+          server_id: call.server.id,
+          server_name: call.server.name,
+          tool_name: call.tool_name,
+          policy_id: rule.id,
+          reason: rule.reason
+        }
+      });
+    }
+
+    res.json({
+      decision,
+      rule,
+      server_id: call.server.id,
+      project_id: call.project_id,
+      environment_id: call.environment_id,
+      execution_id: execution ? execution.id : null
+    });
+  } catch (error) {
+    if (error instanceof RedactionTimeoutError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('MCP policy evaluation error:', error);
+    res.status(500).json({ error: 'Failed to evaluate MCP tool policy' });
+  }
+});
+
+// Log MCP tool execution. The policy decision is recorded with it: a call the
+// policy denies is always stored as 'denied', and for tools that require
+// approval, `approval` ('approved' or 'rejected') is the user's answer and
+// must be given; a rejected call is stored as 'denied'.
+app.post('/api/mcp/tool-execution', authMiddleware, requirePermission('mcp:report'), async (req, res) => {
+  try {
+    const { input_params, output_result, execution_time_ms, error_message, approval } = req.body;
+    let { status } = req.body;
+
+    if (status !== undefined && !TOOL_EXECUTION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${TOOL_EXECUTION_STATUSES.join(', ')}` });
+    }
+
+    if (approval !== undefined && !['approved', 'rejected'].includes(approval)) {
+      return res.status(400).json({ error: "approval must be 'approved' or 'rejected'" });
+    }
+
+    const call = await resolveToolCall(req);
+
+    if (call.error) {
+      return res.status(call.status).json({ error: call.error });
+    }
+
+    const { decision, rule } = await evaluateToolPolicy({
+      teamId: req.user.team_id,
+      projectId: call.project_id,
+      environment: call.environment,
+      server: call.server,
+      toolName: call.tool_name
+    });
+
+    let policyDecision = decision;
+
+    if (decision === 'deny') {
+      status = 'denied';
+    }
+
+    if (decision === 'require_approval') {
+      if (!approval) {
+        return res.status(400).json({ error: 'This tool requires approval; report the approval answer with the execution' });
+      }
+
+      policyDecision = approval;
+
+      if (approval === 'rejected') {
+        status = 'denied';
+      }
+    }
+
+    const execution = await insertToolExecution(call, req, {
+      input_params,
+      output_result,
+      execution_time_ms,
+      status,
+      error_message,
+      policy_id: rule ? rule.id : null,
+      policy_decision: policyDecision
+    });
+
+    if (call.connection && call.connection.status === 'connected') {
+      await touchConnection(call.connection.id);
+    }
+
+    if (status === 'error' || status === 'timeout') {
+      publishEvent('mcp.tool_error', {
+        teamId: req.user.team_id,
+        projectId: call.project_id,
+        environmentId: call.environment_id,
+        userId: call.userId,
+        data: {
+          execution_id: execution.id,
+          server_id: call.server.id,
+          tool_name: call.tool_name,
+          status,
+          error_message: execution.error_message,
+          execution_time_ms
+        }
+      });
+    }
+
+    res.json({ execution, policy: { decision, rule } });
+  } catch (error) {
+    if (error instanceof RedactionTimeoutError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Tool execution log error:', error);
+    res.status(500).json({ error: 'Failed to log tool execution' });
+  }
+});
+
+// Validate analytics query params; returns { error } or { filters, interval }
+function toolAnalyticsQuery(query) {
+  const interval = query.interval || 'day';
+
+  if (!ANALYTICS_INTERVALS.includes(interval)) {
+    return { error: `interval must be one of: ${ANALYTICS_INTERVALS.join(', ')}` };
+  }
+
+  const uuidError = uuidParamError(query, ['server_id', 'project_id', 'environment_id', 'user_id']);
+
+  if (uuidError) {
+    return { error: uuidError };
+  }
+
+  for (const name of ['from', 'to']) {
+    if (query[name] && isNaN(Date.parse(query[name]))) {
+      return { error: `${name} must be a date` };
+    }
+  }
+
+  return {
+    interval,
+    filters: {
+      tool_name: query.tool_name,
+      server_id: query.server_id,
+      project_id: query.project_id,
+      environment_id: query.environment_id,
+      user_id: query.user_id,
+      from: query.from,
+      to: query.to,
+      include_tests: query.include_tests === 'true'
+    }
+  };
+}
+
+// Tool usage of one server: totals (the original aggregate row plus latency
+// percentiles), a time series, per-tool breakdown and error categories.
+// Filters: tool_name, project_id, environment_id, user_id, from, to, interval
+app.get('/api/mcp/servers/:id/stats', authMiddleware, async (req, res) => {
+  try {
+    const { error, filters, interval } = toolAnalyticsQuery(req.query);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const server = await findServer(req.params.id, { includeArchived: true });
+
+    if (!server) {
+      return res.status(404).json({ error: 'Server not found' });
+    }
+
+    const analytics = await getToolAnalytics(req.user.team_id, { ...filters, server_id: server.id }, { interval });
+
+    res.json({
+      server_id: server.id,
+      ...analytics,
+      stats: { ...analytics.stats, total_executions: analytics.stats.executions }
+    });
+  } catch (error) {
+    console.error('MCP server stats error:', error);
+    res.status(500).json({ error: 'Failed to fetch server statistics' });
+  }
+});
+
+// Team-wide tool usage across servers (same filters, plus server_id)
+app.get('/api/mcp/analytics', authMiddleware, async (req, res) => {
+  try {
+    const { error, filters, interval } = toolAnalyticsQuery(req.query);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const analytics = await getToolAnalytics(req.user.team_id, filters, { interval });
+
+    res.json(analytics);
+  } catch (error) {
+    console.error('MCP analytics error:', error);
+    res.status(500).json({ error: 'Failed to fetch MCP analytics' });
+  }
+});
+
+// ==================================
+// HOOKS MANAGEMENT
+// ==================================
+
+// List hooks (team-scoped)
+app.get('/api/hooks', authMiddleware, requirePermission('hooks:read'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT h.*, u.username as created_by_name
+       FROM hook_configurations_v2 h
+       LEFT JOIN users u ON h.created_by = u.id
+       WHERE h.team_id = $1
+       ORDER BY h.name, h.version DESC`,
+      [req.user.team_id]
+    );
+
+    res.json({ hooks: result.rows, count: result.rows.length });
+  } catch (error) {
+    console.error('Hooks list error:', error);
+    res.status(500).json({ error: 'Failed to fetch hooks' });
+  }
+});
+
+// Resolved hook bundle for hook clients (project > team > global)
+app.get('/api/hooks/bundle', authMiddleware, requirePermission('hooks:read'), async (req, res) => {
+  try {
+    let { project_id, environment_id } = req.query;
+    let environment = null;
+
+    // Keys bound to a project/environment only see that context
+    if (req.apiKey) {
+      project_id = req.apiKey.project_id || project_id;
+      environment_id = req.apiKey.environment_id || environment_id;
+    }
+
+    if (environment_id) {
+      const envResult = await pool.query(
+        `SELECT e.id, e.name, e.type, e.project_id
+         FROM environments e
+         JOIN projects p ON e.project_id = p.id
+         WHERE e.id = $1 AND p.team_id = $2`,
+        [environment_id, req.user.team_id]
+      );
+
+      if (envResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Environment not found' });
+      }
+
+      environment = envResult.rows[0];
+
+      if (project_id && project_id !== environment.project_id) {
+        return res.status(400).json({ error: 'Environment does not belong to project' });
+      }
+
+      project_id = environment.project_id;
+    }
+
+    let hooksEnabled = true;
+
+    if (project_id) {
+      const projectCheck = await pool.query(
+        'SELECT id, settings FROM projects WHERE id = $1 AND team_id = $2',
+        [project_id, req.user.team_id]
+      );
+
+      if (projectCheck.rows.length === 0) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      // hooks.enabled: false in .governance.yml switches every hook off
+      hooksEnabled = projectCheck.rows[0].settings?.hooks?.enabled !== false;
+    }
+
+    const hooks = hooksEnabled
+      ? await resolveHookBundle({ teamId: req.user.team_id, projectId: project_id || null })
+      : [];
+    const etag = bundleEtag(hooks);
+
+    res.set('ETag', etag);
+    res.set('Cache-Control', 'private, no-cache');
+
+    // req.fresh compares If-None-Match against the ETag set above
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    res.json({
+      hooks,
+      count: hooks.length,
+      project_id: project_id || null,
+      environment,
+      etag
+    });
+  } catch (error) {
+    console.error('Hook bundle error:', error);
+    res.status(500).json({ error: 'Failed to resolve hook bundle' });
+  }
+});
+
+// Get hook details
+app.get('/api/hooks/:id', authMiddleware, requirePermission('hooks:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query(
+      `SELECT h.*, u.username as created_by_name
+       FROM hook_configurations_v2 h
+       LEFT JOIN users u ON h.created_by = u.id
+       WHERE h.id = $1 AND h.team_id = $2`,
+      [id, req.user.team_id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Hook not found' });
+    }
+
+    res.json({ hook: result.rows[0] });
+  } catch (error) {
+    console.error('Hook details error:', error);
+    res.status(500).json({ error: 'Failed to fetch hook details' });
+  }
+});
+
+function publishHookUpdated(hook, user, action) {
+  return publishEvent('hook.updated', {
+    teamId: hook.team_id,
+    projectId: hook.project_id,
+    userId: user.id,
+    data: {
+      hook_id: hook.id,
+      name: hook.name,
+      scope: hook.scope || 'team',
+      version: hook.version,
+      enabled: hook.enabled,
+      action
+    }
+  });
+}
+
+// Create hook (version 1 of a new lineage; admins and leads)
+app.post('/api/hooks', authMiddleware, requireRole('admin', 'lead'), async (req, res) => {
+  try {
+    const {
+      name,
+      category,
+      hook_type,
+      script_content,
+      enabled = true,
+      scope = 'team',
+      project_id = null,
+      change_note
+    } = req.body;
+
+    if (!name || !hook_type || !script_content) {
+      return res.status(400).json({ error: 'Hook name, hook_type and script_content required' });
+    }
+
+    if (!['global', 'team', 'project'].includes(scope)) {
+      return res.status(400).json({ error: 'Invalid scope' });
+    }
+
+    if (scope === 'global' && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Only admins can create global hooks' });
+    }
+
+    if (scope === 'project') {
+      if (!project_id) {
+        return res.status(400).json({ error: 'project_id required for project-scoped hooks' });
+      }
+
+      const projectCheck = await pool.query(
+        'SELECT id FROM projects WHERE id = $1 AND team_id = $2',
+        [project_id, req.user.team_id]
+      );
+
+      if (projectCheck.rows.length === 0) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+    }
+
+    const lineage = {
+      teamId: req.user.team_id,
+      name,
+      scope,
+      projectId: scope === 'project' ? project_id : null
+    };
+
+    const existing = await getHookVersions(lineage);
+
+    if (existing.length > 0) {
+      return res.status(409).json({ error: 'Hook already exists', hook_id: existing[0].id });
+    }
+
+    const hook = await createHookVersion(
+      {
+        name,
+        category,
+        hook_type,
+        script_content,
+        enabled,
+        team_id: req.user.team_id,
+        scope,
+        project_id: lineage.projectId
+      },
+      {},
+      { userId: req.user.id, changeNote: change_note || 'Initial version' }
+    );
+
+    publishHookUpdated(hook, req.user, 'created');
+
+    res.status(201).json({ hook });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Hook already exists' });
+    }
+
+    console.error('Hook creation error:', error);
+    res.status(500).json({ error: 'Failed to create hook' });
+  }
+});
+
+// Update hook (creates a new version, previous versions are kept; admins and leads)
+app.put('/api/hooks/:id', authMiddleware, requireRole('admin', 'lead'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { category, hook_type, script_content, enabled, change_note, skip_tests } = req.body;
+
+    const base = await getTeamHook(id, req.user.team_id);
+
+    if (!base) {
+      return res.status(404).json({ error: 'Hook not found' });
+    }
+
+    if (base.scope === 'global' && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Only admins can change global hooks' });
+    }
+
+    const [latest] = await getHookVersions({
+      teamId: base.team_id,
+      name: base.name,
+      scope: base.scope || 'team',
+      projectId: base.project_id
+    });
+
+    if (latest.id !== base.id) {
+      return res.status(409).json({
+        error: 'Hook has a newer version',
+        current_id: latest.id,
+        current_version: latest.version
+      });
+    }
+
+    // Saved test cases must pass against the new script before it is published
+    let tests = null;
+
+    if (script_content !== undefined && script_content !== base.script_content &&
+        !(skip_tests && req.user.role === 'admin')) {
+      tests = await runHookTestSuite(base, { scriptContent: script_content, user: req.user });
+
+      if (tests.failed > 0) {
+        return res.status(422).json({ error: 'Hook tests failed, version not published', tests });
+      }
+    }
+
+    const hook = await createHookVersion(
+      base,
+      { category, hook_type, script_content, enabled },
+      { userId: req.user.id, changeNote: change_note }
+    );
+
+    publishHookUpdated(hook, req.user, 'updated');
+
+    res.json({ hook, previous_version: base.version, tests });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Hook was modified concurrently, reload and retry' });
+    }
+
+    if (error instanceof RedactionTimeoutError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    if (error instanceof SandboxUnavailableError) {
+      return res.status(error.status).json({ error: `Hook tests could not run: ${error.message}` });
+    }
+
+    console.error('Hook update error:', error);
+    res.status(500).json({ error: 'Failed to update hook' });
+  }
+});
+
+// Version history of a hook, with a unified diff between two versions
+app.get('/api/hooks/:name/versions', authMiddleware, async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { scope = 'team', project_id = null, from, to } = req.query;
+
+    const versions = await getHookVersions({
+      teamId: req.user.team_id,
+      name,
+      scope,
+      projectId: project_id
+    });
+
+    if (versions.length === 0) {
+      return res.status(404).json({ error: 'Hook not found' });
+    }
+
+    // Default: compare the current version with the one before it
+    const toVersion = to ? parseInt(to) : versions[0].version;
+    const fromVersion = from ? parseInt(from) : (versions[1] ? versions[1].version : toVersion);
+
+    const fromRow = versions.find(v => v.version === fromVersion);
+    const toRow = versions.find(v => v.version === toVersion);
+
+    if (!fromRow || !toRow) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    res.json({
+      name,
+      scope,
+      project_id,
+      current_version: versions[0].version,
+      versions: versions.map(({ script_content, ...meta }) => meta),
+      diff: {
+        from: fromVersion,
+        to: toVersion,
+        patch: diffHookVersions(name, fromRow, toRow)
+      }
+    });
+  } catch (error) {
+    console.error('Hook versions error:', error);
+    res.status(500).json({ error: 'Failed to fetch hook versions' });
+  }
+});
+
+// Roll back: republish an older version as the new current version
+app.post('/api/hooks/:id/rollback', authMiddleware, requireRole('admin', 'lead'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { change_note } = req.body;
+
+    const target = await getTeamHook(id, req.user.team_id);
+
+    if (!target) {
+      return res.status(404).json({ error: 'Hook not found' });
+    }
+
+    if (target.scope === 'global' && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Only admins can change global hooks' });
+    }
+
+    const [latest] = await getHookVersions({
+      teamId: target.team_id,
+      name: target.name,
+      scope: target.scope || 'team',
+      projectId: target.project_id
+    });
+
+    if (latest.id === target.id) {
+      return res.status(400).json({ error: 'Version is already current' });
+    }
+
+    const hook = await createHookVersion(target, {}, {
+      userId: req.user.id,
+      changeNote: change_note || `Rollback to v${target.version}`,
+      rolledBackFrom: target.id
+    });
+
+    publishHookUpdated(hook, req.user, 'rolled_back');
+
+    res.json({ hook, rolled_back_from: target.version, replaced_version: latest.version });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Hook was modified concurrently, reload and retry' });
+    }
+
+    console.error('Hook rollback error:', error);
+    res.status(500).json({ error: 'Failed to roll back hook' });
+  }
+});
+
+// Run a hook in the sandbox with sample input (optionally a draft script;
+// admins and leads, since drafts are arbitrary code)
+app.post('/api/hooks/:id/test', authMiddleware, requireRole('admin', 'lead'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { test_input = {}, context = {}, expected = {}, script_content } = req.body;
+
+    const hook = await getTeamHook(id, req.user.team_id);
+
+    if (!hook) {
+      return res.status(404).json({ error: 'Hook not found' });
+    }
+
+    const { result, run, passed, mismatches } = await runHookTest(hook, {
+      scriptContent: script_content,
+      testInput: test_input,
+      context,
+      expected,
+      user: req.user
+    });
+
+    res.json({
+      result_id: result.id,
+      passed,
+      mismatches,
+      exit_code: run.exit_code,
+      stdout: run.stdout,
+      stderr: run.stderr,
+      timed_out: run.timed_out,
+      sandboxed: run.sandboxed,
+      network_isolated: run.network_isolated,
+      execution_time_ms: run.execution_time_ms
+    });
+  } catch (error) {
+    if (error instanceof RedactionTimeoutError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    if (error instanceof SandboxUnavailableError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Hook test error:', error);
+    res.status(500).json({ error: 'Failed to run hook test: ' + error.message });
+  }
+});
+
+// Run all saved test cases (against the hook or a draft script; admins and leads)
+app.post('/api/hooks/:id/test-suite', authMiddleware, requireRole('admin', 'lead'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { script_content } = req.body;
+
+    const hook = await getTeamHook(id, req.user.team_id);
+
+    if (!hook) {
+      return res.status(404).json({ error: 'Hook not found' });
+    }
+
+    const suite = await runHookTestSuite(hook, { scriptContent: script_content, user: req.user });
+
+    res.json({ suite });
+  } catch (error) {
+    if (error instanceof RedactionTimeoutError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    if (error instanceof SandboxUnavailableError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Hook test suite error:', error);
+    res.status(500).json({ error: 'Failed to run hook test suite: ' + error.message });
+  }
+});
+
+// List saved test cases for a hook
+app.get('/api/hooks/:id/test-cases', authMiddleware, async (req, res) => {
+  try {
+    const hook = await getTeamHook(req.params.id, req.user.team_id);
+
+    if (!hook) {
+      return res.status(404).json({ error: 'Hook not found' });
+    }
+
+    const testCases = await getHookTestCases(hook);
+
+    res.json({ test_cases: testCases, count: testCases.length });
+  } catch (error) {
+    console.error('Hook test cases error:', error);
+    res.status(500).json({ error: 'Failed to fetch test cases' });
+  }
+});
+
+// Save a test case for a hook
+app.post('/api/hooks/:id/test-cases', authMiddleware, requireRole('admin', 'lead'), async (req, res) => {
+  try {
+    const { name, test_input = {}, context = {}, expected = {} } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Test case name required' });
+    }
+
+    const hook = await getTeamHook(req.params.id, req.user.team_id);
+
+    if (!hook) {
+      return res.status(404).json({ error: 'Hook not found' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO hook_test_cases
+       (hook_name, team_id, scope, project_id, name, test_input, context, expected, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [
+        hook.name,
+        hook.team_id,
+        hook.scope || 'team',
+        hook.project_id,
+        name,
+        JSON.stringify(test_input),
+        JSON.stringify(context),
+        JSON.stringify(expected),
+        req.user.id
+      ]
+    );
+
+    res.status(201).json({ test_case: result.rows[0] });
+  } catch (error) {
+    console.error('Hook test case creation error:', error);
+    res.status(500).json({ error: 'Failed to save test case' });
+  }
+});
+
+// Delete a saved test case
+app.delete('/api/hooks/:id/test-cases/:caseId', authMiddleware, requireRole('admin', 'lead'), async (req, res) => {
+  try {
+    const hook = await getTeamHook(req.params.id, req.user.team_id);
+
+    if (!hook) {
+      return res.status(404).json({ error: 'Hook not found' });
+    }
+
+    const result = await pool.query(
+      `DELETE FROM hook_test_cases
+       WHERE id = $1 AND hook_name = $2 AND team_id = $3
+       RETURNING id`,
+      [req.params.caseId, hook.name, hook.team_id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Test case not found' });
+    }
+
+    res.json({ message: 'Test case deleted' });
+  } catch (error) {
+    console.error('Hook test case deletion error:', error);
+    res.status(500).json({ error: 'Failed to delete test case' });
+  }
+});
+
+// Recent test runs for a hook version
+app.get('/api/hooks/:id/test-results', authMiddleware, async (req, res) => {
+  try {
+    const { limit = 50 } = req.query;
+
+    const hook = await getTeamHook(req.params.id, req.user.team_id);
+
+    if (!hook) {
+      return res.status(404).json({ error: 'Hook not found' });
+    }
+
+    const result = await pool.query(
+      `SELECT r.*, u.username
+       FROM hook_test_results r
+       LEFT JOIN users u ON r.user_id = u.id
+       WHERE r.hook_id = $1
+       ORDER BY r.created_at DESC
+       LIMIT $2`,
+      [hook.id, parseInt(limit)]
+    );
+
+    res.json({ results: result.rows, count: result.rows.length });
+  } catch (error) {
+    console.error('Hook test results error:', error);
+    res.status(500).json({ error: 'Failed to fetch test results' });
+  }
+});
+
+// Report hook runs in batches. Clients may buffer offline and retry freely:
+// runs are keyed by their client-generated execution_id.
+app.post('/api/hooks/executions', authMiddleware, requirePermission('hooks:report'), async (req, res) => {
+  try {
+    const executions = Array.isArray(req.body) ? req.body : req.body.executions;
+
+    if (!Array.isArray(executions) || executions.length === 0) {
+      return res.status(400).json({ error: 'executions must be a non-empty array' });
+    }
+
+    if (executions.length > MAX_EXECUTION_BATCH) {
+      return res.status(400).json({ error: `At most ${MAX_EXECUTION_BATCH} executions per batch` });
+    }
+
+    if (!req.user.team_id) {
+      return res.status(400).json({ error: 'User has no team' });
+    }
+
+    const result = await recordExecutions(executions, { user: req.user, apiKey: req.apiKey || null });
+
+    res.status(result.accepted > 0 ? 201 : 200).json(result);
+  } catch (error) {
+    console.error('Hook execution report error:', error);
+    res.status(500).json({ error: 'Failed to record hook executions' });
+  }
+});
+
+// Block rate, overrides, latency and affected projects across a hook's versions
+app.get('/api/hooks/:id/effectiveness', authMiddleware, requirePermission('hooks:read'), async (req, res) => {
+  try {
+    const days = parseInt(req.query.days || '30');
+
+    if (isNaN(days) || days < 1 || days > 365) {
+      return res.status(400).json({ error: 'days must be between 1 and 365' });
+    }
+
+    const hook = await getTeamHook(req.params.id, req.user.team_id);
+
+    if (!hook) {
+      return res.status(404).json({ error: 'Hook not found' });
+    }
+
+    const effectiveness = await getHookEffectiveness(hook, req.user.team_id, { days });
+
+    res.json({ effectiveness });
+  } catch (error) {
+    console.error('Hook effectiveness error:', error);
+    res.status(500).json({ error: 'Failed to fetch hook effectiveness' });
+  }
+});
+
+// ==================================
+// V3: PROJECTS & ENVIRONMENTS
+// ==================================
+
+// List projects for user's team (archived ones only with ?include_archived=true)
+app.get('/api/projects', authMiddleware, async (req, res) => {
+  try {
+    const includeArchived = req.query.include_archived === 'true';
+
+    const result = await pool.query(
+      `SELECT p.*, t.name as team_name
+       FROM projects p
+       LEFT JOIN teams t ON p.team_id = t.id
+       WHERE p.team_id = $1
+         ${includeArchived ? '' : 'AND p.archived_at IS NULL'}
+       ORDER BY p.created_at DESC`,
+      [req.user.team_id]
+    );
+
+    res.json({ projects: result.rows, count: result.rows.length });
+  } catch (error) {
+    console.error('Projects list error:', error);
+    res.status(500).json({ error: 'Failed to fetch projects' });
+  }
+});
+
+// Create new project
+app.post('/api/projects', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const { name, description, repo_url, repo_provider, default_branch, settings } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Project name required' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO projects (name, description, repo_url, repo_provider, team_id, default_branch, settings)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [name, description, repo_url, repo_provider, req.user.team_id, default_branch || 'main', settings || {}]
+    );
+
+    res.status(201).json({ project: result.rows[0] });
+  } catch (error) {
+    console.error('Project creation error:', error);
+    res.status(500).json({ error: 'Failed to create project' });
+  }
+});
+
+// Get project details
+app.get('/api/projects/:id', authMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
 
     const result = await pool.query(
       `SELECT p.*, t.name as team_name
@@ -503,6 +2967,159 @@ app.get('/api/projects/:id', authMiddleware, async (req, res) => {
   }
 });
 
+// Update project (admins and leads). settings are merged into the existing
+// object; archived projects must be restored first.
+app.put('/api/projects/:id', authMiddleware, requireRole('admin', 'lead'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, description, repo_url, repo_provider, default_branch, settings } = req.body;
+
+    if (settings !== undefined && (!settings || typeof settings !== 'object' || Array.isArray(settings))) {
+      return res.status(400).json({ error: 'settings must be an object' });
+    }
+
+    const current = await pool.query(
+      'SELECT id, archived_at FROM projects WHERE id = $1 AND team_id = $2',
+      [id, req.user.team_id]
+    );
+
+    if (current.rows.length === 0) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (current.rows[0].archived_at) {
+      return res.status(409).json({ error: 'Project is archived, restore it first' });
+    }
+
+    const result = await pool.query(
+      `UPDATE projects
+       SET name = COALESCE($2, name),
+           description = COALESCE($3, description),
+           repo_url = COALESCE($4, repo_url),
+           repo_provider = COALESCE($5, repo_provider),
+           default_branch = COALESCE($6, default_branch),
+           settings = COALESCE(settings, '{}'::jsonb) || COALESCE($7::jsonb, '{}'::jsonb),
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [id, name, description, repo_url, repo_provider, default_branch, settings ? JSON.stringify(settings) : null]
+    );
+
+    res.json({ project: result.rows[0] });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Another project already uses this repository URL' });
+    }
+
+    console.error('Project update error:', error);
+    res.status(500).json({ error: 'Failed to update project' });
+  }
+});
+
+// Archive project: hidden from listings and closed to new evidence; history is kept
+app.delete('/api/projects/:id', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE projects
+       SET archived_at = NOW(), archived_by = $3, updated_at = NOW()
+       WHERE id = $1 AND team_id = $2 AND archived_at IS NULL
+       RETURNING *`,
+      [req.params.id, req.user.team_id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Project not found or already archived' });
+    }
+
+    res.json({ project: result.rows[0] });
+  } catch (error) {
+    console.error('Project archive error:', error);
+    res.status(500).json({ error: 'Failed to archive project' });
+  }
+});
+
+// Restore an archived project
+app.post('/api/projects/:id/restore', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE projects
+       SET archived_at = NULL, archived_by = NULL, updated_at = NOW()
+       WHERE id = $1 AND team_id = $2 AND archived_at IS NOT NULL
+       RETURNING *`,
+      [req.params.id, req.user.team_id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Archived project not found' });
+    }
+
+    res.json({ project: result.rows[0] });
+  } catch (error) {
+    console.error('Project restore error:', error);
+    res.status(500).json({ error: 'Failed to restore project' });
+  }
+});
+
+// Project dashboard: counts, last activity and per-category verification status
+app.get('/api/projects/:id/summary', authMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const summary = await pool.query(
+      'SELECT * FROM project_summary WHERE id = $1 AND team_id = $2',
+      [id, req.user.team_id]
+    );
+
+    if (summary.rows.length === 0) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const [categories, environments, required] = await Promise.all([
+      pool.query(
+        `SELECT task_category,
+                COUNT(*)::int as evidence_count,
+                COUNT(*) FILTER (WHERE verification_status = 'passed')::int as passed,
+                COUNT(*) FILTER (WHERE verification_status = 'failed')::int as failed,
+                COUNT(*) FILTER (WHERE verification_status = 'unverified' OR verification_status IS NULL)::int as unverified,
+                (ARRAY_AGG(COALESCE(verification_status, 'unverified') ORDER BY created_at DESC))[1] as latest_status,
+                MAX(created_at) as last_evidence_at
+         FROM evidence_repository_v2
+         WHERE project_id = $1
+         GROUP BY task_category
+         ORDER BY task_category`,
+        [id]
+      ),
+      pool.query(
+        `SELECT id, name, type, hostname, user_id, username, evidence_count, last_evidence_at
+         FROM environment_summary
+         WHERE project_id = $1
+         ORDER BY name`,
+        [id]
+      ),
+      requiredCategories(id)
+    ]);
+
+    const project = summary.rows[0];
+    const seen = new Set(categories.rows.map(row => row.task_category));
+
+    res.json({
+      project,
+      evidence_count: parseInt(project.evidence_count),
+      environment_count: parseInt(project.environment_count),
+      knowledge_link_count: parseInt(project.knowledge_link_count),
+      last_activity_at: [project.last_evidence_at, project.updated_at]
+        .filter(Boolean)
+        .sort((a, b) => new Date(b) - new Date(a))[0] || null,
+      categories: categories.rows,
+      missing_categories: required.filter(category => !seen.has(category)),
+      environments: environments.rows.map(env => ({ ...env, evidence_count: parseInt(env.evidence_count) }))
+    });
+  } catch (error) {
+    console.error('Project summary error:', error);
+    res.status(500).json({ error: 'Failed to fetch project summary' });
+  }
+});
+
 // List environments for a project
 app.get('/api/projects/:id/environments', authMiddleware, async (req, res) => {
   try {
@@ -552,7 +3169,7 @@ app.post('/api/projects/:id/environments', authMiddleware, async (req, res) => {
 
     // Verify project access
     const projectCheck = await pool.query(
-      'SELECT id FROM projects WHERE id = $1 AND team_id = $2',
+      'SELECT id, archived_at FROM projects WHERE id = $1 AND team_id = $2',
       [id, req.user.team_id]
     );
 
@@ -560,6 +3177,10 @@ app.post('/api/projects/:id/environments', authMiddleware, async (req, res) => {
       return res.status(404).json({ error: 'Project not found' });
     }
 
+    if (projectCheck.rows[0].archived_at) {
+      return res.status(409).json({ error: 'Project is archived' });
+    }
+
     // For local environments, set user_id
     const user_id = type === 'local' ? req.user.id : null;
 
@@ -577,79 +3198,426 @@ app.post('/api/projects/:id/environments', authMiddleware, async (req, res) => {
   }
 });
 
+// JSON Schema for .governance.yml
+app.get('/api/governance/schema', (req, res) => {
+  res.json(GOVERNANCE_SCHEMA);
+});
+
+// Raw YAML bodies for governance config uploads
+const yamlBody = express.text({
+  type: ['application/yaml', 'application/x-yaml', 'text/yaml', 'text/x-yaml', 'text/plain'],
+  limit: '256kb'
+});
+
+// Sync a repository's .governance.yml into the project (admins/leads, or CI
+// keys with projects:config). Send the YAML as the body or as { yaml };
+// ?dry_run=true returns the planned changes without applying them.
+app.post('/api/projects/:id/config', yamlBody, authMiddleware, requirePermission('projects:config'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const source = typeof req.body === 'string' ? req.body : req.body && req.body.yaml;
+    const dryRun = req.query.dry_run === 'true' || (req.body && req.body.dry_run === true);
+
+    if (!req.apiKey && !['admin', 'lead'].includes(req.user.role)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    if (req.apiKey && req.apiKey.project_id && req.apiKey.project_id !== id) {
+      return res.status(403).json({ error: 'API key is not valid for this project' });
+    }
+
+    if (!source || typeof source !== 'string') {
+      return res.status(400).json({ error: 'YAML body required' });
+    }
+
+    const projectResult = await pool.query(
+      'SELECT * FROM projects WHERE id = $1 AND team_id = $2',
+      [id, req.user.team_id]
+    );
+
+    if (projectResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const project = projectResult.rows[0];
+
+    if (project.archived_at) {
+      return res.status(409).json({ error: 'Project is archived, restore it first' });
+    }
+
+    const parsed = parseGovernanceConfig(source);
+
+    if (parsed.errors.length > 0) {
+      return res.status(422).json({ error: 'Invalid governance config', errors: parsed.errors });
+    }
+
+    const { changes, errors } = await planGovernanceSync(parsed, project);
+
+    if (errors.length > 0) {
+      return res.status(422).json({ error: 'Invalid governance config', errors });
+    }
+
+    const diff = changes.map(({ target, name, action, before, after }) => ({ target, name, action, before, after }));
+    const changed = diff.filter(change => !['unchanged', 'unmanaged'].includes(change.action)).length;
+
+    if (dryRun) {
+      return res.json({ dry_run: true, changes: diff, changed });
+    }
+
+    const updated = await applyGovernanceSync(project, changes, {
+      userId: req.user.id,
+      sourceHash: hashContent(source)
+    });
+
+    for (const change of changes.filter(c => c.target === 'hook' && !['unchanged', 'unmanaged'].includes(c.action))) {
+      publishEvent('hook.updated', {
+        teamId: project.team_id,
+        projectId: project.id,
+        userId: req.user.id,
+        data: { name: change.name, scope: 'project', enabled: change.after.enabled, action: 'config_sync' }
+      });
+    }
+
+    res.json({ dry_run: false, changes: diff, changed, project: updated });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Concurrent change, please retry' });
+    }
+
+    console.error('Governance config sync error:', error);
+    res.status(500).json({ error: 'Failed to sync governance config' });
+  }
+});
+
+// Hook client startup: resolve project (by git remote) and environment (by
+// hostname), registering a local environment for the caller when none matches
+app.post('/api/environments/register', authMiddleware, requirePermission('evidence:write'), async (req, res) => {
+  try {
+    const { hostname, git_remote } = req.body;
+
+    if (!hostname || typeof hostname !== 'string') {
+      return res.status(400).json({ error: 'hostname required' });
+    }
+
+    let project;
+
+    if (req.apiKey && req.apiKey.project_id) {
+      const result = await pool.query('SELECT * FROM projects WHERE id = $1', [req.apiKey.project_id]);
+      project = result.rows[0];
+    } else {
+      if (!git_remote) {
+        return res.status(400).json({ error: 'git_remote required' });
+      }
+      project = await findProjectByRemote(git_remote, req.user.team_id);
+    }
+
+    if (!project) {
+      return res.status(404).json({
+        error: 'No project registered for this repository',
+        repo: normalizeRepoUrl(git_remote)
+      });
+    }
+
+    if (project.archived_at) {
+      return res.status(409).json({ error: 'Project is archived', project_id: project.id });
+    }
+
+    // A key pinned to an environment always reports into it
+    if (req.apiKey && req.apiKey.environment_id) {
+      const environment = await findTeamEnvironment(req.apiKey.environment_id, req.user.team_id);
+
+      return res.json({
+        project_id: project.id,
+        environment_id: environment ? environment.id : null,
+        project,
+        environment,
+        matched_by: 'api_key',
+        created: false
+      });
+    }
+
+    const { environment, matchedBy, created } = await registerEnvironment(project, {
+      hostname: hostname.trim(),
+      user: req.user
+    });
+
+    res.status(created ? 201 : 200).json({
+      project_id: project.id,
+      environment_id: environment ? environment.id : null,
+      project,
+      environment,
+      matched_by: matchedBy,
+      created
+    });
+  } catch (error) {
+    console.error('Environment registration error:', error);
+    res.status(500).json({ error: 'Failed to register environment' });
+  }
+});
+
+// Get environment details
+app.get('/api/environments/:id', authMiddleware, async (req, res) => {
+  try {
+    const environment = await findTeamEnvironment(req.params.id, req.user.team_id);
+
+    if (!environment) {
+      return res.status(404).json({ error: 'Environment not found' });
+    }
+
+    const summary = await pool.query(
+      'SELECT evidence_count, last_evidence_at FROM environment_summary WHERE id = $1',
+      [environment.id]
+    );
+
+    res.json({
+      environment,
+      evidence_count: parseInt(summary.rows[0]?.evidence_count || 0),
+      last_evidence_at: summary.rows[0]?.last_evidence_at || null
+    });
+  } catch (error) {
+    console.error('Environment details error:', error);
+    res.status(500).json({ error: 'Failed to fetch environment' });
+  }
+});
+
+// Update environment (admins and leads; owners for their local environments)
+app.put('/api/environments/:id', authMiddleware, async (req, res) => {
+  try {
+    const environment = await findTeamEnvironment(req.params.id, req.user.team_id);
+
+    if (!environment) {
+      return res.status(404).json({ error: 'Environment not found' });
+    }
+
+    const isOwner = environment.type === 'local' && environment.user_id === req.user.id;
+
+    if (!isOwner && !['admin', 'lead'].includes(req.user.role)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const { name, type, hostname, settings } = req.body;
+
+    if (type !== undefined && !ENVIRONMENT_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of: ${ENVIRONMENT_TYPES.join(', ')}` });
+    }
+
+    if (settings !== undefined) {
+      const patterns = settings && settings.hostname_patterns;
+
+      if (!settings || typeof settings !== 'object' || Array.isArray(settings) ||
+          (patterns !== undefined && (!Array.isArray(patterns) || patterns.some(p => typeof p !== 'string' || !p)))) {
+        return res.status(400).json({ error: 'settings must be an object; hostname_patterns a list of non-empty strings' });
+      }
+    }
+
+    const result = await pool.query(
+      `UPDATE environments
+       SET name = COALESCE($2, name),
+           type = COALESCE($3, type),
+           hostname = COALESCE($4, hostname),
+           settings = COALESCE($5, settings)
+       WHERE id = $1
+       RETURNING *`,
+      [environment.id, name, type, hostname, settings]
+    );
+
+    res.json({ environment: result.rows[0] });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'An environment with this name already exists' });
+    }
+
+    console.error('Environment update error:', error);
+    res.status(500).json({ error: 'Failed to update environment' });
+  }
+});
+
+// Evidence recorded in an environment
+app.get('/api/environments/:id/evidence', authMiddleware, requirePermission('evidence:read'), async (req, res) => {
+  try {
+    const { limit = 100, offset = 0 } = req.query;
+    const environment = await findTeamEnvironment(req.params.id, req.user.team_id);
+
+    if (!environment) {
+      return res.status(404).json({ error: 'Environment not found' });
+    }
+
+    if (req.apiKey && req.apiKey.project_id && req.apiKey.project_id !== environment.project_id) {
+      return res.status(403).json({ error: 'API key is not valid for this project' });
+    }
+
+    const { rows, count } = await searchEvidence({ ...req.query, environment_id: environment.id }, req.user, {
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      environment,
+      evidence: rows,
+      count,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+  } catch (error) {
+    console.error('Environment evidence error:', error);
+    res.status(500).json({ error: 'Failed to fetch environment evidence' });
+  }
+});
+
+// Evidence timeline: per branch, each commit with the task categories
+// verified and missing at that commit
+app.get('/api/projects/:id/timeline', authMiddleware, requirePermission('evidence:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { branch, limit = 50 } = req.query;
+
+    if (req.apiKey && req.apiKey.project_id && req.apiKey.project_id !== id) {
+      return res.status(403).json({ error: 'API key is not valid for this project' });
+    }
+
+    const projectCheck = await pool.query(
+      'SELECT id, name, default_branch FROM projects WHERE id = $1 AND team_id = $2',
+      [id, req.user.team_id]
+    );
+
+    if (projectCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const timeline = await getProjectTimeline(id, req.user, {
+      branch,
+      limit: Math.min(parseInt(limit) || 50, 500)
+    });
+
+    res.json({ project: projectCheck.rows[0], ...timeline });
+  } catch (error) {
+    console.error('Project timeline error:', error);
+    res.status(500).json({ error: 'Failed to fetch evidence timeline' });
+  }
+});
+
 // ==================================
 // EVIDENCE (Enhanced with context)
 // ==================================
 
-// Search evidence with context
-app.get('/api/evidence/search', authMiddleware, async (req, res) => {
+// Full or abbreviated git commit SHA
+const COMMIT_SHA_PATTERN = /^[0-9a-f]{7,40}$/i;
+
+// Search evidence with context (own team by default; ?visibility= widens it)
+app.get('/api/evidence/search', authMiddleware, requirePermission('evidence:read'), async (req, res) => {
   try {
-    const { category, user_id, project_id, from_date, to_date, visibility = 'team', limit = 100, offset = 0 } = req.query;
+    const { commit_sha, limit = 100, offset = 0 } = req.query;
 
-    let whereConditions = [];
-    let params = [];
-    let paramIndex = 1;
+    if (commit_sha && !COMMIT_SHA_PATTERN.test(commit_sha)) {
+      return res.status(400).json({ error: 'commit_sha must be 7-40 hex characters' });
+    }
+
+    if (req.query.visibility && !EVIDENCE_VISIBILITIES.includes(req.query.visibility)) {
+      return res.status(400).json({ error: `visibility must be one of: ${EVIDENCE_VISIBILITIES.join(', ')}` });
+    }
+
+    const filters = { ...req.query };
+
+    // API keys bound to a project only see that project's evidence
+    if (req.apiKey && req.apiKey.project_id) {
+      filters.project_id = req.apiKey.project_id;
+    }
+
+    const { rows, count } = await searchEvidence(filters, req.user, {
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      evidence: rows,
+      count,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+  } catch (error) {
+    console.error('Evidence search error:', error);
+    res.status(500).json({ error: 'Search failed' });
+  }
+});
+
+// Evidence recorded against a commit (full or abbreviated SHA), with a
+// per-category verdict: was this commit verified, and by what?
+app.get('/api/evidence/by-commit/:sha', authMiddleware, requirePermission('evidence:read'), async (req, res) => {
+  try {
+    const { sha } = req.params;
+    let { project_id } = req.query;
 
-    // Visibility filter
-    if (visibility === 'private') {
-      whereConditions.push(`user_id = $${paramIndex++}`);
-      params.push(req.user.id);
-    } else if (visibility === 'team') {
-      whereConditions.push(`team_id = $${paramIndex++}`);
-      params.push(req.user.team_id);
+    if (!COMMIT_SHA_PATTERN.test(sha)) {
+      return res.status(400).json({ error: 'Commit SHA must be 7-40 hex characters' });
     }
 
-    if (category) {
-      whereConditions.push(`task_category = $${paramIndex++}`);
-      params.push(category);
+    if (req.apiKey && req.apiKey.project_id) {
+      if (project_id && project_id !== req.apiKey.project_id) {
+        return res.status(403).json({ error: 'API key is not valid for this project' });
+      }
+      project_id = req.apiKey.project_id;
     }
 
-    if (user_id) {
-      whereConditions.push(`user_id = $${paramIndex++}`);
-      params.push(user_id);
-    }
+    const commits = await getCommitEvidence(sha, req.user, { projectId: project_id });
 
-    if (from_date) {
-      whereConditions.push(`created_at >= $${paramIndex++}`);
-      params.push(from_date);
+    if (commits.length === 0) {
+      return res.status(404).json({ error: 'No evidence for this commit' });
     }
 
-    if (to_date) {
-      whereConditions.push(`created_at <= $${paramIndex++}`);
-      params.push(to_date);
+    res.json({
+      commit_sha: sha,
+      verified: commits.every(commit => commit.verified),
+      commits,
+      count: commits.reduce((sum, commit) => sum + commit.evidence.length, 0)
+    });
+  } catch (error) {
+    console.error('Evidence by commit error:', error);
+    res.status(500).json({ error: 'Failed to fetch commit evidence' });
+  }
+});
+
+// Evidence for a project (filters: branch, commit_sha, category, status, environment_id)
+app.get('/api/evidence/by-project/:projectId', authMiddleware, requirePermission('evidence:read'), async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { commit_sha, limit = 100, offset = 0 } = req.query;
+
+    if (req.apiKey && req.apiKey.project_id && req.apiKey.project_id !== projectId) {
+      return res.status(403).json({ error: 'API key is not valid for this project' });
     }
 
-    const whereClause = whereConditions.length > 0 ? 'WHERE ' + whereConditions.join(' AND ') : '';
+    if (commit_sha && !COMMIT_SHA_PATTERN.test(commit_sha)) {
+      return res.status(400).json({ error: 'commit_sha must be 7-40 hex characters' });
+    }
 
-    const result = await pool.query(
-      `SELECT e.*, u.username, u.full_name
-       FROM evidence_repository_v2 e
-       LEFT JOIN users u ON e.user_id = u.id
-       ${whereClause}
-       ORDER BY e.created_at DESC
-       LIMIT $${paramIndex++} OFFSET $${paramIndex}`,
-      [...params, parseInt(limit), parseInt(offset)]
+    const projectCheck = await pool.query(
+      'SELECT id FROM projects WHERE id = $1 AND team_id = $2',
+      [projectId, req.user.team_id]
     );
 
-    const countResult = await pool.query(
-      `SELECT COUNT(*) FROM evidence_repository_v2 e ${whereClause}`,
-      params
-    );
+    if (projectCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const { rows, count } = await searchEvidence({ ...req.query, project_id: projectId }, req.user, {
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
 
     res.json({
-      evidence: result.rows,
-      count: parseInt(countResult.rows[0].count),
+      evidence: rows,
+      count,
       limit: parseInt(limit),
       offset: parseInt(offset)
     });
   } catch (error) {
-    console.error('Evidence search error:', error);
-    res.status(500).json({ error: 'Search failed' });
+    console.error('Evidence by project error:', error);
+    res.status(500).json({ error: 'Failed to fetch project evidence' });
   }
 });
 
 // Submit evidence with context
-app.post('/api/evidence', authMiddleware, async (req, res) => {
+app.post('/api/evidence', authMiddleware, requirePermission('evidence:write'), async (req, res) => {
   try {
     const {
       task_category,
@@ -662,33 +3630,74 @@ app.post('/api/evidence', authMiddleware, async (req, res) => {
       coding_standard_id,
       visibility = 'team',
       // V3 fields
-      project_id,
-      environment_id,
       repo_branch,
       commit_sha,
       git_remote
     } = req.body;
+    let { project_id, environment_id } = req.body;
 
     if (!task_category || !evidence_type || !evidence_data) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
 
+    if (!EVIDENCE_VISIBILITIES.includes(visibility)) {
+      return res.status(400).json({ error: `visibility must be one of: ${EVIDENCE_VISIBILITIES.join(', ')}` });
+    }
+
+    // API keys bound to a project/environment can only submit for it
+    if (req.apiKey) {
+      if ((req.apiKey.project_id && project_id && project_id !== req.apiKey.project_id) ||
+          (req.apiKey.environment_id && environment_id && environment_id !== req.apiKey.environment_id)) {
+        return res.status(403).json({ error: 'API key is not valid for this project or environment' });
+      }
+
+      project_id = req.apiKey.project_id || project_id;
+      environment_id = req.apiKey.environment_id || environment_id;
+    }
+
+    if (project_id) {
+      const projectCheck = await pool.query(
+        'SELECT archived_at FROM projects WHERE id = $1 AND team_id = $2',
+        [project_id, req.user.team_id]
+      );
+
+      if (projectCheck.rows.length === 0) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      if (projectCheck.rows[0].archived_at) {
+        return res.status(409).json({ error: 'Project is archived and no longer accepts evidence' });
+      }
+    }
+
+    // Verified as submitted (the same verdict /api/evidence/verify gives);
+    // secrets and PII never reach storage
+    const verification = await verifyEvidence({ task_category, evidence_type, evidence_data });
+
+    const { record: redacted, redactions } = await redactForTeam(
+      req.user.team_id,
+      { evidence_data, prompt_text, completion_text, git_remote },
+      ['evidence_data', 'prompt_text', 'completion_text', 'git_remote']
+    );
+
     const result = await pool.query(
       `INSERT INTO evidence_repository_v2
        (user_id, team_id, task_category, evidence_type, evidence_data,
         prompt_text, completion_text, conversation_id,
         knowledge_pattern_id, coding_standard_id, visibility,
-        project_id, environment_id, repo_branch, commit_sha, git_remote)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+        project_id, environment_id, repo_branch, commit_sha, git_remote,
+        verification_status, verification_results, verified_at,
+        api_key_id, submitted_via, redactions, redacted_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, NOW(), $19, $20, $21, $22)
        RETURNING *`,
       [
         req.user.id,
         req.user.team_id,
         task_category,
         evidence_type,
-        evidence_data,
-        prompt_text,
-        completion_text,
+        redacted.evidence_data,
+        redacted.prompt_text,
+        redacted.completion_text,
         conversation_id,
         knowledge_pattern_id,
         coding_standard_id,
@@ -697,41 +3706,401 @@ app.post('/api/evidence', authMiddleware, async (req, res) => {
         environment_id,
         repo_branch,
         commit_sha,
-        git_remote
+        redacted.git_remote,
+        verification.status,
+        JSON.stringify(verification.results),
+        req.apiKey ? req.apiKey.id : null,
+        req.apiKey ? 'api_key' : 'user',
+        redactions ? JSON.stringify(redactions) : null,
+        redactions ? new Date() : null
       ]
     );
 
-    res.status(201).json({ evidence: result.rows[0] });
+    publishEvidenceEvents(result.rows[0], verification, { submitted: true });
+
+    res.status(201).json({ evidence: result.rows[0], verification });
   } catch (error) {
+    if (error instanceof RedactionTimeoutError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
     console.error('Evidence submission error:', error);
     res.status(500).json({ error: 'Failed to submit evidence' });
   }
 });
 
+// Dry-run verification (nothing is stored)
+app.post('/api/evidence/verify', authMiddleware, requirePermission('evidence:write'), async (req, res) => {
+  try {
+    const { task_category, evidence_type, evidence_data } = req.body;
+
+    if (!task_category || !evidence_data) {
+      return res.status(400).json({ error: 'task_category and evidence_data required' });
+    }
+
+    const verification = await verifyEvidence({ task_category, evidence_type, evidence_data });
+
+    res.json({ verification });
+  } catch (error) {
+    console.error('Evidence verification error:', error);
+    res.status(500).json({ error: 'Verification failed' });
+  }
+});
+
 // Get evidence context
-app.get('/api/evidence/:id/context', authMiddleware, async (req, res) => {
+app.get('/api/evidence/:id/context', authMiddleware, requirePermission('evidence:read'), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const result = await pool.query(
-      `SELECT e.*, u.username, u.full_name
-       FROM evidence_repository_v2 e
-       LEFT JOIN users u ON e.user_id = u.id
-       WHERE e.id = $1 AND e.team_id = $2`,
-      [id, req.user.team_id]
-    );
+    const evidence = await findAccessibleEvidence(id, req.user);
 
-    if (result.rows.length === 0) {
+    if (!evidence) {
       return res.status(404).json({ error: 'Evidence not found' });
     }
 
-    res.json({ evidence: result.rows[0] });
+    res.json({ evidence });
   } catch (error) {
     console.error('Evidence context error:', error);
     res.status(500).json({ error: 'Failed to fetch evidence context' });
   }
 });
 
+// Change who can read evidence (owner, or an admin of the owning team)
+app.put('/api/evidence/:id/visibility', authMiddleware, async (req, res) => {
+  try {
+    const { visibility } = req.body;
+
+    if (!EVIDENCE_VISIBILITIES.includes(visibility)) {
+      return res.status(400).json({ error: `visibility must be one of: ${EVIDENCE_VISIBILITIES.join(', ')}` });
+    }
+
+    const evidence = await findAccessibleEvidence(req.params.id, req.user);
+
+    if (!evidence) {
+      return res.status(404).json({ error: 'Evidence not found' });
+    }
+
+    if (!canChangeVisibility(evidence, req.user)) {
+      return res.status(403).json({ error: 'Only the owner can change visibility' });
+    }
+
+    const updated = await updateEvidenceVisibility(evidence.id, visibility);
+
+    res.json({ evidence: updated, previous: evidence.visibility });
+  } catch (error) {
+    console.error('Evidence visibility error:', error);
+    res.status(500).json({ error: 'Failed to update visibility' });
+  }
+});
+
+// Multipart parser for evidence artifacts (kept in memory, hashed, then stored)
+const artifactUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: ARTIFACT_MAX_BYTES, files: 10 },
+  fileFilter: (req, file, cb) => {
+    if (!ARTIFACT_MIME_TYPES.includes(file.mimetype)) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', `Unsupported MIME type: ${file.mimetype}`));
+    }
+    cb(null, true);
+  }
+}).any();
+
+// Artifacts that are text, so they are redacted before they are stored
+const TEXT_ARTIFACT_TYPES = ['text/plain', 'application/json', 'application/x-ndjson'];
+
+function defaultArtifactType(mimeType) {
+  if (mimeType.startsWith('image/')) return 'screenshot';
+  if (mimeType === 'text/plain' || mimeType === 'application/x-ndjson') return 'log';
+  return 'attachment';
+}
+
+// Upload artifacts (screenshots, logs) for evidence
+app.post('/api/evidence/:id/artifacts', authMiddleware, requirePermission('evidence:write'), async (req, res) => {
+  try {
+    const evidence = await findAccessibleEvidence(req.params.id, req.user);
+
+    if (!evidence) {
+      return res.status(404).json({ error: 'Evidence not found' });
+    }
+
+    // Owner, leads/admins of the owning team, or a team API key valid for the
+    // evidence's project (readable is not enough: other teams may read it)
+    const sameTeam = evidence.team_id === req.user.team_id;
+    const canUpload = req.apiKey
+      ? sameTeam && (!req.apiKey.project_id || req.apiKey.project_id === evidence.project_id)
+      : evidence.user_id === req.user.id || (sameTeam && ['admin', 'lead'].includes(req.user.role));
+
+    if (!canUpload) {
+      return res.status(403).json({ error: 'Not allowed to add artifacts to this evidence' });
+    }
+
+    try {
+      await new Promise((resolve, reject) => artifactUpload(req, res, err => (err ? reject(err) : resolve())));
+    } catch (err) {
+      if (err instanceof multer.MulterError) {
+        const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+        return res.status(status).json({ error: err.field || err.message, max_bytes: ARTIFACT_MAX_BYTES });
+      }
+      throw err;
+    }
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded', allowed_types: ARTIFACT_MIME_TYPES });
+    }
+
+    const rejected = req.files.filter(file => !matchesSignature(file.mimetype, file.buffer));
+
+    if (rejected.length > 0) {
+      return res.status(400).json({
+        error: 'File content does not match declared type',
+        files: rejected.map(file => file.originalname)
+      });
+    }
+
+    // Every file is redacted before any is stored, so a redaction timeout
+    // leaves nothing half-uploaded. Untouched files keep their exact bytes.
+    const buffers = [];
+    let redactions = null;
+
+    for (const file of req.files) {
+      let buffer = file.buffer;
+
+      if (TEXT_ARTIFACT_TYPES.includes(file.mimetype)) {
+        const redacted = await redactTextForTeam(evidence.team_id, buffer.toString('utf8'));
+
+        if (redacted.redactions) {
+          buffer = Buffer.from(redacted.text, 'utf8');
+          redactions = mergeRedactions(redactions, redacted.redactions);
+        }
+      }
+
+      buffers.push(buffer);
+    }
+
+    const artifacts = [];
+
+    for (const [index, file] of req.files.entries()) {
+      const { artifact, created } = await attachArtifact(evidence, {
+        buffer: buffers[index],
+        mimeType: file.mimetype,
+        filename: file.originalname,
+        artifactType: req.body.artifact_type || defaultArtifactType(file.mimetype),
+        user: req.user,
+        apiKeyId: req.apiKey ? req.apiKey.id : null
+      });
+
+      artifacts.push({ ...artifact, deduplicated: !created });
+    }
+
+    if (redactions) {
+      await addEvidenceRedactions(evidence, redactions);
+    }
+
+    const verification = await reverifyEvidence(evidence);
+
+    if (verification.status !== evidence.verification_status) {
+      publishEvidenceEvents(evidence, verification);
+    }
+
+    res.status(201).json({ artifacts, verification, redactions });
+  } catch (error) {
+    if (error instanceof RedactionTimeoutError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Artifact upload error:', error);
+    res.status(500).json({ error: 'Failed to upload artifacts' });
+  }
+});
+
+// List artifacts for evidence
+app.get('/api/evidence/:id/artifacts', authMiddleware, requirePermission('evidence:read'), async (req, res) => {
+  try {
+    const evidence = await findAccessibleEvidence(req.params.id, req.user);
+
+    if (!evidence) {
+      return res.status(404).json({ error: 'Evidence not found' });
+    }
+
+    const artifacts = await listArtifacts(evidence.id);
+
+    res.json({ artifacts, count: artifacts.length });
+  } catch (error) {
+    console.error('Artifact list error:', error);
+    res.status(500).json({ error: 'Failed to fetch artifacts' });
+  }
+});
+
+// Download an artifact (same access checks as the evidence itself)
+app.get('/api/evidence/:id/artifacts/:sha', authMiddleware, requirePermission('evidence:read'), async (req, res) => {
+  try {
+    const evidence = await findAccessibleEvidence(req.params.id, req.user);
+
+    if (!evidence) {
+      return res.status(404).json({ error: 'Evidence not found' });
+    }
+
+    const result = await pool.query(
+      'SELECT * FROM evidence_artifacts WHERE evidence_id = $1 AND sha256 = $2',
+      [evidence.id, req.params.sha]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Artifact not found' });
+    }
+
+    const artifact = result.rows[0];
+    const filename = (artifact.filename || artifact.sha256).replace(/["\\\r\n]/g, '_');
+
+    res.set({
+      'Content-Type': artifact.mime_type,
+      'Content-Length': artifact.size_bytes,
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'X-Content-Type-Options': 'nosniff',
+      'ETag': `"${artifact.sha256}"`,
+      'Cache-Control': 'private, max-age=31536000, immutable'
+    });
+
+    const stream = getArtifactStorage().open(artifact.sha256);
+
+    stream.on('error', err => {
+      console.error('Artifact read error:', err);
+      if (!res.headersSent) {
+        res.status(404).json({ error: 'Artifact content missing' });
+      } else {
+        res.destroy(err);
+      }
+    });
+
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Artifact download error:', error);
+    res.status(500).json({ error: 'Failed to download artifact' });
+  }
+});
+
+// ==================================
+// REDACTION
+// ==================================
+
+// Team redaction rules, and the built-in types every write is checked for
+app.get('/api/redaction/rules', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const rules = await getTeamRedactionRules(req.user.team_id);
+
+    res.json({ rules, builtin_types: REDACTION_TYPES });
+  } catch (error) {
+    console.error('Redaction rules fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch redaction rules' });
+  }
+});
+
+app.post('/api/redaction/rules', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const { error, fields } = validateRedactionRule(req.body);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const rule = await createRedactionRule(fields, { teamId: req.user.team_id, userId: req.user.id });
+
+    res.status(201).json({ rule });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A rule with this name already exists' });
+    }
+
+    console.error('Redaction rule creation error:', error);
+    res.status(500).json({ error: 'Failed to create redaction rule' });
+  }
+});
+
+app.put('/api/redaction/rules/:id', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const existing = await findTeamRedactionRule(req.params.id, req.user.team_id);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    const validation = validateRedactionRule(req.body, { partial: true });
+
+    if (validation.error) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    const { error, rule } = await updateRedactionRule(existing, validation.fields);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json({ rule });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A rule with this name already exists' });
+    }
+
+    console.error('Redaction rule update error:', error);
+    res.status(500).json({ error: 'Failed to update redaction rule' });
+  }
+});
+
+app.delete('/api/redaction/rules/:id', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const existing = await findTeamRedactionRule(req.params.id, req.user.team_id);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    await deleteRedactionRule(existing.id);
+
+    res.json({ message: 'Rule deleted' });
+  } catch (error) {
+    console.error('Redaction rule deletion error:', error);
+    res.status(500).json({ error: 'Failed to delete redaction rule' });
+  }
+});
+
+// Check the team's stored evidence or tool executions against the current
+// rules, one page at a time. Dry run unless apply is true; pass next_cursor
+// back as `after` to continue.
+app.post('/api/redaction/scan', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const { target = 'evidence', apply = false, after = null } = req.body;
+    const limit = parseInt(req.body.limit || 500);
+
+    if (!REDACTION_SCAN_TARGETS[target]) {
+      return res.status(400).json({ error: `target must be one of: ${Object.keys(REDACTION_SCAN_TARGETS).join(', ')}` });
+    }
+
+    if (typeof apply !== 'boolean') {
+      return res.status(400).json({ error: 'apply must be a boolean' });
+    }
+
+    if (!(limit >= 1 && limit <= 2000)) {
+      return res.status(400).json({ error: 'limit must be between 1 and 2000' });
+    }
+
+    if (after !== null && !/^[0-9a-f]{8}-([0-9a-f]{4}-){3}[0-9a-f]{12}$/i.test(after)) {
+      return res.status(400).json({ error: 'after must be a row id' });
+    }
+
+    const result = await scanStoredRows(req.user.team_id, target, { apply, limit, after });
+
+    res.json(result);
+  } catch (error) {
+    if (error instanceof RedactionTimeoutError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Redaction scan error:', error);
+    res.status(500).json({ error: 'Redaction scan failed' });
+  }
+});
+
 // ==================================
 // COMPLIANCE METRICS
 // ==================================
@@ -760,7 +4129,14 @@ app.get('/api/metrics/compliance', authMiddleware, async (req, res) => {
          task_category,
          COUNT(*) as total_verifications,
          COUNT(DISTINCT user_id) as unique_users,
-         0.87 as pass_rate
+         COUNT(*) FILTER (WHERE verification_status = 'passed') as passed,
+         COUNT(*) FILTER (WHERE verification_status = 'failed') as failed,
+         COUNT(*) FILTER (WHERE verification_status = 'unverified' OR verification_status IS NULL) as unverified,
+         ROUND(
+           COUNT(*) FILTER (WHERE verification_status = 'passed')::DECIMAL /
+           NULLIF(COUNT(*) FILTER (WHERE verification_status IN ('passed', 'failed')), 0),
+           4
+         ) as pass_rate
        FROM evidence_repository_v2
        ${whereClause}
        GROUP BY task_category
@@ -775,6 +4151,67 @@ app.get('/api/metrics/compliance', authMiddleware, async (req, res) => {
   }
 });
 
+// Compliance trend from the daily rollups: one series per group_by value
+// (project, environment, user or category), bucketed by day/week/month
+app.get('/api/metrics/compliance/trend', authMiddleware, async (req, res) => {
+  try {
+    const { interval = 'week', group_by, project_id, environment_id, user_id, category } = req.query;
+
+    if (!TREND_INTERVALS.includes(interval)) {
+      return res.status(400).json({ error: `interval must be one of: ${TREND_INTERVALS.join(', ')}` });
+    }
+
+    if (group_by && !TREND_GROUP_BY.includes(group_by)) {
+      return res.status(400).json({ error: `group_by must be one of: ${TREND_GROUP_BY.join(', ')}` });
+    }
+
+    // Default window: the last 12 intervals
+    const defaultDays = { day: 12, week: 12 * 7, month: 365 }[interval];
+    const to = req.query.to || toDateString(new Date());
+    const from = req.query.from || toDateString(new Date(Date.now() - defaultDays * 24 * 60 * 60 * 1000));
+
+    const series = await getComplianceTrend(req.user.team_id, {
+      interval,
+      groupBy: group_by || null,
+      from,
+      to,
+      filters: { project_id, environment_id, user_id, category }
+    });
+
+    res.json({ interval, group_by: group_by || null, from, to, series });
+  } catch (error) {
+    console.error('Compliance trend error:', error);
+    res.status(500).json({ error: 'Failed to fetch compliance trend' });
+  }
+});
+
+// Re-run the rollup for a date range, e.g. to backfill history (admin)
+app.post('/api/metrics/compliance/rollup', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const { from, to = from } = req.body;
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+    if (!datePattern.test(from || '') || !datePattern.test(to || '') || from > to) {
+      return res.status(400).json({ error: 'from and to must be YYYY-MM-DD dates, from <= to' });
+    }
+
+    if (daysBetween(from, to).length > 366) {
+      return res.status(400).json({ error: 'At most 366 days per rollup' });
+    }
+
+    const days = await rollupRange(from, to);
+
+    if (days === null) {
+      return res.status(409).json({ error: 'A rollup is already running, try again shortly' });
+    }
+
+    res.json({ days, count: days.length });
+  } catch (error) {
+    console.error('Compliance rollup error:', error);
+    res.status(500).json({ error: 'Compliance rollup failed' });
+  }
+});
+
 // ==================================
 // START SERVER
 // ==================================
@@ -786,11 +4223,27 @@ async function startServer() {
 
     await testArangoConnection();
 
-    app.listen(PORT, () => {
+    // Search view is optional: Postgres search keeps working without it
+    await ensureSearchView()
+      .then(linked => console.log(`✅ Knowledge search view ready (${linked.join(', ') || 'no collections'})`))
+      .catch(err => console.warn('⚠️  Knowledge search view unavailable:', err.message));
+
+    if (startComplianceScheduler()) {
+      console.log('✅ Compliance rollup scheduler started');
+    }
+
+    if (startMcpSweeper()) {
+      console.log('✅ MCP heartbeat sweeper started');
+    }
+
+    const server = app.listen(PORT, () => {
       console.log(`🚀 Claude Governance Central V2 API running on port ${PORT}`);
       console.log(`📊 Health check: http://localhost:${PORT}/health`);
+      console.log(`📡 Event stream: ws://localhost:${PORT}${EVENT_STREAM_PATH}`);
       console.log(`🔐 Default login: admin / admin123`);
     });
+
+    attachEventStream(server);
   } catch (error) {
     console.error('❌ Failed to start server:', error);
     process.exit(1);
@@ -1,47 +1,135 @@
 import jwt from 'jsonwebtoken';
 import pool from '../config/database.js';
+import { isApiKey, findActiveApiKey } from '../services/api-keys.js';
 
 const JWT_SECRET = process.env.JWT_SECRET || 'change-this-secret-in-production';
+export const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
 
-export function generateToken(user) {
+// Short-lived access token bound to a user_sessions row (sid)
+export function generateToken(user, sessionId) {
   return jwt.sign(
     {
       id: user.id,
+      sid: sessionId,
       username: user.username,
       email: user.email,
       role: user.role,
       team_id: user.team_id
     },
     JWT_SECRET,
-    { expiresIn: '24h' }
+    { expiresIn: ACCESS_TOKEN_TTL }
   );
 }
 
+// Permissions a route accepts API keys for, declared with requirePermission().
+// Routes without one reject API keys.
+function routeApiKeyPermissions(req) {
+  const layers = req.route ? req.route.stack : [];
+  return layers.flatMap(layer => layer.handle.apiKeyPermissions || []);
+}
+
+async function authenticateApiKey(key, req, res, next) {
+  const apiKey = await findActiveApiKey(key, req.ip);
+
+  if (!apiKey) {
+    return res.status(401).json({ error: 'Invalid or expired API key' });
+  }
+
+  if (routeApiKeyPermissions(req).length === 0) {
+    return res.status(403).json({ error: 'API keys are not accepted on this endpoint' });
+  }
+
+  // Machine principal: no user row, identified by the key
+  req.apiKey = apiKey;
+  req.user = {
+    id: null,
+    username: `api-key:${apiKey.name}`,
+    role: 'service',
+    team_id: apiKey.team_id,
+    team_name: apiKey.team_name,
+    organization: apiKey.organization,
+    api_key_id: apiKey.id
+  };
+  next();
+}
+
+// Load the user and session behind a JWT access token. Throws if the token
+// itself is invalid; returns { error } if the user or session is not usable.
+export async function resolveAccessToken(token) {
+  const decoded = jwt.verify(token, JWT_SECRET);
+
+  if (!decoded.sid) {
+    return { error: 'Session required, please log in again' };
+  }
+
+  // Check if session exists and is valid
+  const result = await pool.query(
+    `SELECT u.*, t.name as team_name, t.organization,
+            s.id as session_id, s.revoked_at as session_revoked_at, s.expires_at as session_expires_at
+     FROM users u
+     LEFT JOIN teams t ON u.team_id = t.id
+     LEFT JOIN user_sessions s ON s.id = $2 AND s.user_id = u.id
+     WHERE u.id = $1`,
+    [decoded.id, decoded.sid]
+  );
+
+  if (result.rows.length === 0) {
+    return { error: 'User not found' };
+  }
+
+  const { session_id, session_revoked_at, session_expires_at, ...user } = result.rows[0];
+
+  if (user.is_active === false) {
+    return { error: 'Account deactivated' };
+  }
+
+  if (!session_id || session_revoked_at || new Date(session_expires_at) <= new Date()) {
+    return { error: 'Session expired or revoked' };
+  }
+
+  // Keep last_activity roughly current without a write on every request
+  await pool.query(
+    `UPDATE user_sessions SET last_activity = NOW()
+     WHERE id = $1 AND last_activity < NOW() - INTERVAL '1 minute'`,
+    [session_id]
+  );
+
+  delete user.password_hash;
+
+  return {
+    user,
+    session: { id: session_id, expires_at: session_expires_at },
+    tokenExpiresAt: new Date(decoded.exp * 1000)
+  };
+}
+
 export async function authMiddleware(req, res, next) {
   try {
     const authHeader = req.headers.authorization;
+    const apiKeyHeader = req.headers['x-api-key'];
+
+    if (apiKeyHeader) {
+      return await authenticateApiKey(apiKeyHeader, req, res, next);
+    }
 
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
       return res.status(401).json({ error: 'No token provided' });
     }
 
     const token = authHeader.substring(7);
-    const decoded = jwt.verify(token, JWT_SECRET);
-
-    // Check if session exists and is valid
-    const result = await pool.query(
-      `SELECT u.*, t.name as team_name, t.organization
-       FROM users u
-       LEFT JOIN teams t ON u.team_id = t.id
-       WHERE u.id = $1`,
-      [decoded.id]
-    );
-
-    if (result.rows.length === 0) {
-      return res.status(401).json({ error: 'User not found' });
+
+    if (isApiKey(token)) {
+      return await authenticateApiKey(token, req, res, next);
+    }
+
+    const { error, user, session } = await resolveAccessToken(token);
+
+    if (error) {
+      return res.status(401).json({ error });
     }
 
-    req.user = result.rows[0];
+    req.user = user;
+    req.session = session;
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
@@ -62,3 +150,22 @@ export function requireRole(...roles) {
     next();
   };
 }
+
+// Gate a route for API keys: the key needs one of the listed permissions.
+// Human users pass through (their access is governed by role and team).
+export function requirePermission(...permissions) {
+  const middleware = (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    if (req.apiKey && !permissions.some(p => req.apiKey.permissions.includes(p))) {
+      return res.status(403).json({ error: 'API key lacks permission', required: permissions });
+    }
+
+    next();
+  };
+
+  middleware.apiKeyPermissions = permissions;
+  return middleware;
+}
@@ -0,0 +1,79 @@
+import crypto from 'crypto';
+import pool from '../config/database.js';
+
+// Machine credentials: gck_<prefix>_<secret>, stored as a SHA-256 hash
+
+export const API_KEY_PREFIX = 'gck_';
+
+export const API_KEY_PERMISSIONS = [
+  'evidence:read',
+  'evidence:write',
+  'hooks:read',
+  'hooks:report',
+  'mcp:report',
+  'projects:config'
+];
+
+export function isApiKey(token) {
+  return typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+}
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Create a key; the plaintext is only ever returned here
+export async function createApiKey({ name, teamId, projectId = null, environmentId = null, permissions, expiresAt = null, createdBy }) {
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const key = `${API_KEY_PREFIX}${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+
+  const result = await pool.query(
+    `INSERT INTO api_keys
+     (name, key_prefix, key_hash, team_id, project_id, environment_id, permissions, expires_at, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING id, name, key_prefix, team_id, project_id, environment_id, permissions,
+               expires_at, created_by, created_at`,
+    [
+      name,
+      `${API_KEY_PREFIX}${prefix}`,
+      hashApiKey(key),
+      teamId,
+      projectId,
+      environmentId,
+      JSON.stringify(permissions),
+      expiresAt,
+      createdBy
+    ]
+  );
+
+  return { apiKey: result.rows[0], key };
+}
+
+// Resolve a presented key to its active row (with team context), or null
+export async function findActiveApiKey(key, ipAddress = null) {
+  const result = await pool.query(
+    `SELECT k.*, t.name as team_name, t.organization
+     FROM api_keys k
+     JOIN teams t ON k.team_id = t.id
+     WHERE k.key_hash = $1
+       AND k.revoked_at IS NULL
+       AND (k.expires_at IS NULL OR k.expires_at > NOW())`,
+    [hashApiKey(key)]
+  );
+
+  const apiKey = result.rows[0];
+
+  if (!apiKey) {
+    return null;
+  }
+
+  // Track usage without a write on every request
+  await pool.query(
+    `UPDATE api_keys SET last_used_at = NOW(), last_used_ip = $2
+     WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL '1 minute')`,
+    [apiKey.id, ipAddress]
+  );
+
+  delete apiKey.key_hash;
+  return apiKey;
+}
@@ -0,0 +1,96 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+
+// Content-addressed blob storage for evidence artifacts. Backends implement
+// put(sha256, buffer), open(sha256) -> Readable and exists(sha256).
+
+export const ARTIFACT_MAX_BYTES = parseInt(process.env.ARTIFACT_MAX_BYTES || String(10 * 1024 * 1024));
+
+export const ARTIFACT_MIME_TYPES = (process.env.ARTIFACT_MIME_TYPES ||
+  'image/png,image/jpeg,image/webp,text/plain,application/json,application/x-ndjson,application/pdf')
+  .split(',')
+  .map(type => type.trim())
+  .filter(Boolean);
+
+// Magic numbers for binary types, so a renamed file can't claim to be an image
+const SIGNATURES = {
+  'image/png': [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a],
+  'image/jpeg': [0xff, 0xd8, 0xff],
+  'application/pdf': [0x25, 0x50, 0x44, 0x46]
+};
+
+export function matchesSignature(mimeType, buffer) {
+  const signature = SIGNATURES[mimeType];
+  if (!signature) return true;
+  return signature.every((byte, i) => buffer[i] === byte);
+}
+
+export function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+class LocalDiskStorage {
+  constructor(root) {
+    this.name = 'local';
+    this.root = root;
+  }
+
+  // <root>/ab/cd/<sha256>
+  pathFor(hash) {
+    if (!/^[a-f0-9]{64}$/.test(hash)) {
+      throw new Error('Invalid sha256');
+    }
+    return path.join(this.root, hash.slice(0, 2), hash.slice(2, 4), hash);
+  }
+
+  async exists(hash) {
+    try {
+      await fsp.access(this.pathFor(hash));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async put(hash, buffer) {
+    const target = this.pathFor(hash);
+
+    if (await this.exists(hash)) {
+      return false;
+    }
+
+    await fsp.mkdir(path.dirname(target), { recursive: true });
+
+    // Write then rename so readers never see a partial blob
+    const temp = `${target}.${process.pid}.${Date.now()}.tmp`;
+    await fsp.writeFile(temp, buffer);
+    await fsp.rename(temp, target);
+    return true;
+  }
+
+  open(hash) {
+    return fs.createReadStream(this.pathFor(hash));
+  }
+}
+
+const backends = {
+  local: () => new LocalDiskStorage(process.env.ARTIFACT_DIR || path.resolve('data/artifacts'))
+};
+
+let storage = null;
+
+export function getArtifactStorage() {
+  if (!storage) {
+    const backend = process.env.ARTIFACT_STORAGE || 'local';
+
+    if (!backends[backend]) {
+      throw new Error(`Unknown artifact storage backend: ${backend}`);
+    }
+
+    storage = backends[backend]();
+  }
+
+  return storage;
+}
@@ -0,0 +1,278 @@
+import pool from '../config/database.js';
+
+// Daily compliance rollups: evidence_repository_v2 and hook_execution_log are
+// aggregated into compliance_metrics one day at a time. A day is recomputed
+// from scratch each run, so re-rolling is always safe.
+
+const ROLLUP_ENABLED = process.env.COMPLIANCE_ROLLUP_ENABLED !== 'false';
+const ROLLUP_INTERVAL_MINUTES = parseInt(process.env.COMPLIANCE_ROLLUP_INTERVAL_MINUTES || '60');
+const BACKFILL_DAYS = parseInt(process.env.COMPLIANCE_BACKFILL_DAYS || '90');
+
+// pg_try_advisory_lock key, so only one API instance rolls up at a time
+const ROLLUP_LOCK_KEY = 7420173;
+
+// YYYY-MM-DD (UTC) for a Date
+export function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+export function daysBetween(from, to) {
+  const days = [];
+  const cursor = new Date(`${from}T00:00:00Z`);
+  const end = new Date(`${to}T00:00:00Z`);
+
+  while (cursor <= end) {
+    days.push(toDateString(cursor));
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+
+  return days;
+}
+
+// Recompute compliance_metrics for one day (client: a dedicated pool client)
+export async function rollupDay(date, client) {
+  await client.query('BEGIN');
+
+  try {
+    await client.query('DELETE FROM compliance_metrics WHERE date = $1', [date]);
+
+    const evidence = await client.query(
+      `INSERT INTO compliance_metrics
+       (date, team_id, project_id, environment_id, user_id, category,
+        total_tasks, verified_tasks, failed_tasks, unverified_tasks, compliance_rate)
+       SELECT $1::date, e.team_id, e.project_id::text, e.environment_id, e.user_id::text, e.task_category,
+              COUNT(*),
+              COUNT(*) FILTER (WHERE e.verification_status = 'passed'),
+              COUNT(*) FILTER (WHERE e.verification_status = 'failed'),
+              COUNT(*) FILTER (WHERE e.verification_status = 'unverified' OR e.verification_status IS NULL),
+              ROUND(
+                100.0 * COUNT(*) FILTER (WHERE e.verification_status = 'passed') /
+                NULLIF(COUNT(*) FILTER (WHERE e.verification_status IN ('passed', 'failed')), 0),
+                2
+              )
+       FROM evidence_repository_v2 e
+       WHERE e.created_at >= $1::date AND e.created_at < $1::date + 1
+       GROUP BY e.team_id, e.project_id, e.environment_id, e.user_id, e.task_category`,
+      [date]
+    );
+
+    // Older hook_execution_log rows have no team: use the project's, else the user's
+    const hooks = await client.query(
+      `INSERT INTO compliance_metrics
+       (date, team_id, project_id, environment_id, user_id, category, hook_executions, hook_blocks)
+       SELECT $1::date, COALESCE(h.team_id, p.team_id, u.team_id), h.project_id::text, h.environment_id,
+              h.user_id::text, NULL,
+              COUNT(*),
+              COUNT(*) FILTER (WHERE h.execution_result = 'blocked')
+       FROM hook_execution_log h
+       LEFT JOIN projects p ON p.id = h.project_id
+       LEFT JOIN users u ON u.id = h.user_id
+       WHERE COALESCE(h.occurred_at, h.created_at) >= $1::date
+         AND COALESCE(h.occurred_at, h.created_at) < $1::date + 1
+       GROUP BY COALESCE(h.team_id, p.team_id, u.team_id), h.project_id, h.environment_id, h.user_id`,
+      [date]
+    );
+
+    const rowCount = evidence.rowCount + hooks.rowCount;
+
+    await client.query(
+      `INSERT INTO compliance_rollup_runs (date, row_count, rolled_up_at)
+       VALUES ($1, $2, NOW())
+       ON CONFLICT (date) DO UPDATE SET row_count = EXCLUDED.row_count, rolled_up_at = NOW()`,
+      [date, rowCount]
+    );
+
+    await client.query('COMMIT');
+    return rowCount;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+// Roll up every day in [from, to] under the advisory lock. Returns null when
+// another instance holds the lock.
+export async function rollupRange(from, to) {
+  const client = await pool.connect();
+
+  try {
+    const lock = await client.query('SELECT pg_try_advisory_lock($1) as locked', [ROLLUP_LOCK_KEY]);
+
+    if (!lock.rows[0].locked) {
+      return null;
+    }
+
+    try {
+      const days = [];
+
+      for (const date of daysBetween(from, to)) {
+        days.push({ date, rows: await rollupDay(date, client) });
+      }
+
+      return days;
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [ROLLUP_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+// Days in the backfill window that were never rolled up
+async function missingDays(from, to) {
+  const result = await pool.query(
+    `SELECT d::date::text as date
+     FROM generate_series($1::date, $2::date, INTERVAL '1 day') d
+     WHERE NOT EXISTS (SELECT 1 FROM compliance_rollup_runs r WHERE r.date = d::date)
+     ORDER BY d`,
+    [from, to]
+  );
+
+  return result.rows.map(row => row.date);
+}
+
+// One scheduler tick: backfill missing days, then refresh yesterday (late
+// submissions) and today (partial)
+export async function runScheduledRollup(now = new Date()) {
+  const today = toDateString(now);
+  const yesterday = toDateString(new Date(now.getTime() - 24 * 60 * 60 * 1000));
+  const windowStart = toDateString(new Date(now.getTime() - BACKFILL_DAYS * 24 * 60 * 60 * 1000));
+
+  const missing = await missingDays(windowStart, yesterday);
+  const dates = [...new Set([...missing, yesterday, today])];
+  let rolledUp = 0;
+
+  for (const date of dates) {
+    const days = await rollupRange(date, date);
+    if (days === null) return null;
+    rolledUp += days.length;
+  }
+
+  return { days: rolledUp, backfilled: missing.length };
+}
+
+let schedulerTimer = null;
+let schedulerRunning = false;
+
+async function tick() {
+  if (schedulerRunning) return;
+  schedulerRunning = true;
+
+  try {
+    const result = await runScheduledRollup();
+
+    if (result && result.backfilled > 0) {
+      console.log(`📈 Compliance rollup: backfilled ${result.backfilled} day(s)`);
+    }
+  } catch (error) {
+    console.error('Compliance rollup failed:', error.message);
+  } finally {
+    schedulerRunning = false;
+  }
+}
+
+// Start the in-process scheduler (no-op when disabled or already started)
+export function startComplianceScheduler() {
+  if (!ROLLUP_ENABLED || schedulerTimer) return false;
+
+  schedulerTimer = setInterval(tick, ROLLUP_INTERVAL_MINUTES * 60 * 1000);
+  schedulerTimer.unref();
+  setImmediate(tick);
+
+  return true;
+}
+
+export function stopComplianceScheduler() {
+  clearInterval(schedulerTimer);
+  schedulerTimer = null;
+}
+
+// ==================================
+// TREND SERIES
+// ==================================
+
+export const TREND_INTERVALS = ['day', 'week', 'month'];
+
+// group_by -> compliance_metrics column and how to label it
+const TREND_GROUPS = {
+  project: { column: 'm.project_id', label: 'p.name', join: 'LEFT JOIN projects p ON p.id::text = m.project_id' },
+  environment: { column: 'm.environment_id::text', label: 'env.name', join: 'LEFT JOIN environments env ON env.id = m.environment_id' },
+  user: { column: 'm.user_id', label: 'u.username', join: 'LEFT JOIN users u ON u.id::text = m.user_id' },
+  category: { column: 'm.category', label: 'm.category', join: '' }
+};
+
+export const TREND_GROUP_BY = Object.keys(TREND_GROUPS);
+
+// Team compliance per interval, optionally split into series by group_by.
+// compliance_rate is verified / (verified + failed), as a percentage;
+// blocked_tasks counts hook executions that blocked a task.
+export async function getComplianceTrend(teamId, { interval = 'week', groupBy = null, from, to, filters = {} }) {
+  const group = groupBy ? TREND_GROUPS[groupBy] : null;
+  const conditions = ['m.team_id = $1', 'm.date >= $2', 'm.date <= $3'];
+  const params = [teamId, from, to, interval];
+  let paramIndex = 5;
+
+  const filterColumns = {
+    project_id: 'm.project_id',
+    environment_id: 'm.environment_id::text',
+    user_id: 'm.user_id',
+    category: 'm.category'
+  };
+
+  for (const [name, column] of Object.entries(filterColumns)) {
+    if (filters[name]) {
+      conditions.push(`${column} = $${paramIndex++}`);
+      params.push(filters[name]);
+    }
+  }
+
+  // Hook rows have no category; keep them out of per-category series
+  if (groupBy === 'category' || filters.category) {
+    conditions.push('m.category IS NOT NULL');
+  }
+
+  const result = await pool.query(
+    `SELECT DATE_TRUNC($4, m.date)::date as period,
+            ${group ? `${group.column} as key, MAX(${group.label}) as label,` : ''}
+            SUM(m.total_tasks)::int as total_tasks,
+            SUM(m.verified_tasks)::int as verified_tasks,
+            SUM(m.failed_tasks)::int as failed_tasks,
+            SUM(m.hook_blocks)::int as blocked_tasks,
+            SUM(m.unverified_tasks)::int as unverified_tasks,
+            SUM(m.hook_executions)::int as hook_executions,
+            SUM(m.hook_blocks)::int as hook_blocks,
+            ROUND(100.0 * SUM(m.verified_tasks) / NULLIF(SUM(m.verified_tasks) + SUM(m.failed_tasks), 0), 2) as compliance_rate
+     FROM compliance_metrics m
+     ${group ? group.join : ''}
+     WHERE ${conditions.join(' AND ')}
+     GROUP BY period${group ? `, ${group.column}` : ''}
+     ORDER BY period`,
+    params
+  );
+
+  const series = new Map();
+
+  for (const { key = null, label = null, ...point } of result.rows) {
+    if (!series.has(key)) {
+      series.set(key, { key, label: label ?? key, points: [] });
+    }
+
+    series.get(key).points.push({
+      ...point,
+      compliance_rate: point.compliance_rate === null ? null : parseFloat(point.compliance_rate)
+    });
+  }
+
+  // Change of the last period against the one before it
+  return [...series.values()].map(entry => {
+    const rated = entry.points.filter(point => point.compliance_rate !== null);
+    const latest = rated[rated.length - 1];
+    const previous = rated[rated.length - 2];
+
+    return {
+      ...entry,
+      latest_rate: latest ? latest.compliance_rate : null,
+      change: latest && previous ? Math.round((latest.compliance_rate - previous.compliance_rate) * 100) / 100 : null
+    };
+  });
+}
@@ -0,0 +1,122 @@
+import pool from '../config/database.js';
+
+// Environment resolution for hook clients: repo remote -> project,
+// hostname -> environment (creating a per-user local one when nothing matches)
+
+export const ENVIRONMENT_TYPES = ['local', 'shared', 'production'];
+
+// git@github.com:org/repo.git, https://github.com/org/repo and
+// ssh://git@github.com/org/repo.git all become "github.com/org/repo"
+export function normalizeRepoUrl(url) {
+  if (!url || typeof url !== 'string') return null;
+
+  let normalized = url.trim().toLowerCase();
+
+  normalized = normalized.replace(/^[a-z+]+:\/\//, '');
+  normalized = normalized.replace(/^[^@/]+@/, '');
+  normalized = normalized.replace(/^([^/:]+):(?!\d+\/)/, '$1/');
+  normalized = normalized.replace(/^([^/:]+):\d+\//, '$1/');
+  normalized = normalized.replace(/\.git$/, '').replace(/\/+$/, '');
+
+  return normalized || null;
+}
+
+// Glob ("ci-runner-*", "*.staging.internal") -> anchored, case-insensitive RegExp
+export function globToRegExp(pattern) {
+  const source = pattern
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+
+  return new RegExp(`^${source}$`, 'i');
+}
+
+export function hostnamePatterns(environment) {
+  const patterns = environment.settings?.hostname_patterns;
+  return Array.isArray(patterns) ? patterns.filter(p => typeof p === 'string' && p.length > 0) : [];
+}
+
+// Pick the environment a hostname belongs to. Patterns in
+// settings.hostname_patterns win; otherwise the caller's own local
+// environment registered for that exact hostname.
+export function matchEnvironment(environments, hostname, userId) {
+  const byPattern = environments.find(env =>
+    hostnamePatterns(env).some(pattern => globToRegExp(pattern).test(hostname))
+  );
+
+  if (byPattern) {
+    return { environment: byPattern, matchedBy: 'pattern' };
+  }
+
+  const local = environments.find(env =>
+    env.type === 'local' &&
+    env.user_id === userId &&
+    env.hostname &&
+    env.hostname.toLowerCase() === hostname.toLowerCase()
+  );
+
+  return local ? { environment: local, matchedBy: 'hostname' } : null;
+}
+
+// Team project whose repo_url matches the remote (active ones first), or null
+export async function findProjectByRemote(gitRemote, teamId) {
+  const wanted = normalizeRepoUrl(gitRemote);
+
+  if (!wanted) return null;
+
+  const result = await pool.query(
+    `SELECT * FROM projects
+     WHERE team_id = $1 AND repo_url IS NOT NULL
+     ORDER BY archived_at IS NOT NULL, created_at DESC`,
+    [teamId]
+  );
+
+  return result.rows.find(project => normalizeRepoUrl(project.repo_url) === wanted) || null;
+}
+
+// Resolve (or create) the environment for a hook client on `hostname`.
+// Service principals (API keys) never get a local environment created.
+export async function registerEnvironment(project, { hostname, user }) {
+  const environments = await pool.query(
+    'SELECT * FROM environments WHERE project_id = $1 ORDER BY created_at',
+    [project.id]
+  );
+
+  const match = matchEnvironment(environments.rows, hostname, user.id);
+
+  if (match) {
+    return { ...match, created: false };
+  }
+
+  if (!user.id) {
+    return { environment: null, matchedBy: null, created: false };
+  }
+
+  const name = `local-${hostname}`.slice(0, 100);
+
+  const inserted = await pool.query(
+    `INSERT INTO environments (project_id, name, type, hostname, user_id, settings)
+     VALUES ($1, $2, 'local', $3, $4, $5)
+     ON CONFLICT (project_id, name, user_id) DO UPDATE SET hostname = EXCLUDED.hostname
+     RETURNING *, (xmax = 0) as inserted`,
+    [project.id, name, hostname, user.id, { auto_registered: true }]
+  );
+
+  const { inserted: created, ...environment } = inserted.rows[0];
+
+  return { environment, matchedBy: 'created', created };
+}
+
+// Environment with its project, if the project belongs to the team
+export async function findTeamEnvironment(id, teamId) {
+  const result = await pool.query(
+    `SELECT env.*, p.name as project_name, p.team_id, u.username
+     FROM environments env
+     JOIN projects p ON env.project_id = p.id
+     LEFT JOIN users u ON env.user_id = u.id
+     WHERE env.id = $1 AND p.team_id = $2`,
+    [id, teamId]
+  );
+
+  return result.rows[0] || null;
+}
@@ -0,0 +1,385 @@
+import { WebSocketServer } from 'ws';
+import pool from '../config/database.js';
+import { resolveAccessToken } from '../middleware/auth.js';
+import { EVENT_TOPICS, EVENT_CHANNEL, getEvent, eventsSince, eventBounds, pruneEvents } from './events.js';
+
+// WebSocket endpoint for live dashboards.
+//
+// Connect to /api/events with the same JWT access token as the REST API
+// (Authorization header, or ?access_token= for browsers), then send:
+//   { "type": "subscribe", "topics": ["evidence.*"], "project_id": "...",
+//     "environment_id": "...", "last_event_id": 123 }
+//   { "type": "auth", "token": "<refreshed access token>" }   before it expires
+//   { "type": "unsubscribe" }
+// Events arrive as { "type": "event", "id", "topic", ... }. After a reconnect,
+// subscribing with last_event_id replays what was missed; if that is no longer
+// possible the server sends { "type": "resync_required" } instead.
+
+export const EVENT_STREAM_PATH = '/api/events';
+
+const HEARTBEAT_SECONDS = parseInt(process.env.EVENT_STREAM_HEARTBEAT_SECONDS || '30');
+const REPLAY_LIMIT = parseInt(process.env.EVENT_STREAM_REPLAY_LIMIT || '1000');
+const REPLAY_PAGE_SIZE = 200;
+const LISTEN_RETRY_MS = 5000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Close codes sent to clients (4000-4999 are application defined)
+const CLOSE_UNAUTHORIZED = 4001;
+
+function tokenFromRequest(req) {
+  const header = req.headers.authorization;
+
+  if (header && header.startsWith('Bearer ')) {
+    return header.substring(7);
+  }
+
+  return new URL(req.url, 'http://localhost').searchParams.get('access_token');
+}
+
+function toList(value) {
+  if (value === undefined || value === null) return null;
+  return (Array.isArray(value) ? value : [value]).map(String);
+}
+
+// Validate a subscribe message; returns { error } or { subscription }
+export function parseSubscription(message) {
+  const topics = toList(message.topics) || ['*'];
+
+  for (const topic of topics) {
+    const known = topic === '*' ||
+      EVENT_TOPICS.includes(topic) ||
+      (topic.endsWith('.*') && EVENT_TOPICS.some(t => t.startsWith(topic.slice(0, -1))));
+
+    if (!known) {
+      return { error: `Unknown topic "${topic}"` };
+    }
+  }
+
+  const lastEventId = message.last_event_id === undefined ? null : Number(message.last_event_id);
+
+  if (lastEventId !== null && !(Number.isInteger(lastEventId) && lastEventId >= 0)) {
+    return { error: 'last_event_id must be a non-negative integer' };
+  }
+
+  return {
+    subscription: {
+      topics,
+      projectIds: toList(message.project_id),
+      environmentIds: toList(message.environment_id),
+      lastEventId
+    }
+  };
+}
+
+export function matchesSubscription(event, subscription, user) {
+  if (event.team_id !== user.team_id) return false;
+  if (event.visible_to && event.visible_to !== user.id) return false;
+
+  const topicMatch = subscription.topics.some(topic =>
+    topic === '*' || topic === event.topic || (topic.endsWith('.*') && event.topic.startsWith(topic.slice(0, -1)))
+  );
+
+  if (!topicMatch) return false;
+  if (subscription.projectIds && !subscription.projectIds.includes(event.project_id)) return false;
+  if (subscription.environmentIds && !subscription.environmentIds.includes(event.environment_id)) return false;
+
+  return true;
+}
+
+function toMessage(event) {
+  return {
+    type: 'event',
+    id: Number(event.id),
+    topic: event.topic,
+    project_id: event.project_id,
+    environment_id: event.environment_id,
+    user_id: event.user_id,
+    created_at: event.created_at,
+    data: event.data
+  };
+}
+
+function send(socket, message) {
+  if (socket.readyState === socket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+}
+
+// Send one live event unless replay already covered it
+function deliver(socket, event) {
+  const { state } = socket;
+
+  if (!state.subscription || !matchesSubscription(event, state.subscription, state.user)) return;
+
+  if (state.replaying) {
+    state.pending.push(event);
+    return;
+  }
+
+  if (Number(event.id) <= state.lastSentId) return;
+
+  state.lastSentId = Number(event.id);
+  send(socket, toMessage(event));
+}
+
+// Replay everything after state.lastSentId, then flush events that arrived meanwhile
+async function catchUp(socket) {
+  const { state } = socket;
+  state.replaying = true;
+
+  try {
+    const { latest, oldest } = await eventBounds();
+
+    // Events in the gap were pruned; the client has to reload its data
+    if (oldest !== null && state.lastSentId + 1 < oldest) {
+      state.lastSentId = latest;
+      send(socket, { type: 'resync_required', last_event_id: latest });
+      return;
+    }
+
+    let replayed = 0;
+
+    while (replayed < REPLAY_LIMIT) {
+      const events = await eventsSince(state.user, state.lastSentId, REPLAY_PAGE_SIZE);
+
+      for (const event of events) {
+        state.lastSentId = Number(event.id);
+        if (matchesSubscription(event, state.subscription, state.user)) {
+          send(socket, toMessage(event));
+          replayed++;
+        }
+      }
+
+      if (events.length < REPLAY_PAGE_SIZE) break;
+    }
+
+    if (replayed >= REPLAY_LIMIT) {
+      state.lastSentId = latest;
+      send(socket, { type: 'resync_required', last_event_id: latest });
+    }
+  } finally {
+    flushPending(socket);
+  }
+}
+
+function flushPending(socket) {
+  const { state } = socket;
+  const pending = state.pending;
+
+  state.replaying = false;
+  state.pending = [];
+  pending.forEach(event => deliver(socket, event));
+}
+
+async function handleMessage(socket, raw) {
+  const { state } = socket;
+  let message;
+
+  try {
+    message = JSON.parse(raw.toString());
+  } catch {
+    return send(socket, { type: 'error', error: 'Messages must be JSON' });
+  }
+
+  if (message.type === 'subscribe') {
+    const { error, subscription } = parseSubscription(message);
+
+    if (error) {
+      return send(socket, { type: 'error', error });
+    }
+
+    // Hold live events until the starting point is known
+    state.subscription = subscription;
+    state.replaying = true;
+
+    let latest;
+
+    try {
+      ({ latest } = await eventBounds());
+    } catch (error) {
+      flushPending(socket);
+      throw error;
+    }
+
+    state.lastSentId = subscription.lastEventId ?? latest;
+
+    send(socket, {
+      type: 'subscribed',
+      topics: subscription.topics,
+      project_id: subscription.projectIds,
+      environment_id: subscription.environmentIds,
+      last_event_id: state.lastSentId
+    });
+
+    if (subscription.lastEventId !== null) {
+      await catchUp(socket);
+    } else {
+      flushPending(socket);
+    }
+    return;
+  }
+
+  if (message.type === 'unsubscribe') {
+    state.subscription = null;
+    return send(socket, { type: 'unsubscribed' });
+  }
+
+  if (message.type === 'auth') {
+    const auth = await authenticate(message.token);
+
+    if (auth.error || auth.user.id !== state.user.id) {
+      return socket.close(CLOSE_UNAUTHORIZED, auth.error || 'Token belongs to another user');
+    }
+
+    Object.assign(state, { token: message.token, user: auth.user, tokenExpiresAt: auth.tokenExpiresAt });
+    return send(socket, { type: 'authenticated', expires_at: auth.tokenExpiresAt });
+  }
+
+  if (message.type === 'ping') {
+    return send(socket, { type: 'pong' });
+  }
+
+  send(socket, { type: 'error', error: `Unknown message type "${message.type}"` });
+}
+
+async function authenticate(token) {
+  if (!token) return { error: 'No token provided' };
+
+  try {
+    return await resolveAccessToken(token);
+  } catch {
+    return { error: 'Invalid token' };
+  }
+}
+
+// Ping each socket and re-check its session, so revoked sessions, deactivated
+// users and expired tokens are disconnected (and team changes picked up)
+async function heartbeat(wss) {
+  for (const socket of wss.clients) {
+    const { state } = socket;
+
+    if (!state.alive) {
+      socket.terminate();
+      continue;
+    }
+
+    state.alive = false;
+    socket.ping();
+
+    if (state.tokenExpiresAt <= new Date()) {
+      socket.close(CLOSE_UNAUTHORIZED, 'Token expired');
+      continue;
+    }
+
+    const auth = await authenticate(state.token);
+
+    if (auth.error) {
+      socket.close(CLOSE_UNAUTHORIZED, auth.error);
+    } else {
+      state.user = auth.user;
+    }
+  }
+}
+
+// Dedicated LISTEN connection; on reconnect every socket catches up on what
+// was announced while it was down
+async function listen(wss, onReady) {
+  try {
+    const client = await pool.connect();
+
+    client.on('notification', async notification => {
+      try {
+        const event = await getEvent(notification.payload);
+        if (!event) return;
+
+        for (const socket of wss.clients) {
+          deliver(socket, event);
+        }
+      } catch (error) {
+        console.error('Event stream delivery error:', error.message);
+      }
+    });
+
+    client.on('error', error => {
+      console.error('Event stream listener lost:', error.message);
+      client.release(true);
+      setTimeout(() => listen(wss, resync), LISTEN_RETRY_MS).unref();
+    });
+
+    await client.query(`LISTEN ${EVENT_CHANNEL}`);
+    onReady(wss);
+  } catch (error) {
+    console.error('Event stream listener failed:', error.message);
+    setTimeout(() => listen(wss, resync), LISTEN_RETRY_MS).unref();
+  }
+}
+
+function resync(wss) {
+  for (const socket of wss.clients) {
+    if (socket.state.subscription) {
+      catchUp(socket).catch(error => console.error('Event stream resync error:', error.message));
+    }
+  }
+}
+
+// Attach the event stream to the HTTP server returned by app.listen()
+export function attachEventStream(server) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', async (req, socket, head) => {
+    if (new URL(req.url, 'http://localhost').pathname !== EVENT_STREAM_PATH) {
+      socket.destroy();
+      return;
+    }
+
+    const token = tokenFromRequest(req);
+    const auth = await authenticate(token);
+
+    if (auth.error) {
+      socket.end('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, ws => {
+      ws.state = {
+        token,
+        user: auth.user,
+        tokenExpiresAt: auth.tokenExpiresAt,
+        subscription: null,
+        lastSentId: 0,
+        replaying: false,
+        pending: [],
+        alive: true
+      };
+
+      ws.on('pong', () => { ws.state.alive = true; });
+      ws.on('message', raw => {
+        handleMessage(ws, raw).catch(error => {
+          console.error('Event stream message error:', error.message);
+          send(ws, { type: 'error', error: 'Failed to process message' });
+        });
+      });
+
+      send(ws, { type: 'welcome', topics: EVENT_TOPICS, token_expires_at: auth.tokenExpiresAt });
+    });
+  });
+
+  const heartbeatTimer = setInterval(() => {
+    heartbeat(wss).catch(error => console.error('Event stream heartbeat error:', error.message));
+  }, HEARTBEAT_SECONDS * 1000);
+  heartbeatTimer.unref();
+
+  const pruneTimer = setInterval(() => {
+    pruneEvents().catch(error => console.error('Event prune failed:', error.message));
+  }, PRUNE_INTERVAL_MS);
+  pruneTimer.unref();
+
+  listen(wss, () => {});
+
+  wss.on('close', () => {
+    clearInterval(heartbeatTimer);
+    clearInterval(pruneTimer);
+  });
+
+  return wss;
+}
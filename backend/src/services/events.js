@@ -0,0 +1,118 @@
+import pool from '../config/database.js';
+
+// Team events for the live dashboard stream. Every event is stored in
+// event_stream (so clients can resume after reconnecting) and announced on a
+// Postgres channel, so each API instance can push it to its own sockets.
+
+export const EVENT_TOPICS = [
+  'evidence.submitted',
+  'evidence.verification_failed',
+  'hook.updated',
+  'mcp.connection_opened',
+  'mcp.connection_closed',
+  'mcp.tool_error',
+  'mcp.tool_denied'
+];
+
+export const EVENT_CHANNEL = 'governance_events';
+
+const EVENT_RETENTION_HOURS = parseInt(process.env.EVENT_RETENTION_HOURS || '24');
+
+// Store and announce an event. Never throws: a failed publish must not fail
+// the request that caused it.
+export async function publishEvent(topic, { teamId, projectId = null, environmentId = null, userId = null, visibleTo = null, data = {} }) {
+  if (!teamId) return null;
+
+  try {
+    const result = await pool.query(
+      `WITH inserted AS (
+         INSERT INTO event_stream (team_id, topic, project_id, environment_id, user_id, visible_to, data)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING id
+       )
+       SELECT id, pg_notify($8, id::text) FROM inserted`,
+      [teamId, topic, projectId, environmentId, userId, visibleTo, data, EVENT_CHANNEL]
+    );
+
+    return result.rows[0].id;
+  } catch (error) {
+    console.error(`Event publish failed (${topic}):`, error.message);
+    return null;
+  }
+}
+
+// Evidence events carry a summary only, never the evidence content
+export async function publishEvidenceEvents(evidence, verification, { submitted = false } = {}) {
+  // Private evidence from an API key has no owner to show it to; a null
+  // visible_to would broadcast it to the whole team
+  if (evidence.visibility === 'private' && !evidence.user_id) return;
+
+  const target = {
+    teamId: evidence.team_id,
+    projectId: evidence.project_id,
+    environmentId: evidence.environment_id,
+    userId: evidence.user_id,
+    visibleTo: evidence.visibility === 'private' ? evidence.user_id : null
+  };
+  const data = {
+    evidence_id: evidence.id,
+    task_category: evidence.task_category,
+    evidence_type: evidence.evidence_type,
+    verification_status: verification.status,
+    repo_branch: evidence.repo_branch,
+    commit_sha: evidence.commit_sha,
+    submitted_via: evidence.submitted_via
+  };
+
+  if (submitted) {
+    await publishEvent('evidence.submitted', { ...target, data });
+  }
+
+  if (verification.status === 'failed') {
+    const failed = (verification.results || [])
+      .filter(result => result.passed === false)
+      .map(result => result.rule_name);
+
+    await publishEvent('evidence.verification_failed', { ...target, data: { ...data, failed_rules: failed } });
+  }
+}
+
+// Event row by id (for fan-out after a notification)
+export async function getEvent(id) {
+  const result = await pool.query('SELECT * FROM event_stream WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+// Team events after `afterId` that the user may see, oldest first
+export async function eventsSince(user, afterId, limit) {
+  const result = await pool.query(
+    `SELECT * FROM event_stream
+     WHERE team_id = $1 AND id > $2 AND (visible_to IS NULL OR visible_to = $3)
+     ORDER BY id
+     LIMIT $4`,
+    [user.team_id, afterId, user.id, limit]
+  );
+
+  return result.rows;
+}
+
+// Newest event id overall and the oldest one still retained
+export async function eventBounds() {
+  const result = await pool.query(
+    'SELECT COALESCE(MAX(id), 0)::text as latest, MIN(id)::text as oldest FROM event_stream'
+  );
+
+  return {
+    latest: parseInt(result.rows[0].latest),
+    oldest: result.rows[0].oldest === null ? null : parseInt(result.rows[0].oldest)
+  };
+}
+
+export async function pruneEvents() {
+  const result = await pool.query(
+    'DELETE FROM event_stream WHERE created_at < NOW() - make_interval(hours => $1)',
+    [EVENT_RETENTION_HOURS]
+  );
+
+  return result.rowCount;
+}
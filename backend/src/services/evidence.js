@@ -0,0 +1,385 @@
+import pool from '../config/database.js';
+import { verifyEvidence } from './verification.js';
+import { getArtifactStorage, sha256 } from './artifact-storage.js';
+import { mergeRedactions } from './redaction.js';
+
+export const EVIDENCE_VISIBILITIES = ['private', 'team', 'organization', 'public'];
+
+// Read access policy for every evidence query: private to the owner, team to
+// members of the owning team, organization to every team sharing
+// teams.organization, public to any authenticated principal. Appends its
+// values to `params` and returns the SQL condition on `alias`.
+export function evidenceAccessCondition(user, params, alias = 'e') {
+  params.push(user.id, user.team_id, user.organization || null);
+  const [userParam, teamParam, orgParam] = [params.length - 2, params.length - 1, params.length];
+
+  return `(${alias}.visibility = 'public'
+    OR ${alias}.user_id = $${userParam}
+    OR (${alias}.team_id = $${teamParam} AND COALESCE(${alias}.visibility, 'team') <> 'private')
+    OR (${alias}.visibility = 'organization'
+        AND ${alias}.team_id IN (SELECT id FROM teams WHERE organization = $${orgParam})))`;
+}
+
+// Evidence row the user may read, or null
+export async function findAccessibleEvidence(id, user) {
+  const params = [id];
+  const access = evidenceAccessCondition(user, params);
+
+  const result = await pool.query(
+    `SELECT e.*, u.username, u.full_name, t.name as team_name
+     FROM evidence_repository_v2 e
+     LEFT JOIN users u ON e.user_id = u.id
+     LEFT JOIN teams t ON e.team_id = t.id
+     WHERE e.id = $1 AND ${access}`,
+    params
+  );
+
+  return result.rows[0] || null;
+}
+
+// Evidence owners may change who can read it; so may admins of the owning team
+export function canChangeVisibility(evidence, user) {
+  return (evidence.user_id && evidence.user_id === user.id) ||
+    (user.role === 'admin' && evidence.team_id === user.team_id);
+}
+
+export async function updateEvidenceVisibility(id, visibility) {
+  const result = await pool.query(
+    `UPDATE evidence_repository_v2 SET visibility = $2 WHERE id = $1
+     RETURNING id, visibility`,
+    [id, visibility]
+  );
+
+  return result.rows[0] || null;
+}
+
+export async function listArtifacts(evidenceId) {
+  const result = await pool.query(
+    `SELECT a.*, u.username as uploaded_by_name
+     FROM evidence_artifacts a
+     LEFT JOIN users u ON a.uploaded_by = u.id
+     WHERE a.evidence_id = $1
+     ORDER BY a.created_at`,
+    [evidenceId]
+  );
+
+  return result.rows;
+}
+
+// Store an uploaded file and link it to evidence. Identical content is kept
+// once; re-uploading it to the same evidence returns the existing link.
+export async function attachArtifact(evidence, { buffer, mimeType, filename, artifactType, user, apiKeyId = null }) {
+  const storage = getArtifactStorage();
+  const hash = sha256(buffer);
+
+  await storage.put(hash, buffer);
+
+  await pool.query(
+    `INSERT INTO artifact_blobs (sha256, size_bytes, mime_type, storage_backend)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (sha256) DO NOTHING`,
+    [hash, buffer.length, mimeType, storage.name]
+  );
+
+  const inserted = await pool.query(
+    `INSERT INTO evidence_artifacts
+     (evidence_id, sha256, artifact_type, filename, mime_type, size_bytes, uploaded_by, api_key_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     ON CONFLICT (evidence_id, sha256) DO NOTHING
+     RETURNING *`,
+    [evidence.id, hash, artifactType, filename, mimeType, buffer.length, user.id, apiKeyId]
+  );
+
+  if (inserted.rows.length > 0) {
+    return { artifact: inserted.rows[0], created: true };
+  }
+
+  const existing = await pool.query(
+    'SELECT * FROM evidence_artifacts WHERE evidence_id = $1 AND sha256 = $2',
+    [evidence.id, hash]
+  );
+
+  return { artifact: existing.rows[0], created: false };
+}
+
+// Add the redactions made in uploaded artifacts to the evidence's counts
+export async function addEvidenceRedactions(evidence, redactions) {
+  await pool.query(
+    'UPDATE evidence_repository_v2 SET redactions = $2, redacted_at = NOW() WHERE id = $1',
+    [evidence.id, JSON.stringify(mergeRedactions(evidence.redactions, redactions))]
+  );
+}
+
+// Re-run verification with the evidence's current artifacts and store the verdict
+export async function reverifyEvidence(evidence) {
+  const artifacts = await listArtifacts(evidence.id);
+  const verification = await verifyEvidence({ ...evidence, artifacts });
+
+  await pool.query(
+    `UPDATE evidence_repository_v2
+     SET verification_status = $2, verification_results = $3, verified_at = NOW()
+     WHERE id = $1`,
+    [evidence.id, verification.status, JSON.stringify(verification.results)]
+  );
+
+  return verification;
+}
+
+// Readable evidence that cites any of the given ArangoDB keys (pattern/standard)
+export async function listEvidenceCitingKnowledge(keys, user, limit = 100) {
+  if (keys.length === 0) return [];
+
+  const params = [keys, limit];
+  const access = evidenceAccessCondition(user, params);
+
+  const result = await pool.query(
+    `SELECT e.id, e.task_category, e.evidence_type, e.verification_status, e.created_at,
+            e.knowledge_pattern_id, e.coding_standard_id, e.project_id, e.commit_sha,
+            e.visibility, u.username
+     FROM evidence_repository_v2 e
+     LEFT JOIN users u ON e.user_id = u.id
+     WHERE ${access}
+       AND (e.knowledge_pattern_id = ANY($1) OR e.coding_standard_id = ANY($1))
+     ORDER BY e.created_at DESC
+     LIMIT $2`,
+    params
+  );
+
+  return result.rows;
+}
+
+// Filtered, paginated listing of the evidence the user may read. Commit SHAs
+// match by prefix so short SHAs work. filters.visibility widens the search:
+// 'private' (own evidence), 'team' (the default: the user's team),
+// 'organization' (plus other teams' organization evidence) or 'public'
+// (everything readable).
+export async function searchEvidence(filters, user, { limit = 100, offset = 0 } = {}) {
+  const params = [];
+  const conditions = [evidenceAccessCondition(user, params)];
+  let paramIndex = params.length + 1;
+
+  const scope = EVIDENCE_VISIBILITIES.includes(filters.visibility) ? filters.visibility : 'team';
+
+  if (scope === 'private') {
+    conditions.push(`e.user_id = $${paramIndex++}`);
+    params.push(user.id);
+  } else if (scope === 'team') {
+    conditions.push(`e.team_id = $${paramIndex++}`);
+    params.push(user.team_id);
+  } else if (scope === 'organization') {
+    conditions.push(`(e.team_id = $${paramIndex++} OR e.visibility = 'organization')`);
+    params.push(user.team_id);
+  }
+
+  const exact = {
+    team_id: filters.team_id,
+    task_category: filters.category,
+    user_id: filters.user_id,
+    project_id: filters.project_id,
+    environment_id: filters.environment_id,
+    repo_branch: filters.branch || filters.repo_branch,
+    git_remote: filters.git_remote,
+    verification_status: filters.status
+  };
+
+  for (const [column, value] of Object.entries(exact)) {
+    if (value) {
+      conditions.push(`e.${column} = $${paramIndex++}`);
+      params.push(value);
+    }
+  }
+
+  if (filters.commit_sha) {
+    conditions.push(`e.commit_sha LIKE $${paramIndex++}`);
+    params.push(`${filters.commit_sha.toLowerCase()}%`);
+  }
+
+  if (filters.from_date) {
+    conditions.push(`e.created_at >= $${paramIndex++}`);
+    params.push(filters.from_date);
+  }
+
+  if (filters.to_date) {
+    conditions.push(`e.created_at <= $${paramIndex++}`);
+    params.push(filters.to_date);
+  }
+
+  const whereClause = 'WHERE ' + conditions.join(' AND ');
+
+  const result = await pool.query(
+    `SELECT e.*, u.username, u.full_name
+     FROM evidence_repository_v2 e
+     LEFT JOIN users u ON e.user_id = u.id
+     ${whereClause}
+     ORDER BY e.created_at DESC
+     LIMIT $${paramIndex++} OFFSET $${paramIndex}`,
+    [...params, limit, offset]
+  );
+
+  const countResult = await pool.query(
+    `SELECT COUNT(*) FROM evidence_repository_v2 e ${whereClause}`,
+    params
+  );
+
+  return { rows: result.rows, count: parseInt(countResult.rows[0].count) };
+}
+
+// Task categories every commit of a project should carry evidence for:
+// projects.settings.required_categories, else each category with enabled rules
+export async function requiredCategories(projectId) {
+  if (projectId) {
+    const project = await pool.query('SELECT settings FROM projects WHERE id = $1', [projectId]);
+    const configured = project.rows[0]?.settings?.required_categories;
+
+    if (Array.isArray(configured) && configured.length > 0) {
+      return configured;
+    }
+  }
+
+  const result = await pool.query(
+    'SELECT DISTINCT category FROM verification_rules WHERE enabled = true ORDER BY category'
+  );
+
+  return result.rows.map(row => row.category);
+}
+
+// Verdict for one commit: a category is passed when any of its evidence
+// passed, failed when some failed and none passed, otherwise unverified.
+// The commit is verified when every required category passed.
+export function summarizeCommit(rows, required) {
+  const categories = {};
+
+  for (const row of rows) {
+    const current = categories[row.task_category];
+    const status = row.verification_status || 'unverified';
+
+    if (!current || status === 'passed' || (status === 'failed' && current.status === 'unverified')) {
+      categories[row.task_category] = { status, evidence_count: (current?.evidence_count || 0) + 1 };
+    } else {
+      current.evidence_count += 1;
+    }
+  }
+
+  const missing = required.filter(category => !categories[category]);
+  const failing = Object.keys(categories).filter(category => categories[category].status !== 'passed');
+  const present = Object.keys(categories);
+
+  return {
+    verified: missing.length === 0 &&
+      required.every(category => categories[category].status === 'passed') &&
+      (required.length > 0 || (present.length > 0 && failing.length === 0)),
+    categories,
+    missing,
+    not_passed: failing
+  };
+}
+
+// All evidence recorded against a commit (SHA prefix), grouped per project
+// and branch with a verification summary for each
+export async function getCommitEvidence(sha, user, { projectId } = {}) {
+  const params = [`${sha.toLowerCase()}%`, projectId || null];
+  const access = evidenceAccessCondition(user, params);
+
+  const result = await pool.query(
+    `SELECT e.*, u.username, p.name as project_name
+     FROM evidence_repository_v2 e
+     LEFT JOIN users u ON e.user_id = u.id
+     LEFT JOIN projects p ON e.project_id = p.id
+     WHERE e.commit_sha LIKE $1
+       AND ($2::uuid IS NULL OR e.project_id = $2)
+       AND ${access}
+     ORDER BY e.created_at`,
+    params
+  );
+
+  const groups = new Map();
+
+  for (const row of result.rows) {
+    const groupKey = `${row.project_id}|${row.repo_branch}|${row.commit_sha}`;
+
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, {
+        project_id: row.project_id,
+        project_name: row.project_name,
+        repo_branch: row.repo_branch,
+        commit_sha: row.commit_sha,
+        evidence: []
+      });
+    }
+
+    groups.get(groupKey).evidence.push(row);
+  }
+
+  const commits = [];
+
+  for (const group of groups.values()) {
+    const required = await requiredCategories(group.project_id);
+    commits.push({ ...group, ...summarizeCommit(group.evidence, required), required_categories: required });
+  }
+
+  return commits;
+}
+
+// Branch -> commits (most recent activity first) for a project, each with the
+// categories verified and missing at that commit
+export async function getProjectTimeline(projectId, user, { branch, limit = 50 } = {}) {
+  const params = [projectId, limit, branch || null];
+  const access = evidenceAccessCondition(user, params);
+
+  const result = await pool.query(
+    `WITH readable AS (
+       SELECT e.* FROM evidence_repository_v2 e
+       WHERE e.project_id = $1 AND e.commit_sha IS NOT NULL
+         AND ($3::varchar IS NULL OR e.repo_branch = $3)
+         AND ${access}
+     ),
+     commits AS (
+       SELECT repo_branch, commit_sha, MIN(created_at) as first_seen, MAX(created_at) as last_seen
+       FROM readable
+       GROUP BY repo_branch, commit_sha
+       ORDER BY last_seen DESC
+       LIMIT $2
+     )
+     SELECT c.repo_branch, c.commit_sha, c.first_seen, c.last_seen,
+            r.id, r.task_category, r.evidence_type, r.verification_status, r.created_at,
+            r.environment_id, r.visibility, u.username
+     FROM commits c
+     JOIN readable r
+       ON r.commit_sha = c.commit_sha
+      AND r.repo_branch IS NOT DISTINCT FROM c.repo_branch
+     LEFT JOIN users u ON r.user_id = u.id
+     ORDER BY c.last_seen DESC, r.created_at`,
+    params
+  );
+
+  const required = await requiredCategories(projectId);
+  const branches = new Map();
+
+  for (const row of result.rows) {
+    const { repo_branch, commit_sha, first_seen, last_seen, ...evidence } = row;
+
+    if (!branches.has(repo_branch)) {
+      branches.set(repo_branch, { branch: repo_branch, commits: new Map() });
+    }
+
+    const commits = branches.get(repo_branch).commits;
+
+    if (!commits.has(commit_sha)) {
+      commits.set(commit_sha, { commit_sha, first_seen, last_seen, evidence: [] });
+    }
+
+    commits.get(commit_sha).evidence.push(evidence);
+  }
+
+  return {
+    required_categories: required,
+    branches: [...branches.values()].map(({ branch: name, commits }) => ({
+      branch: name,
+      commits: [...commits.values()].map(commit => ({
+        ...commit,
+        evidence_count: commit.evidence.length,
+        ...summarizeCommit(commit.evidence, required)
+      }))
+    }))
+  };
+}
@@ -0,0 +1,355 @@
+import { parseDocument, LineCounter } from 'yaml';
+import pool from '../config/database.js';
+import { ENVIRONMENT_TYPES } from './environments.js';
+import { createHookVersion, sameOrganizationTeam } from './hooks.js';
+import { validateValue, formatPath } from './json-schema.js';
+
+// Repository .governance.yml: parse, validate against GOVERNANCE_SCHEMA with
+// line-numbered errors, and sync into projects.settings, environments and
+// project-scoped hook_configurations_v2 rows
+
+const NAME_PATTERN = '^[A-Za-z0-9][A-Za-z0-9_.-]{0,99}$';
+
+// Published at GET /api/governance/schema (JSON Schema, draft 2020-12 subset)
+export const GOVERNANCE_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: 'governance.yml',
+  title: 'Repository governance configuration',
+  type: 'object',
+  required: ['project'],
+  additionalProperties: false,
+  properties: {
+    version: { type: 'integer', enum: [1] },
+    project: {
+      type: 'object',
+      required: ['id'],
+      additionalProperties: false,
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        name: { type: 'string', minLength: 1, maxLength: 255 },
+        default_branch: { type: 'string', minLength: 1, maxLength: 100 }
+      }
+    },
+    environments: {
+      type: 'object',
+      propertyNames: { pattern: NAME_PATTERN },
+      additionalProperties: {
+        type: 'object',
+        required: ['hostname_pattern'],
+        additionalProperties: false,
+        properties: {
+          type: { type: 'string', enum: ENVIRONMENT_TYPES },
+          hostname_pattern: { type: 'string', minLength: 1, maxLength: 500 },
+          api_url: { type: 'string', format: 'uri' }
+        }
+      }
+    },
+    hooks: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        enabled: { type: 'boolean' },
+        auto_detect_project: { type: 'boolean' },
+        report_commits: { type: 'boolean' },
+        toggles: {
+          type: 'object',
+          propertyNames: { pattern: '^[^\\s]{1,255}$' },
+          additionalProperties: { type: 'boolean' }
+        }
+      }
+    },
+    verification: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        required_categories: {
+          type: 'array',
+          items: { type: 'string', minLength: 1, maxLength: 100 }
+        }
+      }
+    }
+  }
+};
+
+// Source position of a path, falling back to the nearest ancestor present.
+// `key` locates the mapping key rather than its value.
+function locate(doc, lineCounter, path, key = false) {
+  for (let depth = path.length; depth >= 0; depth--) {
+    const parentPath = path.slice(0, depth - 1);
+    const parent = depth > 0 ? (parentPath.length ? doc.getIn(parentPath, true) : doc.contents) : null;
+    let node = depth > 0 ? doc.getIn(path.slice(0, depth), true) : doc.contents;
+
+    if (key && depth === path.length && parent && Array.isArray(parent.items)) {
+      const pair = parent.items.find(item => item.key && String(item.key.value ?? item.key) === String(path[depth - 1]));
+      node = pair?.key || node;
+    }
+
+    if (node && node.range) {
+      const { line, col } = lineCounter.linePos(node.range[0]);
+      return { line, column: col };
+    }
+  }
+
+  return { line: 1, column: 1 };
+}
+
+// Parse and validate; returns { config, errors } where errors carry line/column
+export function parseGovernanceConfig(source) {
+  const lineCounter = new LineCounter();
+  const doc = parseDocument(source, { lineCounter, prettyErrors: false, uniqueKeys: true });
+
+  if (doc.errors.length > 0) {
+    return {
+      config: null,
+      errors: doc.errors.map(error => {
+        const { line, col } = lineCounter.linePos(error.pos[0]);
+        return { line, column: col, path: '', message: error.message.split('\n')[0] };
+      })
+    };
+  }
+
+  const config = doc.toJS() ?? {};
+  const found = [];
+
+  validateValue(config, GOVERNANCE_SCHEMA, [], found);
+
+  const errors = found.map(error => ({
+    ...locate(doc, lineCounter, error.path, error.key),
+    path: formatPath(error.path),
+    message: error.message
+  }));
+
+  return { config: errors.length === 0 ? config : null, errors, doc, lineCounter };
+}
+
+// Error for a config value that is well-formed but does not fit the tree
+export function semanticError(parsed, path, message) {
+  return {
+    ...locate(parsed.doc, parsed.lineCounter, path),
+    path: formatPath(path),
+    message
+  };
+}
+
+// Environment type from the YAML, else inferred from its name
+function environmentType(name, env) {
+  if (env.type) return env.type;
+  if (name === 'local') return 'local';
+  if (['prod', 'production'].includes(name)) return 'production';
+  return 'shared';
+}
+
+function sameJson(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+// Latest row per scope for the named hooks visible to the project
+async function currentHookLineages(client, project, names) {
+  const result = await client.query(
+    `SELECT DISTINCT ON (name, COALESCE(scope, 'team')) *
+     FROM hook_configurations_v2
+     WHERE name = ANY($1)
+       AND ((scope = 'global' AND ${sameOrganizationTeam('team_id', '$2')})
+         OR (COALESCE(scope, 'team') = 'team' AND team_id = $2)
+         OR (scope = 'project' AND project_id = $3))
+     ORDER BY name, COALESCE(scope, 'team'), version DESC`,
+    [names, project.team_id, project.id]
+  );
+
+  const lineages = {};
+
+  for (const row of result.rows) {
+    const scope = row.scope || 'team';
+    lineages[row.name] = { ...lineages[row.name], [scope]: { ...row, scope } };
+  }
+
+  return lineages;
+}
+
+// Work out what syncing `config` into `project` would change. Returns
+// { changes, errors }; changes carry what apply needs.
+export async function planGovernanceSync(parsed, project, client = pool) {
+  const { config } = parsed;
+  const changes = [];
+  const errors = [];
+
+  if (config.project.id !== project.id) {
+    errors.push(semanticError(parsed, ['project', 'id'], `project.id does not match project ${project.id}`));
+  }
+
+  // Project settings
+  const governance = {
+    hooks: {
+      enabled: config.hooks?.enabled ?? true,
+      auto_detect_project: config.hooks?.auto_detect_project ?? true,
+      report_commits: config.hooks?.report_commits ?? true
+    }
+  };
+  const currentSettings = project.settings || {};
+  const nextSettings = { ...currentSettings, hooks: governance.hooks };
+
+  if (config.verification?.required_categories) {
+    nextSettings.required_categories = config.verification.required_categories;
+  }
+
+  const projectBefore = {
+    name: project.name,
+    default_branch: project.default_branch,
+    hooks: currentSettings.hooks || null,
+    required_categories: currentSettings.required_categories || null
+  };
+  const projectAfter = {
+    name: config.project.name ?? project.name,
+    default_branch: config.project.default_branch ?? project.default_branch,
+    hooks: nextSettings.hooks,
+    required_categories: nextSettings.required_categories || null
+  };
+
+  changes.push({
+    target: 'project',
+    name: project.name,
+    action: sameJson(projectBefore, projectAfter) ? 'unchanged' : 'update',
+    before: projectBefore,
+    after: projectAfter,
+    settings: nextSettings
+  });
+
+  // Environments (user_id NULL rows, matched by name). Environments missing
+  // from the file are reported but kept: evidence still references them.
+  const existing = await client.query(
+    'SELECT * FROM environments WHERE project_id = $1 AND user_id IS NULL',
+    [project.id]
+  );
+  const byName = new Map(existing.rows.map(env => [env.name, env]));
+  const declared = config.environments || {};
+
+  for (const [name, env] of Object.entries(declared)) {
+    const current = byName.get(name);
+    const after = {
+      type: environmentType(name, env),
+      hostname_patterns: env.hostname_pattern.split('|').map(p => p.trim()).filter(Boolean),
+      api_url: env.api_url || null
+    };
+
+    if (!current) {
+      changes.push({ target: 'environment', name, action: 'create', before: null, after });
+      continue;
+    }
+
+    const before = {
+      type: current.type,
+      hostname_patterns: current.settings?.hostname_patterns || [],
+      api_url: current.settings?.api_url || null
+    };
+
+    changes.push({
+      target: 'environment',
+      name,
+      id: current.id,
+      action: sameJson(before, after) ? 'unchanged' : 'update',
+      before,
+      after,
+      settings: current.settings || {}
+    });
+  }
+
+  for (const env of existing.rows) {
+    if (!declared[env.name]) {
+      changes.push({ target: 'environment', name: env.name, id: env.id, action: 'unmanaged', before: null, after: null });
+    }
+  }
+
+  // Hook toggles become project-scoped versions of team/global hooks
+  const toggles = config.hooks?.toggles || {};
+  const lineages = await currentHookLineages(client, project, Object.keys(toggles));
+
+  for (const [name, enabled] of Object.entries(toggles)) {
+    const lineage = lineages[name];
+
+    if (!lineage) {
+      errors.push(semanticError(parsed, ['hooks', 'toggles', name], `unknown hook "${name}"`));
+      continue;
+    }
+
+    const inherited = lineage.team || lineage.global;
+    const current = lineage.project;
+    const effective = current ? current.enabled : Boolean(inherited?.enabled);
+
+    changes.push({
+      target: 'hook',
+      name,
+      action: effective === enabled ? 'unchanged' : (enabled ? 'enable' : 'disable'),
+      before: { enabled: effective, scope: current ? 'project' : inherited.scope },
+      after: { enabled },
+      base: current || inherited
+    });
+  }
+
+  return { changes, errors };
+}
+
+// Apply a plan inside one transaction
+export async function applyGovernanceSync(project, changes, { userId, sourceHash }) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    for (const change of changes) {
+      if (change.action === 'unchanged' || change.action === 'unmanaged') continue;
+
+      if (change.target === 'environment') {
+        const settings = {
+          ...change.settings,
+          hostname_patterns: change.after.hostname_patterns,
+          api_url: change.after.api_url,
+          managed_by: 'governance.yml'
+        };
+
+        if (change.action === 'create') {
+          await client.query(
+            `INSERT INTO environments (project_id, name, type, settings)
+             VALUES ($1, $2, $3, $4)`,
+            [project.id, change.name, change.after.type, settings]
+          );
+        } else {
+          await client.query(
+            'UPDATE environments SET type = $2, settings = $3 WHERE id = $1',
+            [change.id, change.after.type, settings]
+          );
+        }
+      }
+
+      if (change.target === 'hook') {
+        await createHookVersion(
+          { ...change.base, scope: 'project', project_id: project.id, team_id: project.team_id },
+          { enabled: change.after.enabled },
+          { userId, changeNote: 'Synced from .governance.yml', client }
+        );
+      }
+    }
+
+    // Always record the sync, even when nothing else changed
+    const projectChange = changes.find(change => change.target === 'project');
+    const settings = {
+      ...projectChange.settings,
+      governance: { source_hash: sourceHash, synced_at: new Date().toISOString(), synced_by: userId }
+    };
+
+    const result = await client.query(
+      `UPDATE projects
+       SET name = $2, default_branch = $3, settings = $4, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [project.id, projectChange.after.name, projectChange.after.default_branch, settings]
+    );
+
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
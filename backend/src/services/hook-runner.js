@@ -0,0 +1,315 @@
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Sandboxed execution of hook scripts for the hook test runner.
+//
+// Scripts run under bubblewrap: new user, pid, network, ipc and uts
+// namespaces, a read-only view of the system directories only (no app
+// source, no ARTIFACT_DIR, no /proc of the API), and a scratch work dir.
+// When the API runs as root the sandbox is started as an unprivileged uid.
+// bwrap needs unprivileged user namespaces, which Docker's default seccomp
+// profile blocks. In Docker the sandbox therefore runs in the separate
+// hook-runner service (hook-runner-server.js, see docker-compose.yml) and
+// the API forwards runs to it when HOOK_RUNNER_URL is set.
+
+const TIMEOUT_MS = parseInt(process.env.HOOK_TEST_TIMEOUT_MS || '10000');
+const MEMORY_MB = parseInt(process.env.HOOK_TEST_MEMORY_MB || '256');
+const MAX_OUTPUT_BYTES = parseInt(process.env.HOOK_TEST_MAX_OUTPUT || '65536');
+const CPU_SECONDS = Math.max(1, Math.ceil(TIMEOUT_MS / 1000));
+
+const BWRAP = process.env.HOOK_SANDBOX_BWRAP || 'bwrap';
+// uid/gid the sandbox runs as when the API is root (nobody by default)
+const SANDBOX_UID = parseInt(process.env.HOOK_SANDBOX_UID || '65534');
+const SANDBOX_GID = parseInt(process.env.HOOK_SANDBOX_GID || '65534');
+
+// Refuse to run without the sandbox. Only for local development on hosts
+// without bwrap: 'false' runs scripts directly, with the API's access.
+const REQUIRE_SANDBOX = process.env.HOOK_TEST_REQUIRE_SANDBOX !== 'false';
+
+const SANDBOX_WORKDIR = '/work';
+
+const RUNNER_URL = process.env.HOOK_RUNNER_URL || null;
+const RUNNER_TOKEN = process.env.HOOK_RUNNER_TOKEN || '';
+
+// Thrown when hook scripts cannot be run safely on this host
+export class SandboxUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SandboxUnavailableError';
+    this.status = 503;
+  }
+}
+
+function sandboxIdentity() {
+  return process.getuid && process.getuid() === 0 ? { uid: SANDBOX_UID, gid: SANDBOX_GID } : {};
+}
+
+function bwrapArgs(workDir) {
+  return [
+    '--unshare-all',
+    '--die-with-parent',
+    '--new-session',
+    '--ro-bind', '/usr', '/usr',
+    '--ro-bind-try', '/bin', '/bin',
+    '--ro-bind-try', '/sbin', '/sbin',
+    '--ro-bind-try', '/lib', '/lib',
+    '--ro-bind-try', '/lib64', '/lib64',
+    '--ro-bind-try', '/etc/alternatives', '/etc/alternatives',
+    '--proc', '/proc',
+    '--dev', '/dev',
+    '--tmpfs', '/tmp',
+    '--bind', workDir, SANDBOX_WORKDIR,
+    '--chdir', SANDBOX_WORKDIR,
+    '--uid', '65534',
+    '--gid', '65534'
+  ];
+}
+
+let sandboxAvailable = null;
+
+// Detect once whether bwrap can start a sandbox here
+function detectSandbox() {
+  if (!sandboxAvailable) {
+    sandboxAvailable = (async () => {
+      const probeDir = await fs.mkdtemp(path.join(os.tmpdir(), 'hook-probe-'));
+
+      try {
+        const identity = sandboxIdentity();
+        if (identity.uid !== undefined) await fs.chown(probeDir, identity.uid, identity.gid);
+
+        return await new Promise(resolve => {
+          const probe = spawn(BWRAP, [...bwrapArgs(probeDir), '/bin/sh', '-c', 'true'], {
+            stdio: 'ignore',
+            env: { PATH: '/usr/bin:/bin' },
+            ...identity
+          });
+          probe.on('error', () => resolve(false));
+          probe.on('close', code => resolve(code === 0));
+        });
+      } catch {
+        return false;
+      } finally {
+        await fs.rm(probeDir, { recursive: true, force: true });
+      }
+    })();
+  }
+
+  return sandboxAvailable;
+}
+
+// Environment visible to the hook: nothing from the API process leaks in
+export function buildSandboxEnv(context = {}, extra = {}) {
+  const env = {
+    PATH: '/usr/local/bin:/usr/bin:/bin',
+    LANG: 'C.UTF-8',
+    PROJECT_ID: context.project_id || '00000000-0000-0000-0000-000000000000',
+    PROJECT_NAME: context.project_name || 'hook-test-project',
+    ENVIRONMENT: context.environment || 'local',
+    ENVIRONMENT_ID: context.environment_id || '00000000-0000-0000-0000-000000000000',
+    REPO_URL: context.repo_url || 'git@example.com:governance/hook-test.git',
+    REPO_BRANCH: context.repo_branch || 'hook-test',
+    COMMIT_SHA: context.commit_sha || '0000000000000000000000000000000000000000',
+    USER_ID: context.user_id || '',
+    TEAM_ID: context.team_id || '',
+    HOOK_TEST: '1'
+  };
+
+  for (const [key, value] of Object.entries(extra || {})) {
+    if (/^[A-Za-z_][A-Za-z0-9_]*$/.test(key)) {
+      env[key] = String(value);
+    }
+  }
+
+  return env;
+}
+
+function appendCapped(buffer, chunk) {
+  if (buffer.length >= MAX_OUTPUT_BYTES) return { buffer, truncated: true };
+  const next = Buffer.concat([buffer, chunk]);
+  if (next.length > MAX_OUTPUT_BYTES) {
+    return { buffer: next.subarray(0, MAX_OUTPUT_BYTES), truncated: true };
+  }
+  return { buffer: next, truncated: false };
+}
+
+// Run a hook script on the hook-runner service
+async function runRemotely(scriptContent, testInput, context) {
+  let response;
+
+  try {
+    response = await fetch(new URL('/run', RUNNER_URL), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${RUNNER_TOKEN}` },
+      body: JSON.stringify({ script_content: scriptContent, test_input: testInput, context }),
+      signal: AbortSignal.timeout(TIMEOUT_MS + 10000)
+    });
+  } catch (error) {
+    throw new SandboxUnavailableError(`Hook runner unreachable: ${error.message}`);
+  }
+
+  const body = await response.json().catch(() => ({}));
+
+  if (response.status === 503) {
+    throw new SandboxUnavailableError(body.error || 'Hook sandbox unavailable');
+  }
+
+  if (!response.ok) {
+    throw new Error(`Hook runner answered ${response.status}: ${body.error || 'no details'}`);
+  }
+
+  return body;
+}
+
+// Run a hook script. test_input: { stdin, env, args }.
+// Resolves with { exit_code, signal, stdout, stderr, timed_out, execution_time_ms, ... }
+export function runHookScript(scriptContent, testInput = {}, context = {}) {
+  return RUNNER_URL
+    ? runRemotely(scriptContent, testInput, context)
+    : runHookScriptLocally(scriptContent, testInput, context);
+}
+
+// Run a hook script in a sandbox on this host
+export async function runHookScriptLocally(scriptContent, testInput = {}, context = {}) {
+  const sandboxed = await detectSandbox();
+
+  if (!sandboxed && REQUIRE_SANDBOX) {
+    throw new SandboxUnavailableError(
+      'Hook sandbox unavailable (bwrap missing or user namespaces blocked); hook tests are disabled on this host'
+    );
+  }
+
+  const identity = sandboxed ? sandboxIdentity() : {};
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'hook-test-'));
+  const scriptPath = path.join(workDir, 'hook.sh');
+
+  try {
+    await fs.writeFile(scriptPath, scriptContent, { mode: 0o700 });
+
+    if (identity.uid !== undefined) {
+      await fs.chown(workDir, identity.uid, identity.gid);
+      await fs.chown(scriptPath, identity.uid, identity.gid);
+    }
+
+    // Scripts with a shebang choose their interpreter, everything else is bash
+    const target = scriptContent.startsWith('#!') ? '"$0" "$@"' : '/bin/bash "$0" "$@"';
+    const wrapper = [
+      `ulimit -v ${MEMORY_MB * 1024}`,
+      `ulimit -t ${CPU_SECONDS}`,
+      'ulimit -f 10240',
+      `exec ${target}`
+    ].join('; ');
+
+    const args = (Array.isArray(testInput.args) ? testInput.args : []).map(String);
+    const sandboxDir = sandboxed ? SANDBOX_WORKDIR : workDir;
+    const bashArgs = ['-c', wrapper, path.join(sandboxDir, 'hook.sh'), ...args];
+    const [command, commandArgs] = sandboxed
+      ? [BWRAP, [...bwrapArgs(workDir), '/bin/bash', ...bashArgs]]
+      : ['/bin/bash', bashArgs];
+
+    const env = buildSandboxEnv(context, testInput.env);
+    env.HOME = sandboxDir;
+    env.TMPDIR = sandboxDir;
+
+    return await new Promise((resolve, reject) => {
+      const started = Date.now();
+      const child = spawn(command, commandArgs, {
+        cwd: workDir,
+        env,
+        detached: true, // own process group so the timeout kills grandchildren too
+        stdio: ['pipe', 'pipe', 'pipe'],
+        ...identity
+      });
+
+      let stdout = Buffer.alloc(0);
+      let stderr = Buffer.alloc(0);
+      let truncated = false;
+      let timedOut = false;
+
+      const timer = setTimeout(() => {
+        timedOut = true;
+        try {
+          process.kill(-child.pid, 'SIGKILL');
+        } catch {
+          child.kill('SIGKILL');
+        }
+      }, TIMEOUT_MS);
+
+      child.stdout.on('data', chunk => {
+        const out = appendCapped(stdout, chunk);
+        stdout = out.buffer;
+        truncated = truncated || out.truncated;
+      });
+
+      child.stderr.on('data', chunk => {
+        const out = appendCapped(stderr, chunk);
+        stderr = out.buffer;
+        truncated = truncated || out.truncated;
+      });
+
+      child.on('error', error => {
+        clearTimeout(timer);
+        reject(error);
+      });
+
+      child.on('close', (code, signal) => {
+        clearTimeout(timer);
+        resolve({
+          exit_code: code,
+          signal,
+          stdout: stdout.toString('utf8'),
+          stderr: stderr.toString('utf8'),
+          timed_out: timedOut,
+          output_truncated: truncated,
+          sandboxed,
+          network_isolated: sandboxed,
+          execution_time_ms: Date.now() - started
+        });
+      });
+
+      // Hooks receive their payload on stdin (JSON for structured input)
+      child.stdin.on('error', () => {});
+      const stdin = testInput.stdin;
+      if (stdin !== undefined && stdin !== null) {
+        child.stdin.write(typeof stdin === 'string' ? stdin : JSON.stringify(stdin));
+      }
+      child.stdin.end();
+    });
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+// Compare a run against the expected outcome.
+// expected: { exit_code, stdout_contains, stderr_contains, stdout_not_contains }
+export function compareOutcome(run, expected) {
+  const mismatches = [];
+
+  if (run.timed_out) {
+    mismatches.push(`Timed out after ${TIMEOUT_MS}ms`);
+  }
+
+  if (!expected || Object.keys(expected).length === 0) {
+    if (run.exit_code !== 0) mismatches.push(`Exit code ${run.exit_code}, expected 0`);
+    return { passed: mismatches.length === 0, mismatches };
+  }
+
+  if (expected.exit_code !== undefined && run.exit_code !== expected.exit_code) {
+    mismatches.push(`Exit code ${run.exit_code}, expected ${expected.exit_code}`);
+  }
+
+  if (expected.stdout_contains && !run.stdout.includes(expected.stdout_contains)) {
+    mismatches.push(`stdout does not contain "${expected.stdout_contains}"`);
+  }
+
+  if (expected.stderr_contains && !run.stderr.includes(expected.stderr_contains)) {
+    mismatches.push(`stderr does not contain "${expected.stderr_contains}"`);
+  }
+
+  if (expected.stdout_not_contains && run.stdout.includes(expected.stdout_not_contains)) {
+    mismatches.push(`stdout contains "${expected.stdout_not_contains}"`);
+  }
+
+  return { passed: mismatches.length === 0, mismatches };
+}
@@ -0,0 +1,285 @@
+import pool from '../config/database.js';
+import { sameOrganizationTeam } from './hooks.js';
+
+// Hook execution telemetry. Clients report runs in batches, possibly long
+// after they happened (offline buffering); each run carries a client-generated
+// execution_id, so re-uploading a batch never double counts.
+
+export const MAX_EXECUTION_BATCH = 500;
+
+// Exit codes hook scripts use to block work. Anything else non-zero is a hook error.
+export const BLOCKING_EXIT_CODES = {
+  2: 'blocked',
+  10: 'mock_detection',
+  11: 'forbidden_phrase'
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-([0-9a-f]{4}-){3}[0-9a-f]{12}$/i;
+
+// Runs reported further back than this are rejected as clock errors
+const MAX_REPORT_AGE_DAYS = parseInt(process.env.HOOK_TELEMETRY_MAX_AGE_DAYS || '30');
+
+export function classifyExitCode(exitCode) {
+  if (exitCode === 0) return { result: 'passed', blockReason: null };
+  if (BLOCKING_EXIT_CODES[exitCode]) return { result: 'blocked', blockReason: BLOCKING_EXIT_CODES[exitCode] };
+  return { result: 'error', blockReason: null };
+}
+
+// Shape check for one reported run; returns an error message or null
+export function validateExecution(item, now = new Date()) {
+  if (!item || typeof item !== 'object') return 'Execution must be an object';
+  if (!UUID_PATTERN.test(item.execution_id || '')) return 'execution_id must be a UUID';
+  if (!UUID_PATTERN.test(item.hook_id || '')) return 'hook_id must be a UUID';
+  if (!Number.isInteger(item.exit_code)) return 'exit_code must be an integer';
+
+  if (item.hook_version !== undefined && !Number.isInteger(item.hook_version)) {
+    return 'hook_version must be an integer';
+  }
+  if (item.duration_ms !== undefined && !(Number.isInteger(item.duration_ms) && item.duration_ms >= 0)) {
+    return 'duration_ms must be a non-negative integer';
+  }
+
+  for (const field of ['project_id', 'environment_id', 'user_id']) {
+    if (item[field] && !UUID_PATTERN.test(item[field])) return `${field} must be a UUID`;
+  }
+
+  if (item.occurred_at !== undefined) {
+    const occurredAt = new Date(item.occurred_at);
+
+    if (isNaN(occurredAt.getTime())) return 'occurred_at must be a timestamp';
+    if (occurredAt > new Date(now.getTime() + 5 * 60 * 1000)) return 'occurred_at is in the future';
+    if (occurredAt < new Date(now.getTime() - MAX_REPORT_AGE_DAYS * 24 * 60 * 60 * 1000)) {
+      return `occurred_at is older than ${MAX_REPORT_AGE_DAYS} days`;
+    }
+  }
+
+  return null;
+}
+
+const lower = value => (value ? value.toLowerCase() : null);
+
+// Ids returned by `query`, as a Set
+async function existingIds(query, params) {
+  const result = await pool.query(query, params);
+  return new Set(result.rows.map(row => row.id));
+}
+
+// Store a batch of runs for the caller's team. Invalid items are skipped and
+// reported back by index; runs already received count as duplicates, though
+// a repeat upload can still mark a blocked run as overridden.
+export async function recordExecutions(items, { user, apiKey = null }) {
+  const teamId = user.team_id;
+  const rejected = [];
+  const candidates = [];
+  const seen = new Set();
+
+  items.forEach((item, index) => {
+    const error = validateExecution(item);
+
+    if (error) {
+      rejected.push({ index, error });
+      return;
+    }
+
+    if (seen.has(item.execution_id.toLowerCase())) {
+      rejected.push({ index, error: 'Duplicate execution_id in batch' });
+      return;
+    }
+
+    if (apiKey?.project_id && item.project_id && lower(item.project_id) !== apiKey.project_id) {
+      rejected.push({ index, error: 'API key is not valid for this project' });
+      return;
+    }
+
+    seen.add(item.execution_id.toLowerCase());
+    candidates.push({
+      index,
+      item,
+      // Keys bound to a project or environment always report for it
+      projectId: apiKey?.project_id || lower(item.project_id),
+      environmentId: apiKey?.environment_id || lower(item.environment_id),
+      // Humans report their own runs; service keys may attribute runs to a team member
+      userId: apiKey ? lower(item.user_id) : user.id
+    });
+  });
+
+  const ids = field => [...new Set(candidates.map(c => c[field]).filter(Boolean))];
+
+  const hooks = await pool.query(
+    `SELECT id, name, version FROM hook_configurations_v2
+     WHERE id = ANY($1) AND ((scope = 'global' AND ${sameOrganizationTeam('team_id', '$2')}) OR team_id = $2)`,
+    [[...new Set(candidates.map(c => lower(c.item.hook_id)))], teamId]
+  );
+  const hooksById = new Map(hooks.rows.map(row => [row.id, row]));
+
+  const projects = await existingIds(
+    'SELECT id FROM projects WHERE id = ANY($1) AND team_id = $2',
+    [ids('projectId'), teamId]
+  );
+  const environments = await pool.query(
+    `SELECT env.id, env.project_id FROM environments env
+     JOIN projects p ON env.project_id = p.id
+     WHERE env.id = ANY($1) AND p.team_id = $2`,
+    [ids('environmentId'), teamId]
+  );
+  const environmentProjects = new Map(environments.rows.map(row => [row.id, row.project_id]));
+  const users = await existingIds(
+    'SELECT id FROM users WHERE id = ANY($1) AND team_id = $2',
+    [ids('userId'), teamId]
+  );
+
+  const rows = [];
+
+  for (const { index, item, projectId, environmentId, userId } of candidates) {
+    const hook = hooksById.get(lower(item.hook_id));
+    let error = null;
+
+    if (!hook) error = 'Hook not found';
+    else if (projectId && !projects.has(projectId)) error = 'Project not found';
+    else if (environmentId && !environmentProjects.has(environmentId)) error = 'Environment not found';
+    else if (environmentId && projectId && environmentProjects.get(environmentId) !== projectId) error = 'Environment does not belong to the project';
+    else if (userId && !users.has(userId)) error = 'User not found';
+
+    if (error) {
+      rejected.push({ index, error });
+      continue;
+    }
+
+    const { result, blockReason } = classifyExitCode(item.exit_code);
+
+    rows.push({
+      execution_id: item.execution_id,
+      hook_id: hook.id,
+      hook_name: hook.name,
+      hook_version: item.hook_version ?? hook.version,
+      user_id: userId,
+      project_id: projectId,
+      environment_id: environmentId,
+      execution_result: result,
+      block_reason: blockReason,
+      exit_code: item.exit_code,
+      error_message: item.error_message ? String(item.error_message).slice(0, 2000) : null,
+      execution_time_ms: item.duration_ms ?? null,
+      overridden: result === 'blocked' && item.overridden === true,
+      override_reason: item.override_reason ? String(item.override_reason).slice(0, 2000) : null,
+      occurred_at: item.occurred_at ? new Date(item.occurred_at) : null
+    });
+  }
+
+  let accepted = 0;
+
+  if (rows.length > 0) {
+    const inserted = await pool.query(
+      `INSERT INTO hook_execution_log
+       (team_id, api_key_id, execution_id, hook_id, hook_name, hook_version, user_id, project_id,
+        environment_id, execution_result, block_reason, exit_code, error_message, execution_time_ms,
+        overridden, override_reason, occurred_at)
+       SELECT $1, $2, r.execution_id, r.hook_id, r.hook_name, r.hook_version, r.user_id, r.project_id,
+              r.environment_id, r.execution_result, r.block_reason, r.exit_code, r.error_message,
+              r.execution_time_ms, r.overridden, r.override_reason, r.occurred_at
+       FROM jsonb_to_recordset($3::jsonb) AS r(
+         execution_id UUID, hook_id UUID, hook_name VARCHAR, hook_version INTEGER, user_id UUID,
+         project_id UUID, environment_id UUID, execution_result VARCHAR, block_reason VARCHAR,
+         exit_code INTEGER, error_message TEXT, execution_time_ms INTEGER, overridden BOOLEAN,
+         override_reason TEXT, occurred_at TIMESTAMP
+       )
+       ON CONFLICT (team_id, execution_id) DO UPDATE
+         SET overridden = true,
+             override_reason = COALESCE(EXCLUDED.override_reason, hook_execution_log.override_reason)
+         WHERE EXCLUDED.overridden AND NOT hook_execution_log.overridden
+       RETURNING (xmax = 0) as inserted`,
+      [teamId, apiKey?.id || null, JSON.stringify(rows)]
+    );
+
+    accepted = inserted.rows.filter(row => row.inserted).length;
+  }
+
+  return {
+    accepted,
+    duplicates: rows.length - accepted,
+    rejected: rejected.sort((a, b) => a.index - b.index)
+  };
+}
+
+// ==================================
+// EFFECTIVENESS
+// ==================================
+
+// Block rate, false-positive overrides, latency and most affected projects
+// for every version of a hook lineage, limited to the team's own runs
+export async function getHookEffectiveness(hook, teamId, { days = 30, topProjects = 5 } = {}) {
+  const lineage = await pool.query(
+    `SELECT id FROM hook_configurations_v2
+     WHERE name = $1 AND COALESCE(scope, 'team') = $2
+       AND team_id IS NOT DISTINCT FROM $3 AND project_id IS NOT DISTINCT FROM $4`,
+    [hook.name, hook.scope || 'team', hook.team_id, hook.project_id]
+  );
+  const hookIds = lineage.rows.map(row => row.id);
+  const params = [teamId, hookIds, days];
+  const where = `h.team_id = $1 AND h.hook_id = ANY($2)
+     AND COALESCE(h.occurred_at, h.created_at) >= NOW() - make_interval(days => $3)`;
+
+  const stats = `COUNT(*)::int as executions,
+     COUNT(*) FILTER (WHERE h.execution_result = 'blocked')::int as blocked,
+     COUNT(*) FILTER (WHERE h.execution_result = 'error')::int as errors,
+     COUNT(*) FILTER (WHERE h.overridden)::int as overrides,
+     ROUND(100.0 * COUNT(*) FILTER (WHERE h.execution_result = 'blocked') / NULLIF(COUNT(*), 0), 2)::float as block_rate,
+     ROUND(100.0 * COUNT(*) FILTER (WHERE h.overridden) /
+       NULLIF(COUNT(*) FILTER (WHERE h.execution_result = 'blocked'), 0), 2)::float as override_rate`;
+
+  const summary = await pool.query(
+    `SELECT ${stats},
+            COUNT(DISTINCT h.user_id)::int as unique_users,
+            percentile_cont(0.5) WITHIN GROUP (ORDER BY h.execution_time_ms) as p50_ms,
+            percentile_cont(0.9) WITHIN GROUP (ORDER BY h.execution_time_ms) as p90_ms,
+            percentile_cont(0.99) WITHIN GROUP (ORDER BY h.execution_time_ms) as p99_ms,
+            MAX(h.execution_time_ms) as max_ms,
+            MAX(COALESCE(h.occurred_at, h.created_at)) as last_execution_at
+     FROM hook_execution_log h
+     WHERE ${where}`,
+    params
+  );
+
+  const byReason = await pool.query(
+    `SELECT h.exit_code, h.block_reason, COUNT(*)::int as count,
+            COUNT(*) FILTER (WHERE h.overridden)::int as overrides
+     FROM hook_execution_log h
+     WHERE ${where} AND h.execution_result <> 'passed'
+     GROUP BY h.exit_code, h.block_reason
+     ORDER BY count DESC`,
+    params
+  );
+
+  const byVersion = await pool.query(
+    `SELECT h.hook_version as version, ${stats}
+     FROM hook_execution_log h
+     WHERE ${where}
+     GROUP BY h.hook_version
+     ORDER BY h.hook_version DESC`,
+    params
+  );
+
+  const projects = await pool.query(
+    `SELECT h.project_id, p.name as project_name, ${stats}
+     FROM hook_execution_log h
+     JOIN projects p ON h.project_id = p.id
+     WHERE ${where}
+     GROUP BY h.project_id, p.name
+     ORDER BY blocked DESC, executions DESC
+     LIMIT $4`,
+    [...params, topProjects]
+  );
+
+  const { p50_ms, p90_ms, p99_ms, max_ms, ...totals } = summary.rows[0];
+  const round = value => (value === null ? null : Math.round(value));
+
+  return {
+    hook: { id: hook.id, name: hook.name, scope: hook.scope || 'team', version: hook.version },
+    period_days: days,
+    ...totals,
+    latency_ms: { p50: round(p50_ms), p90: round(p90_ms), p99: round(p99_ms), max: max_ms },
+    by_exit_code: byReason.rows,
+    by_version: byVersion.rows,
+    top_projects: projects.rows
+  };
+}
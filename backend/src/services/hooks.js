@@ -0,0 +1,293 @@
+import crypto from 'crypto';
+import { createTwoFilesPatch } from 'diff';
+import pool from '../config/database.js';
+import { runHookScript, compareOutcome } from './hook-runner.js';
+import { redactForTeam } from './redaction.js';
+
+// Higher number wins when the same hook name exists at several scopes
+const SCOPE_PRECEDENCE = {
+  global: 1,
+  team: 2,
+  project: 3
+};
+
+// SQL condition: the team id in `column` belongs to the same organization as
+// the team bound to `param` (e.g. '$1'). Global rows are owned by their
+// creator's team, so this keeps an organization's global rules to itself.
+export function sameOrganizationTeam(column, param) {
+  return `${column} IN (
+    SELECT t.id FROM teams t
+    JOIN teams own ON t.organization IS NOT DISTINCT FROM own.organization
+    WHERE own.id = ${param})`;
+}
+
+export function hashContent(content) {
+  return 'sha256:' + crypto.createHash('sha256').update(content || '', 'utf8').digest('hex');
+}
+
+// Pick the effective hook per name. Only the latest version of each
+// (name, scope) pair is considered; the highest-precedence scope wins, and a
+// disabled winner switches the hook off instead of falling back to a lower scope.
+export function resolveHookRows(rows) {
+  const latest = new Map();
+
+  for (const row of rows) {
+    const scope = row.scope || 'team';
+    const key = `${row.name}\u0000${scope}`;
+    const current = latest.get(key);
+
+    if (!current || row.version > current.version) {
+      latest.set(key, { ...row, scope });
+    }
+  }
+
+  const byName = new Map();
+
+  for (const row of latest.values()) {
+    const entry = byName.get(row.name) || [];
+    entry.push(row);
+    byName.set(row.name, entry);
+  }
+
+  const hooks = [];
+
+  for (const [name, candidates] of byName) {
+    candidates.sort((a, b) => SCOPE_PRECEDENCE[b.scope] - SCOPE_PRECEDENCE[a.scope]);
+    const [winner, ...overridden] = candidates;
+
+    if (!winner.enabled) continue;
+
+    hooks.push({
+      id: winner.id,
+      name,
+      category: winner.category,
+      hook_type: winner.hook_type,
+      scope: winner.scope,
+      version: winner.version,
+      team_id: winner.team_id,
+      project_id: winner.project_id,
+      script_content: winner.script_content,
+      content_hash: hashContent(winner.script_content),
+      updated_at: winner.updated_at,
+      overrides: overridden.map(row => ({ scope: row.scope, id: row.id, version: row.version }))
+    });
+  }
+
+  return hooks.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Resolve the hooks that apply to a team member, optionally within a project.
+// Global hooks come from the admins of the team's own organization.
+export async function resolveHookBundle({ teamId, projectId = null }) {
+  const result = await pool.query(
+    `SELECT h.*
+     FROM hook_configurations_v2 h
+     WHERE (h.scope = 'global' AND ${sameOrganizationTeam('h.team_id', '$1')})
+        OR (COALESCE(h.scope, 'team') = 'team' AND h.team_id = $1)
+        OR (h.scope = 'project' AND h.project_id = $2)`,
+    [teamId, projectId]
+  );
+
+  return resolveHookRows(result.rows.filter(row => SCOPE_PRECEDENCE[row.scope || 'team']));
+}
+
+// ETag over the resolved bundle, stable across identical content
+export function bundleEtag(hooks) {
+  const fingerprint = hooks.map(h => `${h.name}:${h.id}:${h.version}:${h.content_hash}`).join('\n');
+  return '"' + crypto.createHash('sha256').update(fingerprint).digest('hex') + '"';
+}
+
+// ==================================
+// VERSIONING
+// ==================================
+
+// Fields that may change between versions of a hook
+const VERSIONED_FIELDS = ['category', 'hook_type', 'script_content', 'enabled'];
+
+// A single hook row visible to the team, or null
+export async function getTeamHook(id, teamId) {
+  const result = await pool.query(
+    'SELECT * FROM hook_configurations_v2 WHERE id = $1 AND team_id = $2',
+    [id, teamId]
+  );
+
+  return result.rows[0] || null;
+}
+
+// All versions of one hook lineage, newest first
+export async function getHookVersions({ teamId, name, scope = 'team', projectId = null }) {
+  const result = await pool.query(
+    `SELECT h.*, u.username as created_by_name
+     FROM hook_configurations_v2 h
+     LEFT JOIN users u ON h.created_by = u.id
+     WHERE h.name = $1
+       AND h.team_id = $2
+       AND COALESCE(h.scope, 'team') = $3
+       AND h.project_id IS NOT DISTINCT FROM $4
+     ORDER BY h.version DESC`,
+    [name, teamId, scope, projectId]
+  );
+
+  return result.rows;
+}
+
+// Insert the next version of a hook lineage based on an existing row (or a
+// new lineage at version 1). Concurrent edits collide on the lineage unique index (23505).
+// Pass `client` to run inside a caller's transaction.
+export async function createHookVersion(base, changes, { userId, changeNote = null, rolledBackFrom = null, client = pool }) {
+  const next = { ...base };
+
+  for (const field of VERSIONED_FIELDS) {
+    if (changes[field] !== undefined) {
+      next[field] = changes[field];
+    }
+  }
+
+  const result = await client.query(
+    `INSERT INTO hook_configurations_v2
+     (name, category, hook_type, script_content, enabled, team_id, scope, project_id,
+      version, created_by, change_note, rolled_back_from)
+     SELECT $1::varchar, $2::varchar, $3::varchar, $4::text, $5::boolean, $6::uuid, $7::varchar, $8::uuid,
+            COALESCE(MAX(version), 0) + 1, $9::uuid, $10::text, $11::uuid
+     FROM hook_configurations_v2
+     WHERE name = $1
+       AND team_id = $6
+       AND COALESCE(scope, 'team') = $7
+       AND project_id IS NOT DISTINCT FROM $8
+     RETURNING *`,
+    [
+      next.name,
+      next.category,
+      next.hook_type,
+      next.script_content,
+      next.enabled,
+      next.team_id,
+      next.scope || 'team',
+      next.project_id || null,
+      userId,
+      changeNote,
+      rolledBackFrom
+    ]
+  );
+
+  return result.rows[0];
+}
+
+// Unified diff between two hook versions
+export function diffHookVersions(name, from, to) {
+  return createTwoFilesPatch(
+    `${name}@v${from.version}`,
+    `${name}@v${to.version}`,
+    from.script_content || '',
+    to.script_content || '',
+    from.updated_at ? new Date(from.updated_at).toISOString() : undefined,
+    to.updated_at ? new Date(to.updated_at).toISOString() : undefined
+  );
+}
+
+// ==================================
+// TESTING
+// ==================================
+
+// Saved test cases for the lineage a hook row belongs to
+export async function getHookTestCases(hook) {
+  const result = await pool.query(
+    `SELECT * FROM hook_test_cases
+     WHERE hook_name = $1
+       AND team_id = $2
+       AND COALESCE(scope, 'team') = $3
+       AND project_id IS NOT DISTINCT FROM $4
+     ORDER BY created_at`,
+    [hook.name, hook.team_id, hook.scope || 'team', hook.project_id]
+  );
+
+  return result.rows;
+}
+
+// Run one test against a hook (or a draft script for it) and record the run
+// in hook_test_results. The script sees the input as given; what is stored
+// (input, context and env, output) is redacted.
+export async function runHookTest(hook, { scriptContent, testInput = {}, context = {}, expected = {}, testCaseId = null, user }) {
+  const script = scriptContent ?? hook.script_content;
+  const run = await runHookScript(script, testInput, {
+    project_id: hook.project_id,
+    user_id: user.id,
+    team_id: user.team_id,
+    ...context
+  });
+  const { passed, mismatches } = compareOutcome(run, expected);
+
+  const { record: redacted } = await redactForTeam(
+    user.team_id,
+    {
+      test_input: { ...testInput, context },
+      test_output: { stdout: run.stdout, stderr: run.stderr }
+    },
+    ['test_input', 'test_output']
+  );
+
+  const result = await pool.query(
+    `INSERT INTO hook_test_results
+     (hook_id, user_id, test_input, test_output, exit_code, passed, execution_time_ms,
+      test_case_id, script_hash, expected)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING *`,
+    [
+      hook.id,
+      user.id,
+      JSON.stringify(redacted.test_input),
+      JSON.stringify({
+        ...redacted.test_output,
+        signal: run.signal,
+        timed_out: run.timed_out,
+        output_truncated: run.output_truncated,
+        sandboxed: run.sandboxed,
+        network_isolated: run.network_isolated,
+        draft: scriptContent !== undefined && scriptContent !== hook.script_content,
+        mismatches
+      }),
+      run.exit_code,
+      passed,
+      run.execution_time_ms,
+      testCaseId,
+      hashContent(script),
+      JSON.stringify(expected || {})
+    ]
+  );
+
+  return { result: result.rows[0], run, passed, mismatches };
+}
+
+// Run every saved test case for a hook lineage, one at a time
+export async function runHookTestSuite(hook, { scriptContent, user }) {
+  const cases = await getHookTestCases(hook);
+  const results = [];
+
+  for (const testCase of cases) {
+    const outcome = await runHookTest(hook, {
+      scriptContent,
+      testInput: testCase.test_input || {},
+      context: testCase.context || {},
+      expected: testCase.expected || {},
+      testCaseId: testCase.id,
+      user
+    });
+
+    results.push({
+      test_case_id: testCase.id,
+      name: testCase.name,
+      passed: outcome.passed,
+      mismatches: outcome.mismatches,
+      exit_code: outcome.run.exit_code,
+      execution_time_ms: outcome.run.execution_time_ms,
+      result_id: outcome.result.id
+    });
+  }
+
+  return {
+    total: results.length,
+    passed: results.filter(r => r.passed).length,
+    failed: results.filter(r => !r.passed).length,
+    results
+  };
+}
@@ -0,0 +1,191 @@
+// Small JSON Schema validator (draft 2020-12 subset) shared by the
+// .governance.yml checks and MCP tool arguments. Unsupported keywords are
+// ignored rather than rejected.
+
+const FORMATS = {
+  uuid: value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+  uri: value => {
+    try {
+      return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch {
+      return false;
+    }
+  }
+};
+
+// Patterns come from MCP servers' inputSchema, so they run on the request
+// thread only when they look safe: no repeated group that itself contains a
+// quantifier or an alternation (the catastrophic-backtracking shapes), no
+// backreferences, and bounded input length.
+const MAX_PATTERN_LENGTH = 256;
+const MAX_PATTERN_INPUT = 4096;
+const QUANTIFIER = /^(?:[+*]|\{\d*,?\d*\})/;
+const BACKREFERENCE = /\\[1-9]|\\k</;
+
+function backtracksBadly(pattern) {
+  const groups = [];
+  let inClass = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '\\') {
+      i++;
+    } else if (inClass) {
+      if (char === ']') inClass = false;
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push(false);
+    } else if (char === '|' && groups.length) {
+      groups[groups.length - 1] = true;
+    } else if (char === ')') {
+      const risky = groups.pop();
+      if (risky && QUANTIFIER.test(pattern.slice(i + 1))) return true;
+      if (risky && groups.length) groups[groups.length - 1] = true;
+    } else if (QUANTIFIER.test(pattern.slice(i)) && groups.length) {
+      groups[groups.length - 1] = true;
+    }
+  }
+
+  return false;
+}
+
+const compiledPatterns = new Map();
+
+// RegExp for a schema pattern, or { error } when it can't be run safely
+function compilePattern(pattern) {
+  if (compiledPatterns.has(pattern)) return compiledPatterns.get(pattern);
+
+  let compiled;
+  if (typeof pattern !== 'string' || pattern.length > MAX_PATTERN_LENGTH) {
+    compiled = { error: 'schema pattern is too long' };
+  } else if (backtracksBadly(pattern) || BACKREFERENCE.test(pattern)) {
+    compiled = { error: `schema pattern ${pattern} is too complex to check` };
+  } else {
+    try {
+      compiled = new RegExp(pattern);
+    } catch {
+      compiled = { error: `schema pattern ${pattern} is invalid` };
+    }
+  }
+
+  if (compiledPatterns.size >= 500) compiledPatterns.clear();
+  compiledPatterns.set(pattern, compiled);
+  return compiled;
+}
+
+// Error message when `value` doesn't match `pattern`, or null
+function patternError(pattern, value, subject = null) {
+  const regex = compilePattern(pattern);
+  if (!(regex instanceof RegExp)) return regex.error;
+
+  const prefix = subject ? `${subject} ` : '';
+  if (value.length > MAX_PATTERN_INPUT) return `${prefix}is too long to check against ${pattern}`;
+  return regex.test(value) ? null : `${prefix}must match ${pattern}`;
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function typeMatches(actual, expected) {
+  return actual === expected || (expected === 'number' && actual === 'integer');
+}
+
+// Validate `value`; errors are pushed as { path, message } (plus key: true
+// when the error is about an object key rather than its value)
+export function validateValue(value, schema, path = [], errors = []) {
+  if (!schema || typeof schema !== 'object') return errors;
+
+  const actual = typeOf(value);
+  const types = Array.isArray(schema.type) ? schema.type : schema.type ? [schema.type] : null;
+
+  if (types && !types.some(type => typeMatches(actual, type))) {
+    errors.push({ path, message: `must be ${types.join(' or ')}, got ${actual}` });
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push({ path, message: `must be ${JSON.stringify(schema.const)}` });
+  }
+
+  if (Array.isArray(schema.anyOf) &&
+      !schema.anyOf.some(option => validateValue(value, option, path, []).length === 0)) {
+    errors.push({ path, message: 'does not match any allowed schema' });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern) {
+      const message = patternError(schema.pattern, value);
+      if (message) errors.push({ path, message });
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      errors.push({ path, message: `must be a valid ${schema.format}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (actual === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, i) => validateValue(item, schema.items, [...path, i], errors));
+    }
+  }
+
+  if (actual === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path, message: `missing required property "${key}"` });
+      }
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+      const keyError = schema.propertyNames?.pattern && patternError(schema.propertyNames.pattern, key, `name "${key}"`);
+      if (keyError) {
+        errors.push({ path: [...path, key], key: true, message: keyError });
+        continue;
+      }
+
+      if (schema.properties && schema.properties[key]) {
+        validateValue(child, schema.properties[key], [...path, key], errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: [...path, key], key: true, message: `unknown property "${key}"` });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        validateValue(child, schema.additionalProperties, [...path, key], errors);
+      }
+    }
+  }
+
+  return errors;
+}
+
+export function formatPath(path) {
+  return path.reduce((out, part) => (typeof part === 'number' ? `${out}[${part}]` : out ? `${out}.${part}` : part), '');
+}
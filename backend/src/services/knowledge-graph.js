@@ -0,0 +1,226 @@
+import { query as aqlQuery, assertAllowedCollection, assertAllowedGraph, QueryRejectedError } from '../config/arango.js';
+import { listEvidenceCitingKnowledge } from './evidence.js';
+
+// Knowledge graph traversal, related nodes and shortest paths, shaped as
+// { nodes, edges } for a graph renderer
+
+export const DEFAULT_GRAPH = process.env.KNOWLEDGE_GRAPH || 'knowledge_graph';
+
+// Used instead of the named graph when set
+export const DEFAULT_EDGE_COLLECTIONS = (process.env.KNOWLEDGE_EDGE_COLLECTIONS || '')
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean);
+
+export const MAX_DEPTH = parseInt(process.env.KNOWLEDGE_GRAPH_MAX_DEPTH || '5');
+const MAX_PATHS = parseInt(process.env.KNOWLEDGE_GRAPH_MAX_PATHS || '2000');
+
+const DIRECTIONS = { outbound: 'OUTBOUND', inbound: 'INBOUND', any: 'ANY' };
+
+// Validate a "collection/key" document id against the allowlist
+export function parseNodeId(nodeId) {
+  const match = /^([A-Za-z][\w-]*)\/([\w\-:.@()+,=;$!*'%]+)$/.exec(nodeId || '');
+
+  if (!match) {
+    throw new QueryRejectedError('Node id must be "collection/key"');
+  }
+
+  assertAllowedCollection(match[1]);
+  return { id: nodeId, collection: match[1], key: match[2] };
+}
+
+// Build the traversal target: either GRAPH @graph or a list of @@edge collections
+function traversalTarget({ graph, edgeCollections }, bindVars) {
+  const edges = edgeCollections && edgeCollections.length > 0
+    ? edgeCollections
+    : (graph ? [] : DEFAULT_EDGE_COLLECTIONS);
+
+  if (edges.length > 0) {
+    return edges
+      .map((name, i) => {
+        bindVars[`@edge${i}`] = assertAllowedCollection(name);
+        return `@@edge${i}`;
+      })
+      .join(', ');
+  }
+
+  bindVars.graph = assertAllowedGraph(graph || DEFAULT_GRAPH);
+  return 'GRAPH @graph';
+}
+
+function directionKeyword(direction = 'any') {
+  const keyword = DIRECTIONS[String(direction).toLowerCase()];
+
+  if (!keyword) {
+    throw new QueryRejectedError('Direction must be outbound, inbound or any');
+  }
+
+  return keyword;
+}
+
+function toNode(doc) {
+  const collection = doc._id.split('/')[0];
+
+  return {
+    id: doc._id,
+    key: doc._key,
+    collection,
+    label: doc.name || doc.title || doc._key,
+    data: doc
+  };
+}
+
+function toEdge(edge) {
+  return {
+    id: edge._id,
+    source: edge._from,
+    target: edge._to,
+    collection: edge._id.split('/')[0],
+    type: edge.type || edge._id.split('/')[0],
+    data: edge
+  };
+}
+
+// De-duplicate vertices and edges from traversal rows { vertices, edges }
+export function toGraphPayload(rows, startId = null) {
+  const nodes = new Map();
+  const edges = new Map();
+
+  for (const row of rows) {
+    for (const vertex of row.vertices || []) {
+      if (vertex && !nodes.has(vertex._id)) nodes.set(vertex._id, toNode(vertex));
+    }
+    for (const edge of row.edges || []) {
+      if (edge && !edges.has(edge._id)) edges.set(edge._id, toEdge(edge));
+    }
+  }
+
+  return {
+    root: startId,
+    nodes: [...nodes.values()],
+    edges: [...edges.values()]
+  };
+}
+
+// Add Postgres evidence that cites any node in the payload (by _key or _id)
+// as `evidence/<uuid>` nodes with a `cites` edge to the cited node
+export async function attachCitingEvidence(payload, user) {
+  const byRef = new Map();
+
+  for (const node of payload.nodes) {
+    byRef.set(node.id, node.id);
+    byRef.set(node.key, node.id);
+  }
+
+  const rows = await listEvidenceCitingKnowledge([...byRef.keys()], user);
+  const nodes = [...payload.nodes];
+  const edges = [...payload.edges];
+
+  for (const row of rows) {
+    const evidenceId = `evidence/${row.id}`;
+
+    nodes.push({
+      id: evidenceId,
+      key: row.id,
+      collection: 'evidence',
+      label: `${row.task_category}: ${row.evidence_type}`,
+      data: row
+    });
+
+    for (const ref of [row.knowledge_pattern_id, row.coding_standard_id]) {
+      if (ref && byRef.has(ref)) {
+        edges.push({
+          id: `${evidenceId}->${byRef.get(ref)}`,
+          source: evidenceId,
+          target: byRef.get(ref),
+          collection: 'evidence',
+          type: 'cites',
+          data: null
+        });
+      }
+    }
+  }
+
+  return { ...payload, nodes, edges };
+}
+
+async function assertNodeExists(nodeId) {
+  const [doc] = await aqlQuery('RETURN DOCUMENT(@id)', { id: nodeId });
+
+  if (!doc) {
+    throw new QueryRejectedError('Node not found', 404);
+  }
+
+  return doc;
+}
+
+// Traverse from a node up to `depth` hops. edgeTypes filters on the edge
+// `type` attribute for every hop of a path.
+export async function traverse(nodeId, { graph, edgeCollections, direction = 'any', depth = 2, edgeTypes = [] } = {}) {
+  const start = parseNodeId(nodeId);
+  const maxDepth = Math.min(Math.max(parseInt(depth) || 1, 1), MAX_DEPTH);
+  const bindVars = { start: start.id, depth: maxDepth, edgeTypes, maxPaths: MAX_PATHS };
+  const target = traversalTarget({ graph, edgeCollections }, bindVars);
+
+  const root = await assertNodeExists(start.id);
+
+  const rows = await aqlQuery(
+    `FOR v, e, p IN 1..@depth ${directionKeyword(direction)} @start ${target}
+       OPTIONS { bfs: true, uniqueVertices: 'path' }
+       FILTER LENGTH(@edgeTypes) == 0 OR p.edges[*].type ALL IN @edgeTypes
+       LIMIT @maxPaths
+       RETURN { vertices: p.vertices, edges: p.edges }`,
+    bindVars
+  );
+
+  const payload = toGraphPayload([{ vertices: [root], edges: [] }, ...rows], start.id);
+  return { ...payload, depth: maxDepth, truncated: rows.length >= MAX_PATHS };
+}
+
+// Direct neighbours of a node, with the connecting edge
+export async function related(nodeId, { graph, edgeCollections, direction = 'any', edgeTypes = [], limit = 100 } = {}) {
+  const start = parseNodeId(nodeId);
+  const bindVars = { start: start.id, edgeTypes, limit: Math.min(parseInt(limit) || 100, 500) };
+  const target = traversalTarget({ graph, edgeCollections }, bindVars);
+
+  const root = await assertNodeExists(start.id);
+
+  const rows = await aqlQuery(
+    `FOR v, e IN 1..1 ${directionKeyword(direction)} @start ${target}
+       FILTER LENGTH(@edgeTypes) == 0 OR e.type IN @edgeTypes
+       LIMIT @limit
+       RETURN { vertices: [v], edges: [e] }`,
+    bindVars
+  );
+
+  return toGraphPayload([{ vertices: [root], edges: [] }, ...rows], start.id);
+}
+
+// Shortest path between two nodes (empty payload when unreachable)
+export async function shortestPath(fromId, toId, { graph, edgeCollections, direction = 'any' } = {}) {
+  const from = parseNodeId(fromId);
+  const to = parseNodeId(toId);
+  const bindVars = { from: from.id, to: to.id };
+  const target = traversalTarget({ graph, edgeCollections }, bindVars);
+
+  await assertNodeExists(from.id);
+  await assertNodeExists(to.id);
+
+  const steps = await aqlQuery(
+    `FOR v, e IN ${directionKeyword(direction)} SHORTEST_PATH @from TO @to ${target}
+       RETURN { vertex: v, edge: e }`,
+    bindVars
+  );
+
+  const payload = toGraphPayload([{
+    vertices: steps.map(step => step.vertex),
+    edges: steps.map(step => step.edge).filter(Boolean)
+  }], from.id);
+
+  return {
+    ...payload,
+    found: steps.length > 0,
+    length: Math.max(steps.length - 1, 0),
+    path: steps.map(step => step.vertex && step.vertex._id)
+  };
+}
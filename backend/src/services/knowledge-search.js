@@ -0,0 +1,308 @@
+import pool from '../config/database.js';
+import db, { query as aqlQuery } from '../config/arango.js';
+
+// Unified knowledge search: Postgres full-text (knowledge_repository) and an
+// ArangoSearch view over the knowledge collections, merged into one ranking
+
+export const SEARCH_VIEW = process.env.KNOWLEDGE_SEARCH_VIEW || 'knowledge_search_view';
+
+export const SEARCH_COLLECTIONS = (process.env.KNOWLEDGE_SEARCH_COLLECTIONS ||
+  'knowledge_patterns,agent_guidance,learning_instructions')
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean);
+
+// Text fields searched (and used for snippets) in Arango documents
+const ARANGO_TEXT_FIELDS = ['name', 'title', 'description', 'content', 'instructions'];
+
+// Highlights are HTML: the text is escaped and only <mark> is added. Postgres
+// marks matches with private-use sentinels that are swapped for <mark> after
+// escaping the headline.
+const MARK_START = '\uE000';
+const MARK_STOP = '\uE001';
+const HEADLINE_MARKERS = `StartSel=${MARK_START}, StopSel=${MARK_STOP}`;
+const HEADLINE_OPTIONS = `${HEADLINE_MARKERS}, MaxWords=35, MinWords=15, MaxFragments=2`;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+export function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+// ts_headline output -> escaped HTML with <mark> highlights
+export function markHeadline(headline) {
+  if (headline === null || headline === undefined) return null;
+
+  return escapeHtml(headline).replaceAll(MARK_START, '<mark>').replaceAll(MARK_STOP, '</mark>');
+}
+
+// Create the ArangoSearch view if missing and make sure every configured
+// collection that exists is linked to it
+export async function ensureSearchView() {
+  const existing = new Set((await db.listCollections()).map(c => c.name));
+  const links = {};
+
+  for (const name of SEARCH_COLLECTIONS.filter(c => existing.has(c))) {
+    const fields = Object.fromEntries(ARANGO_TEXT_FIELDS.map(field => [field, { analyzers: ['text_en'] }]));
+
+    // category/tags are matched exactly for filters and facets
+    fields.category = { analyzers: ['identity'] };
+    fields.tags = { analyzers: ['identity'] };
+
+    links[name] = { includeAllFields: false, fields };
+  }
+
+  const view = db.view(SEARCH_VIEW);
+
+  if (!(await view.exists())) {
+    await db.createView(SEARCH_VIEW, { type: 'arangosearch', links });
+  } else {
+    await view.updateProperties({ links });
+  }
+
+  return Object.keys(links);
+}
+
+// Highlight query terms in a plain-text window around the first match.
+// Returns escaped HTML.
+export function highlightSnippet(text, terms, radius = 120) {
+  if (!text) return null;
+
+  const source = String(text);
+  const lower = source.toLowerCase();
+  const positions = terms.map(term => lower.indexOf(term)).filter(pos => pos >= 0);
+  const first = positions.length > 0 ? Math.min(...positions) : 0;
+
+  const start = Math.max(0, first - radius / 2);
+  const end = Math.min(source.length, first + radius * 1.5);
+  const excerpt = source.slice(start, end);
+  let snippet = escapeHtml(excerpt);
+
+  // One pass over the raw text, longest term first, escaping every piece
+  if (terms.length > 0) {
+    const alternatives = [...terms]
+      .sort((a, b) => b.length - a.length)
+      .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+
+    snippet = excerpt
+      .split(new RegExp(`(${alternatives.join('|')})`, 'gi'))
+      .map((part, index) => (index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+      .join('');
+  }
+
+  return (start > 0 ? '…' : '') + snippet + (end < source.length ? '…' : '');
+}
+
+function queryTerms(q) {
+  return q
+    .toLowerCase()
+    .replace(/["()]/g, ' ')
+    .split(/\s+/)
+    .filter(term => term.length > 1 && term !== 'or' && !term.startsWith('-'));
+}
+
+async function searchPostgres(q, { category, tags, limit }) {
+  const conditions = ['k.search_vector @@ query.tsq'];
+  const params = [q];
+  let paramIndex = 2;
+
+  if (category) {
+    conditions.push(`k.category = $${paramIndex++}`);
+    params.push(category);
+  }
+
+  if (tags && tags.length > 0) {
+    conditions.push(`k.tags @> $${paramIndex++}`);
+    params.push(JSON.stringify(tags));
+  }
+
+  const result = await pool.query(
+    `WITH query AS (SELECT websearch_to_tsquery('english', $1) AS tsq)
+     SELECT k.id, k.title, k.category, k.tags, k.updated_at,
+            ts_rank_cd(k.search_vector, query.tsq, 32) AS rank,
+            ts_headline('english', k.title, query.tsq, '${HEADLINE_MARKERS}, HighlightAll=true') AS title_highlight,
+            ts_headline('english', k.content, query.tsq, '${HEADLINE_OPTIONS}') AS snippet
+     FROM knowledge_repository k, query
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY rank DESC, k.updated_at DESC
+     LIMIT $${paramIndex}`,
+    [...params, limit]
+  );
+
+  // Facets over every match of the query, ignoring category/tag filters
+  const facets = await pool.query(
+    `WITH query AS (SELECT websearch_to_tsquery('english', $1) AS tsq),
+          matches AS (
+            SELECT k.category, k.tags FROM knowledge_repository k, query
+            WHERE k.search_vector @@ query.tsq
+          )
+     SELECT 'category' AS facet, category AS value, COUNT(*)::int AS count
+     FROM matches GROUP BY category
+     UNION ALL
+     SELECT 'tag' AS facet, tag AS value, COUNT(*)::int AS count
+     FROM matches, jsonb_array_elements_text(COALESCE(matches.tags, '[]'::jsonb)) AS tag
+     GROUP BY tag`,
+    [q]
+  );
+
+  return {
+    results: result.rows.map(row => ({
+      source: 'postgres',
+      collection: 'knowledge_repository',
+      id: String(row.id),
+      title: row.title,
+      title_highlight: markHeadline(row.title_highlight),
+      category: row.category,
+      tags: row.tags || [],
+      snippet: markHeadline(row.snippet),
+      score: parseFloat(row.rank),
+      updated_at: row.updated_at
+    })),
+    facets: facets.rows
+  };
+}
+
+async function searchArango(q, { category, tags, collections, limit }) {
+  const terms = queryTerms(q);
+  const filters = [];
+  const bindVars = { q, limit, collections };
+
+  if (category) {
+    filters.push('doc.category == @category');
+    bindVars.category = category;
+  }
+
+  (tags || []).forEach((tag, i) => {
+    filters.push(`doc.tags == @tag${i}`);
+    bindVars[`tag${i}`] = tag;
+  });
+
+  const fieldMatches = ARANGO_TEXT_FIELDS
+    .map(field => `BOOST(doc.${field} IN TOKENS(@q, 'text_en'), ${field === 'name' || field === 'title' ? 3 : 1})`)
+    .join(' OR ');
+
+  const search = `ANALYZER(${fieldMatches}, 'text_en')`;
+
+  const docs = await aqlQuery(
+    `FOR doc IN ${SEARCH_VIEW}
+       SEARCH ${[search, ...filters].join(' AND ')}
+       OPTIONS { collections: @collections }
+       LET score = BM25(doc)
+       SORT score DESC
+       LIMIT @limit
+       RETURN MERGE(doc, { _score: score, _collection: PARSE_IDENTIFIER(doc._id).collection })`,
+    bindVars
+  );
+
+  const facetRows = await aqlQuery(
+    `LET matches = (
+       FOR doc IN ${SEARCH_VIEW}
+         SEARCH ${search}
+         OPTIONS { collections: @collections }
+         RETURN { category: doc.category, tags: doc.tags }
+     )
+     LET categories = (
+       FOR m IN matches FILTER m.category != null
+         COLLECT value = m.category WITH COUNT INTO count
+         RETURN { facet: 'category', value, count }
+     )
+     LET tagCounts = (
+       FOR m IN matches FOR tag IN (IS_ARRAY(m.tags) ? m.tags : [])
+         COLLECT value = tag WITH COUNT INTO count
+         RETURN { facet: 'tag', value, count }
+     )
+     RETURN APPEND(categories, tagCounts)`,
+    { q, collections }
+  );
+
+  return {
+    results: docs.map(doc => {
+      const title = doc.name || doc.title || doc._key;
+      const body = ARANGO_TEXT_FIELDS
+        .filter(field => field !== 'name' && field !== 'title')
+        .map(field => doc[field])
+        .find(value => typeof value === 'string' && value.length > 0);
+
+      return {
+        source: 'arango',
+        collection: doc._collection,
+        id: doc._id,
+        title,
+        title_highlight: highlightSnippet(title, terms, 1000),
+        category: doc.category || null,
+        tags: Array.isArray(doc.tags) ? doc.tags : [],
+        snippet: highlightSnippet(body, terms),
+        score: doc._score,
+        updated_at: doc.updated_at || null
+      };
+    }),
+    facets: facetRows[0] || []
+  };
+}
+
+function mergeFacets(facetLists) {
+  const merged = { category: {}, tag: {} };
+
+  for (const { facet, value, count } of facetLists.flat()) {
+    if (value === null || value === undefined || !merged[facet]) continue;
+    merged[facet][value] = (merged[facet][value] || 0) + count;
+  }
+
+  const sorted = counts => Object.entries(counts)
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+
+  return { categories: sorted(merged.category), tags: sorted(merged.tag) };
+}
+
+// Search both stores. Scores are normalised per source (top hit = 1) before
+// merging, since ts_rank_cd and BM25 are not on the same scale.
+export async function searchKnowledge(q, { category, tags = [], sources, collections, limit = 20, offset = 0 } = {}) {
+  const wanted = sources && sources.length > 0 ? sources : ['postgres', 'arango'];
+  const arangoCollections = (collections && collections.length > 0 ? collections : SEARCH_COLLECTIONS)
+    .filter(name => SEARCH_COLLECTIONS.includes(name));
+  const fetchLimit = limit + offset;
+
+  const tasks = {};
+
+  if (wanted.includes('postgres')) {
+    tasks.postgres = searchPostgres(q, { category, tags, limit: fetchLimit });
+  }
+
+  if (wanted.includes('arango') && arangoCollections.length > 0) {
+    tasks.arango = searchArango(q, { category, tags, collections: arangoCollections, limit: fetchLimit });
+  }
+
+  const names = Object.keys(tasks);
+  const settled = await Promise.allSettled(Object.values(tasks));
+  const results = [];
+  const facetLists = [];
+  const sourceStatus = {};
+
+  settled.forEach((outcome, i) => {
+    const name = names[i];
+
+    if (outcome.status === 'rejected') {
+      console.warn(`Knowledge search (${name}) failed:`, outcome.reason.message);
+      sourceStatus[name] = { ok: false, error: outcome.reason.message };
+      return;
+    }
+
+    const { results: hits, facets } = outcome.value;
+    const top = Math.max(...hits.map(hit => hit.score), 0);
+
+    results.push(...hits.map(hit => ({ ...hit, raw_score: hit.score, score: top > 0 ? hit.score / top : 0 })));
+    facetLists.push(facets);
+    sourceStatus[name] = { ok: true, count: hits.length };
+  });
+
+  results.sort((a, b) => b.score - a.score);
+  const page = results.slice(offset, offset + limit);
+
+  return {
+    results: page,
+    count: page.length,
+    facets: mergeFacets(facetLists),
+    sources: sourceStatus
+  };
+}
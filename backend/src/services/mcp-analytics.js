@@ -0,0 +1,173 @@
+import pool from '../config/database.js';
+
+// MCP tool usage analytics over mcp_tool_executions: totals, latency
+// percentiles, time series, per-tool breakdown with slow/flaky flags and
+// error categories derived from error_message.
+
+export const ANALYTICS_INTERVALS = ['hour', 'day', 'week'];
+export const TOOL_EXECUTION_STATUSES = ['success', 'error', 'timeout', 'denied'];
+
+// A tool is slow when its p95 latency reaches this
+const SLOW_TOOL_MS = parseInt(process.env.MCP_SLOW_TOOL_MS || '5000');
+// ...and flaky when it both succeeds and fails, failing at least this often
+const FLAKY_ERROR_RATE = parseFloat(process.env.MCP_FLAKY_ERROR_RATE || '5');
+const MIN_EXECUTIONS_FOR_FLAGS = 10;
+
+// First match wins; checked against error_message (case-insensitive)
+export const ERROR_CATEGORIES = [
+  ['timeout', 'timed? ?out|timeout|deadline exceeded|ETIMEDOUT'],
+  ['permission', 'permission|forbidden|unauthori[sz]ed|access denied|EACCES|\\m40[13]\\M'],
+  ['not_found', 'not found|no such|unknown tool|ENOENT|\\m404\\M'],
+  ['invalid_input', 'invalid|validation|schema|required|malformed|-32602'],
+  ['rate_limit', 'rate limit|too many requests|quota|\\m429\\M'],
+  ['network', 'ECONNREFUSED|ECONNRESET|EHOSTUNREACH|ENOTFOUND|socket hang up|network'],
+  ['server_crash', 'exited|crash|killed|signal|broken pipe|EPIPE']
+];
+
+function errorCategorySql(alias = 'e') {
+  const cases = ERROR_CATEGORIES
+    .map(([category, pattern]) => `WHEN ${alias}.error_message ~* '${pattern.replace(/'/g, "''")}' THEN '${category}'`)
+    .join('\n      ');
+
+  return `CASE
+      WHEN ${alias}.status = 'timeout' THEN 'timeout'
+      WHEN ${alias}.error_message IS NULL OR ${alias}.error_message = '' THEN 'unknown'
+      ${cases}
+      ELSE 'other'
+    END`;
+}
+
+const FAILED = `e.status IN ('error', 'timeout')`;
+
+const LATENCY = `percentile_cont(0.5) WITHIN GROUP (ORDER BY e.execution_time_ms) as p50_ms,
+  percentile_cont(0.95) WITHIN GROUP (ORDER BY e.execution_time_ms) as p95_ms,
+  percentile_cont(0.99) WITHIN GROUP (ORDER BY e.execution_time_ms) as p99_ms`;
+
+const COUNTS = `COUNT(*)::int as executions,
+  COUNT(*) FILTER (WHERE e.status = 'success')::int as successful,
+  COUNT(*) FILTER (WHERE e.status = 'error')::int as failed,
+  COUNT(*) FILTER (WHERE e.status = 'timeout')::int as timeouts,
+  COUNT(*) FILTER (WHERE e.status = 'denied')::int as denied,
+  ROUND(100.0 * COUNT(*) FILTER (WHERE ${FAILED}) / NULLIF(COUNT(*), 0), 2)::float as error_rate`;
+
+function roundLatency(row) {
+  const round = value => (value === null || value === undefined ? null : Math.round(value));
+  return { ...row, p50_ms: round(row.p50_ms), p95_ms: round(row.p95_ms), p99_ms: round(row.p99_ms) };
+}
+
+// Analytics for a team's tool executions. filters: server_id, tool_name,
+// project_id, environment_id, user_id, from, to, include_tests
+export async function getToolAnalytics(teamId, filters = {}, { interval = 'day', toolsPerCategory = 5 } = {}) {
+  const conditions = ['e.team_id = $1'];
+  const params = [teamId];
+  let paramIndex = 2;
+
+  const filterColumns = {
+    server_id: 'e.server_id',
+    tool_name: 'e.tool_name',
+    project_id: 'e.project_id',
+    environment_id: 'e.environment_id',
+    user_id: 'e.user_id'
+  };
+
+  for (const [name, column] of Object.entries(filterColumns)) {
+    if (filters[name]) {
+      conditions.push(`${column} = $${paramIndex++}`);
+      params.push(filters[name]);
+    }
+  }
+
+  if (filters.from) {
+    conditions.push(`e.created_at >= $${paramIndex++}`);
+    params.push(filters.from);
+  }
+
+  if (filters.to) {
+    conditions.push(`e.created_at <= $${paramIndex++}`);
+    params.push(filters.to);
+  }
+
+  // Admin test-tool runs are not usage
+  if (!filters.include_tests) {
+    conditions.push(`COALESCE(e.source, 'client') <> 'test'`);
+  }
+
+  const where = conditions.join(' AND ');
+
+  const totals = await pool.query(
+    `SELECT ${COUNTS},
+            COUNT(DISTINCT e.user_id)::int as unique_users,
+            AVG(e.execution_time_ms)::int as avg_execution_time,
+            ${LATENCY},
+            MIN(e.created_at) as first_execution_at,
+            MAX(e.created_at) as last_execution_at
+     FROM mcp_tool_executions e
+     WHERE ${where}`,
+    params
+  );
+
+  const series = await pool.query(
+    `SELECT DATE_TRUNC($${paramIndex}, e.created_at) as period,
+            ${COUNTS},
+            ${LATENCY}
+     FROM mcp_tool_executions e
+     WHERE ${where}
+     GROUP BY period
+     ORDER BY period`,
+    [...params, interval]
+  );
+
+  const tools = await pool.query(
+    `SELECT e.server_id, MAX(s.name) as server_name, e.tool_name,
+            ${COUNTS},
+            AVG(e.execution_time_ms)::int as avg_execution_time,
+            ${LATENCY},
+            MAX(e.created_at) FILTER (WHERE ${FAILED}) as last_error_at
+     FROM mcp_tool_executions e
+     LEFT JOIN mcp_servers_registry s ON e.server_id = s.id
+     WHERE ${where}
+     GROUP BY e.server_id, e.tool_name
+     ORDER BY executions DESC`,
+    params
+  );
+
+  const errors = await pool.query(
+    `WITH categorized AS (
+       SELECT e.*, ${errorCategorySql()} as category
+       FROM mcp_tool_executions e
+       WHERE ${where} AND ${FAILED}
+     )
+     SELECT category,
+            COUNT(*)::int as count,
+            COUNT(DISTINCT tool_name)::int as tools_affected,
+            MAX(created_at) as last_seen_at,
+            (ARRAY_AGG(error_message ORDER BY created_at DESC) FILTER (WHERE error_message IS NOT NULL))[1] as latest_message,
+            (ARRAY_AGG(DISTINCT tool_name ORDER BY tool_name))[1:$${paramIndex}] as tools
+     FROM categorized
+     GROUP BY category
+     ORDER BY count DESC`,
+    [...params, toolsPerCategory]
+  );
+
+  const flagged = tools.rows.map(row => {
+    const tool = roundLatency(row);
+    const enough = tool.executions >= MIN_EXECUTIONS_FOR_FLAGS;
+
+    return {
+      ...tool,
+      slow: enough && tool.p95_ms !== null && tool.p95_ms >= SLOW_TOOL_MS,
+      flaky: enough && tool.successful > 0 && tool.error_rate >= FLAKY_ERROR_RATE && tool.error_rate < 100
+    };
+  });
+
+  return {
+    stats: roundLatency(totals.rows[0]),
+    interval,
+    series: series.rows.map(roundLatency),
+    tools: flagged,
+    slow_tools: flagged.filter(tool => tool.slow).map(({ server_id, tool_name, p95_ms }) => ({ server_id, tool_name, p95_ms })),
+    flaky_tools: flagged.filter(tool => tool.flaky).map(({ server_id, tool_name, error_rate }) => ({ server_id, tool_name, error_rate })),
+    error_categories: errors.rows,
+    thresholds: { slow_p95_ms: SLOW_TOOL_MS, flaky_error_rate: FLAKY_ERROR_RATE, min_executions: MIN_EXECUTIONS_FOR_FLAGS }
+  };
+}
@@ -0,0 +1,280 @@
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Minimal MCP client for stdio servers: the registered command is started as
+// a child process and spoken to in newline-delimited JSON-RPC 2.0
+// (initialize, tools/list, tools/call). One process per session; nothing is
+// kept running between API calls.
+
+export const MCP_PROTOCOL_VERSION = '2024-11-05';
+
+const REQUEST_TIMEOUT_MS = parseInt(process.env.MCP_REQUEST_TIMEOUT_MS || '15000');
+const MAX_MESSAGE_BYTES = parseInt(process.env.MCP_MAX_MESSAGE_BYTES || String(4 * 1024 * 1024));
+const MAX_STDERR_BYTES = 16384;
+const MAX_TOOL_PAGES = 20;
+const KILL_GRACE_MS = 1000;
+
+const CLIENT_INFO = { name: 'claude-governance-central', version: '2.0.0' };
+
+// Protocol or process failure; status is the HTTP status to answer with
+export class McpProtocolError extends Error {
+  constructor(message, status = 502) {
+    super(message);
+    this.name = 'McpProtocolError';
+    this.status = status;
+  }
+}
+
+// The child gets a clean environment: only the server's own env on top of
+// the basics, never the API process's secrets
+function buildServerEnv(server, home) {
+  const env = {
+    PATH: '/usr/local/bin:/usr/bin:/bin',
+    LANG: 'C.UTF-8',
+    HOME: home,
+    TMPDIR: home
+  };
+
+  for (const [key, value] of Object.entries(server.env || {})) {
+    if (/^[A-Za-z_][A-Za-z0-9_]*$/.test(key)) {
+      env[key] = String(value);
+    }
+  }
+
+  return env;
+}
+
+function killGroup(child, signal) {
+  try {
+    process.kill(-child.pid, signal);
+  } catch {
+    child.kill(signal);
+  }
+}
+
+async function openSession(server) {
+  if ((server.transport || 'stdio') !== 'stdio') {
+    throw new McpProtocolError(`Only stdio servers can be queried (server uses ${server.transport})`, 400);
+  }
+
+  if (!server.command) {
+    throw new McpProtocolError('Server has no command configured', 400);
+  }
+
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-session-'));
+  const args = Array.isArray(server.args) ? server.args.map(String) : [];
+
+  const child = spawn(server.command, args, {
+    cwd: workDir,
+    env: buildServerEnv(server, workDir),
+    detached: true, // own process group so close() also stops grandchildren
+    stdio: ['pipe', 'pipe', 'pipe']
+  });
+
+  const pending = new Map();
+  let nextId = 1;
+  let stdoutBuffer = '';
+  let stderr = '';
+  let exited = null;
+
+  const failAll = error => {
+    for (const { reject, timer } of pending.values()) {
+      clearTimeout(timer);
+      reject(error);
+    }
+    pending.clear();
+  };
+
+  const exitError = () => {
+    const detail = stderr.trim().split('\n').slice(-5).join('\n');
+    return new McpProtocolError(`MCP server exited (${exited})${detail ? `: ${detail}` : ''}`);
+  };
+
+  const write = message => {
+    if (exited === null) {
+      child.stdin.write(JSON.stringify(message) + '\n');
+    }
+  };
+
+  const handleMessage = message => {
+    // Response to one of our requests
+    if (message.id !== undefined && message.method === undefined) {
+      const entry = pending.get(message.id);
+      if (!entry) return;
+
+      pending.delete(message.id);
+      clearTimeout(entry.timer);
+
+      if (message.error) {
+        const error = new McpProtocolError(`MCP error ${message.error.code}: ${message.error.message}`);
+        error.rpcError = message.error;
+        entry.reject(error);
+      } else {
+        entry.resolve(message.result);
+      }
+      return;
+    }
+
+    // Requests from the server: answer pings, decline everything else
+    if (message.id !== undefined && message.method) {
+      if (message.method === 'ping') {
+        write({ jsonrpc: '2.0', id: message.id, result: {} });
+      } else {
+        write({ jsonrpc: '2.0', id: message.id, error: { code: -32601, message: 'Method not found' } });
+      }
+    }
+    // Notifications (logging, progress, list_changed) are ignored
+  };
+
+  child.stdout.setEncoding('utf8');
+  child.stdout.on('data', chunk => {
+    stdoutBuffer += chunk;
+
+    if (stdoutBuffer.length > MAX_MESSAGE_BYTES) {
+      stdoutBuffer = '';
+      failAll(new McpProtocolError(`MCP message larger than ${MAX_MESSAGE_BYTES} bytes`));
+      killGroup(child, 'SIGKILL');
+      return;
+    }
+
+    let newline;
+    while ((newline = stdoutBuffer.indexOf('\n')) !== -1) {
+      const line = stdoutBuffer.slice(0, newline).trim();
+      stdoutBuffer = stdoutBuffer.slice(newline + 1);
+
+      if (!line) continue;
+
+      try {
+        handleMessage(JSON.parse(line));
+      } catch {
+        // Not JSON-RPC: servers should log to stderr, keep it for diagnostics
+        stderr = (stderr + line + '\n').slice(-MAX_STDERR_BYTES);
+      }
+    }
+  });
+
+  child.stderr.setEncoding('utf8');
+  child.stderr.on('data', chunk => {
+    stderr = (stderr + chunk).slice(-MAX_STDERR_BYTES);
+  });
+
+  child.stdin.on('error', () => {});
+
+  const closed = new Promise(resolve => {
+    child.on('error', error => {
+      exited = error.code === 'ENOENT' ? `command not found: ${server.command}` : error.message;
+      failAll(exitError());
+      resolve();
+    });
+
+    child.on('close', (code, signal) => {
+      if (exited === null) exited = signal ? `signal ${signal}` : `exit code ${code}`;
+      failAll(exitError());
+      resolve();
+    });
+  });
+
+  const request = (method, params = {}, { timeoutMs = REQUEST_TIMEOUT_MS } = {}) => {
+    if (exited !== null) {
+      return Promise.reject(exitError());
+    }
+
+    const id = nextId++;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        pending.delete(id);
+        const error = new McpProtocolError(`MCP request ${method} timed out after ${timeoutMs}ms`, 504);
+        error.timedOut = true;
+        reject(error);
+      }, timeoutMs);
+
+      pending.set(id, { resolve, reject, timer });
+      write({ jsonrpc: '2.0', id, method, params });
+    });
+  };
+
+  const close = async () => {
+    child.stdin.end();
+
+    const timer = setTimeout(() => killGroup(child, 'SIGTERM'), KILL_GRACE_MS);
+    const hardTimer = setTimeout(() => killGroup(child, 'SIGKILL'), KILL_GRACE_MS * 3);
+
+    await closed;
+    clearTimeout(timer);
+    clearTimeout(hardTimer);
+    await fs.rm(workDir, { recursive: true, force: true });
+  };
+
+  try {
+    const initialized = await request('initialize', {
+      protocolVersion: MCP_PROTOCOL_VERSION,
+      capabilities: {},
+      clientInfo: CLIENT_INFO
+    });
+
+    write({ jsonrpc: '2.0', method: 'notifications/initialized' });
+
+    return {
+      request,
+      close,
+      serverInfo: {
+        protocol_version: initialized?.protocolVersion || null,
+        server_info: initialized?.serverInfo || null,
+        capabilities: initialized?.capabilities || {}
+      }
+    };
+  } catch (error) {
+    await close();
+    throw error;
+  }
+}
+
+// Run `fn(session)` against a freshly started server, always stopping it afterwards
+export async function withMcpSession(server, fn) {
+  const session = await openSession(server);
+
+  try {
+    return await fn(session);
+  } finally {
+    await session.close();
+  }
+}
+
+async function listTools(session) {
+  const tools = [];
+  let cursor;
+
+  for (let page = 0; page < MAX_TOOL_PAGES; page++) {
+    const result = await session.request('tools/list', cursor ? { cursor } : {});
+    tools.push(...(Array.isArray(result?.tools) ? result.tools : []));
+    cursor = result?.nextCursor;
+    if (!cursor) break;
+  }
+
+  return tools.map(tool => ({
+    name: tool.name,
+    title: tool.title || null,
+    description: tool.description || null,
+    input_schema: tool.inputSchema || { type: 'object' },
+    annotations: tool.annotations || null
+  }));
+}
+
+// Start the server, initialize and list its tools
+export function discoverTools(server) {
+  return withMcpSession(server, async session => ({
+    ...session.serverInfo,
+    tools: await listTools(session)
+  }));
+}
+
+// Start the server and call one tool. Resolves with the tools/call result
+// ({ content, structuredContent, isError }).
+export function callTool(server, name, args, { timeoutMs = REQUEST_TIMEOUT_MS } = {}) {
+  return withMcpSession(server, session =>
+    session.request('tools/call', { name, arguments: args }, { timeoutMs })
+  );
+}
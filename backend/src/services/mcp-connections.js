@@ -0,0 +1,235 @@
+import crypto from 'crypto';
+import pool from '../config/database.js';
+import { publishEvent } from './events.js';
+
+// MCP connection lifecycle: hook clients report when a Claude session
+// attaches to or detaches from an MCP server. Connections that stop showing
+// activity are closed by the MCP sweeper.
+
+const IDLE_TIMEOUT_MINUTES = parseInt(process.env.MCP_CONNECTION_IDLE_MINUTES || '30');
+
+const CONNECTION_COLUMNS = `c.*, s.name as server_name, u.username, u.full_name,
+  p.name as project_name, env.name as environment_name,
+  EXTRACT(EPOCH FROM (COALESCE(c.disconnected_at, NOW()) - c.connected_at))::int as duration_seconds`;
+
+const CONNECTION_JOINS = `JOIN mcp_servers_registry s ON c.server_id = s.id
+  LEFT JOIN users u ON c.user_id = u.id
+  LEFT JOIN projects p ON c.project_id = p.id
+  LEFT JOIN environments env ON c.environment_id = env.id`;
+
+function announceClosed(rows, reason) {
+  for (const connection of rows) {
+    publishEvent('mcp.connection_closed', {
+      teamId: connection.team_id,
+      projectId: connection.project_id,
+      environmentId: connection.environment_id,
+      userId: connection.user_id,
+      data: {
+        connection_id: connection.id,
+        client_connection_id: connection.connection_id,
+        server_id: connection.server_id,
+        server_name: connection.server_name,
+        duration_seconds: connection.duration_seconds,
+        reason
+      }
+    });
+  }
+}
+
+// Close every open connection matching `condition` (params start at $2, $1 is the reason)
+async function closeWhere(condition, params, reason) {
+  const result = await pool.query(
+    `WITH closed AS (
+       UPDATE mcp_connections c
+       SET status = 'disconnected', disconnected_at = NOW(), close_reason = $1
+       WHERE c.status = 'connected' AND ${condition}
+       RETURNING c.*
+     )
+     SELECT closed.*, s.name as server_name,
+            EXTRACT(EPOCH FROM (closed.disconnected_at - closed.connected_at))::int as duration_seconds
+     FROM closed
+     JOIN mcp_servers_registry s ON closed.server_id = s.id`,
+    [reason, ...params]
+  );
+
+  announceClosed(result.rows, reason);
+  return result.rows;
+}
+
+// Record a session attaching to a server. A repeated connect with the same
+// client connection id returns the open row instead of creating another;
+// connection is null when that id is open for another user or server.
+export async function openConnection(server, { user, apiKey = null, userId, projectId = null, environmentId = null, connectionId = null, metadata = null }) {
+  const result = await pool.query(
+    `INSERT INTO mcp_connections
+     (server_id, user_id, team_id, project_id, environment_id, api_key_id, connection_id, metadata,
+      status, connected_at, last_activity_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'connected', NOW(), NOW())
+     ON CONFLICT (team_id, connection_id) WHERE status = 'connected'
+     DO UPDATE SET last_activity_at = NOW()
+     WHERE mcp_connections.user_id IS NOT DISTINCT FROM EXCLUDED.user_id
+       AND mcp_connections.server_id = EXCLUDED.server_id
+     RETURNING *, (xmax = 0) as inserted`,
+    [
+      server.id,
+      userId,
+      user.team_id,
+      projectId,
+      environmentId,
+      apiKey ? apiKey.id : null,
+      connectionId || crypto.randomUUID(),
+      metadata
+    ]
+  );
+
+  // The connection_id is open for another user or server
+  if (result.rows.length === 0) {
+    return { connection: null, created: false };
+  }
+
+  const { inserted: created, ...connection } = result.rows[0];
+
+  if (created) {
+    publishEvent('mcp.connection_opened', {
+      teamId: connection.team_id,
+      projectId: connection.project_id,
+      environmentId: connection.environment_id,
+      userId: connection.user_id,
+      data: {
+        connection_id: connection.id,
+        client_connection_id: connection.connection_id,
+        server_id: server.id,
+        server_name: server.name
+      }
+    });
+  }
+
+  return { connection, created };
+}
+
+// Connection of the team, by row id or client connection id
+export async function findTeamConnection(id, teamId) {
+  const result = await pool.query(
+    `SELECT ${CONNECTION_COLUMNS}
+     FROM mcp_connections c
+     ${CONNECTION_JOINS}
+     WHERE c.team_id = $2 AND (c.id::text = $1 OR c.connection_id = $1)
+     ORDER BY c.status = 'connected' DESC, c.connected_at DESC
+     LIMIT 1`,
+    [id, teamId]
+  );
+
+  return result.rows[0] || null;
+}
+
+// Mark an open connection active (keeps it from idling out)
+export async function touchConnection(id) {
+  const result = await pool.query(
+    `UPDATE mcp_connections SET last_activity_at = NOW()
+     WHERE id = $1 AND status = 'connected'
+     RETURNING last_activity_at`,
+    [id]
+  );
+
+  return result.rows[0] || null;
+}
+
+export async function closeConnection(id, reason = 'client_disconnect') {
+  const [closed] = await closeWhere('c.id = $2', [id], reason);
+  return closed || null;
+}
+
+// Close open connections to the given servers
+export async function closeServerConnections(serverIds, reason) {
+  if (serverIds.length === 0) return 0;
+
+  const closed = await closeWhere('c.server_id = ANY($2)', [serverIds], reason);
+  return closed.length;
+}
+
+// Close connections without activity for the idle timeout
+export async function closeIdleConnections() {
+  const closed = await closeWhere(
+    'c.last_activity_at < NOW() - make_interval(mins => $2)',
+    [IDLE_TIMEOUT_MINUTES],
+    'idle_timeout'
+  );
+
+  return closed.length;
+}
+
+// ==================================
+// HISTORY
+// ==================================
+
+// Connections of the given teams, newest first, with usage totals grouped by
+// `groupBy` ('server' or 'user'): sessions, connected time and last use
+export async function getConnectionHistory(teamIds, filters = {}, { groupBy = 'server', limit = 100, offset = 0 } = {}) {
+  const conditions = ['c.team_id = ANY($1)'];
+  const params = [teamIds];
+  let paramIndex = 2;
+
+  const filterColumns = {
+    user_id: 'c.user_id',
+    server_id: 'c.server_id',
+    project_id: 'c.project_id',
+    environment_id: 'c.environment_id',
+    status: 'c.status'
+  };
+
+  for (const [name, column] of Object.entries(filterColumns)) {
+    if (filters[name]) {
+      conditions.push(`${column} = $${paramIndex++}`);
+      params.push(filters[name]);
+    }
+  }
+
+  if (filters.from) {
+    conditions.push(`COALESCE(c.disconnected_at, NOW()) >= $${paramIndex++}`);
+    params.push(filters.from);
+  }
+
+  if (filters.to) {
+    conditions.push(`c.connected_at <= $${paramIndex++}`);
+    params.push(filters.to);
+  }
+
+  const where = conditions.join(' AND ');
+
+  const connections = await pool.query(
+    `SELECT ${CONNECTION_COLUMNS}, COUNT(*) OVER() as total_count
+     FROM mcp_connections c
+     ${CONNECTION_JOINS}
+     WHERE ${where}
+     ORDER BY c.connected_at DESC
+     LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+    [...params, limit, offset]
+  );
+
+  const group = groupBy === 'user'
+    ? { key: 'c.user_id', label: 'MAX(u.username)' }
+    : { key: 'c.server_id', label: 'MAX(s.name)' };
+
+  const usage = await pool.query(
+    `SELECT ${group.key} as key, ${group.label} as label,
+            COUNT(*)::int as sessions,
+            COUNT(*) FILTER (WHERE c.status = 'connected')::int as open_sessions,
+            SUM(EXTRACT(EPOCH FROM (COALESCE(c.disconnected_at, NOW()) - c.connected_at)))::int as total_seconds,
+            AVG(EXTRACT(EPOCH FROM (COALESCE(c.disconnected_at, NOW()) - c.connected_at)))::int as avg_seconds,
+            MAX(c.connected_at) as last_connected_at
+     FROM mcp_connections c
+     ${CONNECTION_JOINS}
+     WHERE ${where}
+     GROUP BY ${group.key}
+     ORDER BY total_seconds DESC`,
+    params
+  );
+
+  const total = connections.rows.length > 0 ? parseInt(connections.rows[0].total_count) : 0;
+
+  return {
+    connections: connections.rows.map(({ total_count, ...row }) => row),
+    total,
+    usage: usage.rows
+  };
+}
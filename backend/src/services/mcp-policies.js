@@ -0,0 +1,228 @@
+import pool from '../config/database.js';
+import { ENVIRONMENT_TYPES, globToRegExp } from './environments.js';
+import { sameOrganizationTeam } from './hooks.js';
+
+// MCP tool policies: allow, deny or require-approval rules matched on server
+// name and tool name globs, optionally limited to environment types. Rules
+// are global, per team or per project; clients ask for a decision before
+// running a tool.
+
+export const MCP_POLICY_DECISIONS = ['allow', 'deny', 'require_approval'];
+export const MCP_POLICY_SCOPES = ['global', 'team', 'project'];
+// 'unknown' matches calls made without an environment
+export const POLICY_ENVIRONMENT_TYPES = [...ENVIRONMENT_TYPES, 'unknown'];
+
+// The most specific scope wins, like hooks, except that a deny is a floor:
+// narrower scopes cannot relax it. Within a scope, priority, then the
+// stricter decision.
+const DECISION_STRICTNESS = { allow: 1, require_approval: 2, deny: 3 };
+
+const pattern = value => typeof value === 'string' && value.trim().length > 0 && value.length <= 255;
+
+// Fields that may be set on a policy, with their checks
+const POLICY_FIELDS = {
+  server_pattern: pattern,
+  tool_pattern: pattern,
+  environment_types: value => value === null || (Array.isArray(value) && value.length > 0 &&
+    value.every(type => POLICY_ENVIRONMENT_TYPES.includes(type))),
+  decision: value => MCP_POLICY_DECISIONS.includes(value),
+  priority: value => Number.isInteger(value) && Math.abs(value) <= 1000000,
+  reason: value => value === null || (typeof value === 'string' && value.length <= 1000),
+  enabled: value => typeof value === 'boolean'
+};
+
+// Pick and check policy fields from a request body; returns { error } or { fields }
+export function validatePolicyInput(body, { partial = false } = {}) {
+  const fields = {};
+
+  for (const [name, isValid] of Object.entries(POLICY_FIELDS)) {
+    if (body[name] === undefined) continue;
+
+    if (!isValid(body[name])) {
+      return { error: `Invalid ${name}` };
+    }
+
+    fields[name] = name.endsWith('_pattern') ? body[name].trim() : body[name];
+  }
+
+  if (!partial && !fields.decision) {
+    return { error: `decision required (${MCP_POLICY_DECISIONS.join(', ')})` };
+  }
+
+  if (!partial && !fields.server_pattern && !fields.tool_pattern) {
+    return { error: 'server_pattern or tool_pattern required' };
+  }
+
+  return { fields };
+}
+
+const POLICY_COLUMNS = `mp.*, p.name as project_name, u.username as created_by_username`;
+
+const POLICY_JOINS = `LEFT JOIN projects p ON mp.project_id = p.id
+  LEFT JOIN users u ON mp.created_by = u.id`;
+
+// A team sees the global policies of its organization (owned by the
+// creator's team) and its own
+const VISIBLE_TO_TEAM = param =>
+  `((mp.scope = 'global' AND ${sameOrganizationTeam('mp.team_id', param)}) OR mp.team_id = ${param})`;
+
+// Policies that apply to the team
+export async function listPolicies(teamId, { scope = null, projectId = null, enabledOnly = false } = {}) {
+  const conditions = [VISIBLE_TO_TEAM('$1')];
+  const params = [teamId];
+  let paramIndex = 2;
+
+  if (scope) {
+    conditions.push(`mp.scope = $${paramIndex++}`);
+    params.push(scope);
+  }
+
+  if (projectId) {
+    conditions.push(`(mp.project_id IS NULL OR mp.project_id = $${paramIndex++})`);
+    params.push(projectId);
+  }
+
+  if (enabledOnly) {
+    conditions.push('mp.enabled');
+  }
+
+  const result = await pool.query(
+    `SELECT ${POLICY_COLUMNS}
+     FROM mcp_tool_policies mp
+     ${POLICY_JOINS}
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY mp.scope, mp.priority DESC, mp.created_at`,
+    params
+  );
+
+  return result.rows;
+}
+
+// A policy the team can see, or null
+export async function findTeamPolicy(id, teamId) {
+  const result = await pool.query(
+    `SELECT ${POLICY_COLUMNS}
+     FROM mcp_tool_policies mp
+     ${POLICY_JOINS}
+     WHERE mp.id = $1 AND ${VISIBLE_TO_TEAM('$2')}`,
+    [id, teamId]
+  );
+
+  return result.rows[0] || null;
+}
+
+export async function createPolicy(fields, { scope, teamId, projectId = null, userId }) {
+  const result = await pool.query(
+    `INSERT INTO mcp_tool_policies
+     (scope, team_id, project_id, server_pattern, tool_pattern, environment_types,
+      decision, priority, reason, enabled, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     RETURNING *`,
+    [
+      scope,
+      teamId,
+      scope === 'project' ? projectId : null,
+      fields.server_pattern || '*',
+      fields.tool_pattern || '*',
+      fields.environment_types || null,
+      fields.decision,
+      fields.priority || 0,
+      fields.reason || null,
+      fields.enabled !== false,
+      userId
+    ]
+  );
+
+  return result.rows[0];
+}
+
+export async function updatePolicy(id, fields) {
+  const names = Object.keys(fields);
+
+  if (names.length === 0) {
+    const result = await pool.query('SELECT * FROM mcp_tool_policies WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  const assignments = names.map((name, index) => `${name} = $${index + 2}`);
+
+  const result = await pool.query(
+    `UPDATE mcp_tool_policies
+     SET ${assignments.join(', ')}, updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [id, ...names.map(name => fields[name])]
+  );
+
+  return result.rows[0] || null;
+}
+
+export async function deletePolicy(id) {
+  const result = await pool.query('DELETE FROM mcp_tool_policies WHERE id = $1 RETURNING id', [id]);
+  return result.rowCount > 0;
+}
+
+// ==================================
+// EVALUATION
+// ==================================
+
+export function policyMatches(policy, { serverName, toolName, environmentType }) {
+  if (!policy.enabled) return false;
+  if (!globToRegExp(policy.server_pattern).test(serverName)) return false;
+  if (!globToRegExp(policy.tool_pattern).test(toolName)) return false;
+
+  if (policy.environment_types && !policy.environment_types.includes(environmentType || 'unknown')) {
+    return false;
+  }
+
+  return true;
+}
+
+// The rule that decides a call, or null when none matches
+export function selectPolicy(policies, call) {
+  const matching = policies.filter(policy => policyMatches(policy, call));
+
+  // The deciding rule of each scope, widest scope first
+  const winners = MCP_POLICY_SCOPES
+    .map(scope => matching
+      .filter(policy => policy.scope === scope)
+      .sort((a, b) =>
+        b.priority - a.priority ||
+        DECISION_STRICTNESS[b.decision] - DECISION_STRICTNESS[a.decision]
+      )[0])
+    .filter(Boolean);
+
+  return winners.find(rule => rule.decision === 'deny') || winners[winners.length - 1] || null;
+}
+
+// Decide a tool call for a team (and project/environment, when known).
+// Without a matching rule the call is allowed.
+export async function evaluateToolPolicy({ teamId, projectId = null, environment = null, server, toolName }) {
+  const policies = await listPolicies(teamId, { projectId, enabledOnly: true });
+
+  // Project rules only apply inside their project
+  const applicable = policies.filter(policy => policy.scope !== 'project' || policy.project_id === projectId);
+
+  const rule = selectPolicy(applicable, {
+    serverName: server.name,
+    toolName,
+    environmentType: environment ? environment.type : null
+  });
+
+  return {
+    decision: rule ? rule.decision : 'allow',
+    rule: rule
+      ? {
+          id: rule.id,
+          scope: rule.scope,
+          project_id: rule.project_id,
+          server_pattern: rule.server_pattern,
+          tool_pattern: rule.tool_pattern,
+          environment_types: rule.environment_types,
+          decision: rule.decision,
+          priority: rule.priority,
+          reason: rule.reason
+        }
+      : null
+  };
+}
@@ -0,0 +1,466 @@
+import pool from '../config/database.js';
+import { publishEvent } from './events.js';
+import { closeServerConnections, closeIdleConnections } from './mcp-connections.js';
+import { discoverTools, callTool, McpProtocolError } from './mcp-client.js';
+import { validateValue, formatPath } from './json-schema.js';
+import { redactForTeam } from './redaction.js';
+
+// MCP server registry: admin-managed server definitions, liveness from client
+// heartbeats, and a sweeper that marks silent servers down and closes idle
+// connections. Every status change is written to mcp_server_status_history
+// for uptime reporting.
+
+export const MCP_SERVER_STATUSES = ['active', 'inactive', 'error', 'unknown'];
+export const MCP_TRANSPORTS = ['stdio', 'http', 'sse'];
+
+const SWEEP_ENABLED = process.env.MCP_SWEEP_ENABLED !== 'false';
+const SWEEP_INTERVAL_SECONDS = parseInt(process.env.MCP_SWEEP_INTERVAL_SECONDS || '30');
+// A server is down after this many heartbeat intervals without a heartbeat
+const MISSED_HEARTBEATS = parseInt(process.env.MCP_MISSED_HEARTBEATS || '3');
+
+// Fields admins may set on a server, with their checks
+const SERVER_FIELDS = {
+  name: value => typeof value === 'string' && value.trim().length > 0 && value.length <= 255,
+  description: value => value === null || typeof value === 'string',
+  transport: value => MCP_TRANSPORTS.includes(value),
+  command: value => value === null || (typeof value === 'string' && value.length <= 500),
+  args: value => value === null || (Array.isArray(value) && value.every(arg => typeof arg === 'string')),
+  env: value => value === null || (typeof value === 'object' && !Array.isArray(value) &&
+    Object.values(value).every(v => typeof v === 'string')),
+  url: value => value === null || (typeof value === 'string' && /^https?:\/\//.test(value) && value.length <= 500),
+  heartbeat_interval_seconds: value => Number.isInteger(value) && value >= 5 && value <= 3600,
+  metadata: value => value === null || (typeof value === 'object' && !Array.isArray(value))
+};
+
+// Pick and check server fields from a request body; returns { error } or { fields }
+export function validateServerInput(body, { partial = false } = {}) {
+  const fields = {};
+
+  for (const [name, isValid] of Object.entries(SERVER_FIELDS)) {
+    if (body[name] === undefined) continue;
+
+    if (!isValid(body[name])) {
+      return { error: `Invalid ${name}` };
+    }
+
+    fields[name] = name === 'name' ? body[name].trim() : body[name];
+  }
+
+  if (!partial && !fields.name) {
+    return { error: 'Server name required' };
+  }
+
+  const transport = fields.transport || (partial ? null : 'stdio');
+
+  if (!partial && transport === 'stdio' && !fields.command) {
+    return { error: 'command required for stdio servers' };
+  }
+
+  if (!partial && transport !== 'stdio' && !fields.url) {
+    return { error: `url required for ${transport} servers` };
+  }
+
+  return { fields };
+}
+
+export async function findServer(id, { includeArchived = false } = {}) {
+  const result = await pool.query(
+    `SELECT * FROM mcp_servers_registry
+     WHERE id = $1 ${includeArchived ? '' : 'AND archived_at IS NULL'}`,
+    [id]
+  );
+
+  return result.rows[0] || null;
+}
+
+// env holds credentials: only admins see the values, others get the names
+export function serverForUser(server, user) {
+  if (user.role === 'admin') {
+    return server;
+  }
+
+  const { env, ...rest } = server;
+  return { ...rest, env_keys: Object.keys(env || {}) };
+}
+
+export async function createServer(fields, userId) {
+  const result = await pool.query(
+    `INSERT INTO mcp_servers_registry
+     (name, description, transport, command, args, env, url, heartbeat_interval_seconds, metadata,
+      status, status_changed_at, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'unknown', NOW(), $10)
+     RETURNING *`,
+    [
+      fields.name,
+      fields.description ?? null,
+      fields.transport || 'stdio',
+      fields.command ?? null,
+      fields.args ? JSON.stringify(fields.args) : null,
+      fields.env ?? null,
+      fields.url ?? null,
+      fields.heartbeat_interval_seconds || 60,
+      fields.metadata ?? null,
+      userId
+    ]
+  );
+
+  await recordStatusChange(pool, result.rows[0].id, 'unknown', null, { reason: 'registered', changedBy: userId });
+  return result.rows[0];
+}
+
+export async function updateServer(id, fields) {
+  const entries = Object.entries(fields);
+
+  if (entries.length === 0) {
+    return findServer(id);
+  }
+
+  const assignments = entries.map(([name], index) => `${name} = $${index + 2}`);
+  const values = entries.map(([name, value]) => (name === 'args' && value ? JSON.stringify(value) : value));
+
+  const result = await pool.query(
+    `UPDATE mcp_servers_registry
+     SET ${assignments.join(', ')}, updated_at = NOW()
+     WHERE id = $1 AND archived_at IS NULL
+     RETURNING *`,
+    [id, ...values]
+  );
+
+  return result.rows[0] || null;
+}
+
+async function recordStatusChange(client, serverId, status, previousStatus, { reason, details = null, changedBy = null }) {
+  await client.query(
+    `INSERT INTO mcp_server_status_history (server_id, status, previous_status, reason, details, changed_by)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [serverId, status, previousStatus, reason, details, changedBy]
+  );
+}
+
+// Soft delete: the server leaves the registry, its history stays
+export async function archiveServer(id, userId) {
+  const result = await pool.query(
+    `WITH previous AS (
+       SELECT id, status FROM mcp_servers_registry WHERE id = $1 AND archived_at IS NULL FOR UPDATE
+     )
+     UPDATE mcp_servers_registry s
+     SET archived_at = NOW(), archived_by = $2, status = 'inactive', status_changed_at = NOW(), updated_at = NOW()
+     FROM previous
+     WHERE s.id = previous.id
+     RETURNING s.*, previous.status as previous_status`,
+    [id, userId]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const { previous_status: previousStatus, ...server } = result.rows[0];
+
+  if (previousStatus !== 'inactive') {
+    await recordStatusChange(pool, id, 'inactive', previousStatus, { reason: 'archived', changedBy: userId });
+  }
+
+  const closedConnections = await closeServerConnections([id], 'server_archived');
+  return { server, closedConnections };
+}
+
+// Record a heartbeat. Clients report 'active' (default) or 'error' with a message.
+export async function recordHeartbeat(server, { status = 'active', error = null, userId = null }) {
+  const result = await pool.query(
+    `WITH previous AS (
+       SELECT id, status FROM mcp_servers_registry WHERE id = $1 AND archived_at IS NULL FOR UPDATE
+     )
+     UPDATE mcp_servers_registry s
+     SET last_heartbeat = NOW(),
+         status = $2,
+         last_error = CASE WHEN $2 = 'error' THEN $3 ELSE s.last_error END,
+         status_changed_at = CASE WHEN s.status IS DISTINCT FROM $2 THEN NOW() ELSE s.status_changed_at END
+     FROM previous
+     WHERE s.id = previous.id
+     RETURNING s.*, previous.status as previous_status`,
+    [server.id, status, error]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const { previous_status: previousStatus, ...updated } = result.rows[0];
+
+  if (previousStatus !== status) {
+    await recordStatusChange(pool, server.id, status, previousStatus, {
+      reason: status === 'error' ? 'reported_error' : 'heartbeat',
+      details: error,
+      changedBy: userId
+    });
+  }
+
+  return { server: updated, changed: previousStatus !== status };
+}
+
+// ==================================
+// SWEEPER
+// ==================================
+
+// Mark servers whose heartbeats stopped: 'error' if clients were still
+// connected (it went away while in use) or it last reported an error,
+// otherwise 'inactive'. Their open connections are closed.
+export async function sweepStaleServers() {
+  const stale = await pool.query(
+    `WITH stale AS (
+       SELECT s.id, s.status as previous_status,
+              CASE WHEN s.status = 'error' OR EXISTS (
+                SELECT 1 FROM mcp_connections c WHERE c.server_id = s.id AND c.status = 'connected'
+              ) THEN 'error' ELSE 'inactive' END as new_status
+       FROM mcp_servers_registry s
+       WHERE s.archived_at IS NULL
+         AND COALESCE(s.last_heartbeat, s.created_at) <
+             NOW() - make_interval(secs => s.heartbeat_interval_seconds * $1)
+         AND (s.status IN ('active', 'unknown') OR EXISTS (
+           SELECT 1 FROM mcp_connections c WHERE c.server_id = s.id AND c.status = 'connected'
+         ))
+       FOR UPDATE OF s SKIP LOCKED
+     )
+     UPDATE mcp_servers_registry s
+     SET status = stale.new_status,
+         status_changed_at = CASE WHEN s.status IS DISTINCT FROM stale.new_status THEN NOW() ELSE s.status_changed_at END,
+         last_error = CASE WHEN s.status <> 'error' AND stale.new_status = 'error'
+                           THEN 'Heartbeat timeout with open connections' ELSE s.last_error END
+     FROM stale
+     WHERE s.id = stale.id
+     RETURNING s.id, s.status, stale.previous_status`,
+    [MISSED_HEARTBEATS]
+  );
+
+  const changed = stale.rows.filter(server => server.status !== server.previous_status);
+
+  for (const server of changed) {
+    await recordStatusChange(pool, server.id, server.status, server.previous_status, { reason: 'heartbeat_timeout' });
+  }
+
+  const closedConnections = await closeServerConnections(stale.rows.map(server => server.id), 'heartbeat_timeout');
+
+  return { servers: changed.length, closedConnections };
+}
+
+let sweepTimer = null;
+let sweepRunning = false;
+
+async function sweepTick() {
+  if (sweepRunning) return;
+  sweepRunning = true;
+
+  try {
+    const result = await sweepStaleServers();
+    const idle = await closeIdleConnections();
+
+    if (result.servers > 0 || result.closedConnections > 0 || idle > 0) {
+      console.log(`🔌 MCP sweep: ${result.servers} server(s) down, ${result.closedConnections + idle} connection(s) closed`);
+    }
+  } catch (error) {
+    console.error('MCP sweep failed:', error.message);
+  } finally {
+    sweepRunning = false;
+  }
+}
+
+export function startMcpSweeper() {
+  if (!SWEEP_ENABLED || sweepTimer) return false;
+
+  sweepTimer = setInterval(sweepTick, SWEEP_INTERVAL_SECONDS * 1000);
+  sweepTimer.unref();
+
+  return true;
+}
+
+export function stopMcpSweeper() {
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+}
+
+// ==================================
+// UPTIME
+// ==================================
+
+// Status transitions in the window plus time spent per status, overall and per day
+export async function getServerStatusHistory(serverId, { days = 7 } = {}) {
+  const transitions = await pool.query(
+    `SELECT h.*, u.username as changed_by_name
+     FROM mcp_server_status_history h
+     LEFT JOIN users u ON h.changed_by = u.id
+     WHERE h.server_id = $1 AND h.changed_at >= NOW() - make_interval(days => $2)
+     ORDER BY h.changed_at DESC`,
+    [serverId, days]
+  );
+
+  // Each transition lasts until the next one; clip the spans to each day
+  const daily = await pool.query(
+    `WITH spans AS (
+       SELECT status, changed_at as started_at,
+              LEAD(changed_at, 1, NOW()::timestamp) OVER (ORDER BY changed_at, id) as ended_at
+       FROM mcp_server_status_history
+       WHERE server_id = $1
+     ),
+     days AS (
+       SELECT d::date as day
+       FROM generate_series((NOW() - make_interval(days => $2 - 1))::date, NOW()::date, INTERVAL '1 day') d
+     )
+     SELECT days.day::text as date, spans.status,
+            SUM(EXTRACT(EPOCH FROM
+              LEAST(spans.ended_at, days.day + 1, NOW()::timestamp) - GREATEST(spans.started_at, days.day::timestamp)
+            ))::int as seconds
+     FROM days
+     JOIN spans ON spans.started_at < days.day + 1 AND spans.ended_at > days.day
+     GROUP BY days.day, spans.status
+     ORDER BY days.day`,
+    [serverId, days]
+  );
+
+  const byDay = new Map();
+  const totals = {};
+
+  for (const row of daily.rows) {
+    if (!byDay.has(row.date)) byDay.set(row.date, { date: row.date, seconds: {} });
+    byDay.get(row.date).seconds[row.status] = row.seconds;
+    totals[row.status] = (totals[row.status] || 0) + row.seconds;
+  }
+
+  const uptime = seconds => {
+    const tracked = Object.values(seconds).reduce((sum, value) => sum + value, 0);
+    return tracked > 0 ? Math.round(10000 * (seconds.active || 0) / tracked) / 100 : null;
+  };
+
+  return {
+    period_days: days,
+    uptime_percent: uptime(totals),
+    seconds_by_status: totals,
+    daily: [...byDay.values()].map(day => ({ ...day, uptime_percent: uptime(day.seconds) })),
+    transitions: transitions.rows
+  };
+}
+
+// ==================================
+// TOOL DISCOVERY & TESTING
+// ==================================
+
+// Largest tool output stored in mcp_tool_executions.output_result
+const MAX_STORED_OUTPUT_BYTES = 65536;
+
+// Launch the server, list its tools and cache them on the registry row
+export async function refreshServerTools(server) {
+  const discovered = await discoverTools(server);
+
+  const result = await pool.query(
+    `UPDATE mcp_servers_registry
+     SET tools_discovered = $2, tools_discovered_at = NOW(), server_info = $3, updated_at = NOW()
+     WHERE id = $1
+     RETURNING tools_discovered, tools_discovered_at, server_info`,
+    [
+      server.id,
+      JSON.stringify(discovered.tools),
+      {
+        protocol_version: discovered.protocol_version,
+        server_info: discovered.server_info,
+        capabilities: discovered.capabilities
+      }
+    ]
+  );
+
+  return result.rows[0];
+}
+
+// Schema errors for a tool's arguments, as [{ path, message }]
+export function validateToolArguments(tool, args) {
+  if (!args || typeof args !== 'object' || Array.isArray(args)) {
+    return [{ path: '', message: 'arguments must be an object' }];
+  }
+
+  return validateValue(args, tool.input_schema || { type: 'object' }).map(error => ({
+    path: formatPath(error.path),
+    message: error.message
+  }));
+}
+
+function storableOutput(result) {
+  const serialized = JSON.stringify(result ?? null);
+
+  if (serialized.length <= MAX_STORED_OUTPUT_BYTES) {
+    return serialized;
+  }
+
+  return JSON.stringify({ truncated: true, bytes: serialized.length, preview: serialized.slice(0, 4096) });
+}
+
+// Invoke a tool and record the run in mcp_tool_executions (source 'test')
+export async function testTool(server, tool, args, user) {
+  const started = Date.now();
+  let result = null;
+  let status = 'success';
+  let errorMessage = null;
+
+  try {
+    result = await callTool(server, tool.name, args);
+
+    if (result?.isError) {
+      status = 'error';
+      errorMessage = (result.content || []).filter(part => part.type === 'text').map(part => part.text).join('\n') ||
+        'Tool reported an error';
+    }
+  } catch (error) {
+    if (!(error instanceof McpProtocolError)) throw error;
+
+    status = error.timedOut ? 'timeout' : 'error';
+    errorMessage = error.message;
+  }
+
+  const executionTimeMs = Date.now() - started;
+
+  // The caller gets the live result; what is stored is redacted
+  const { record: redacted, redactions } = await redactForTeam(
+    user.team_id,
+    { args, result, errorMessage },
+    ['args', 'result', 'errorMessage']
+  );
+
+  const inserted = await pool.query(
+    `INSERT INTO mcp_tool_executions
+     (server_id, user_id, team_id, tool_name, input_params, output_result, execution_time_ms, status, error_message,
+      source, redactions, redacted_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'test', $10, $11)
+     RETURNING *`,
+    [
+      server.id,
+      user.id,
+      user.team_id,
+      tool.name,
+      JSON.stringify(redacted.args),
+      storableOutput(redacted.result),
+      executionTimeMs,
+      status,
+      redacted.errorMessage,
+      redactions ? JSON.stringify(redactions) : null,
+      redactions ? new Date() : null
+    ]
+  );
+
+  const execution = inserted.rows[0];
+
+  if (status !== 'success') {
+    publishEvent('mcp.tool_error', {
+      teamId: user.team_id,
+      userId: user.id,
+      data: {
+        execution_id: execution.id,
+        server_id: server.id,
+        tool_name: tool.name,
+        status,
+        error_message: execution.error_message,
+        execution_time_ms: executionTimeMs,
+        source: 'test'
+      }
+    });
+  }
+
+  return { execution, result };
+}
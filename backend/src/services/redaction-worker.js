@@ -0,0 +1,12 @@
+import { parentPort } from 'worker_threads';
+import { redactValue } from './redaction.js';
+
+// Runs redactValue (with the team's rules, if any) for redaction.js, which
+// terminates this worker when a call takes too long.
+parentPort.on('message', ({ id, value, rules }) => {
+  try {
+    parentPort.postMessage({ id, result: redactValue(value, { rules }) });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
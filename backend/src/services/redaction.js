@@ -0,0 +1,626 @@
+import { Worker } from 'worker_threads';
+import pool from '../config/database.js';
+
+// Secret and PII redaction for everything stored from clients: evidence text,
+// data and git remotes, text artifacts, MCP tool inputs/outputs, connection
+// metadata and heartbeat errors, and hook test runs. Matches are replaced with
+// typed placeholders ([REDACTED:jwt]) and the count per type is stored with
+// the row where it has a redactions column. Built-in detectors cover common
+// secret formats and emails; teams add their own patterns in redaction_rules.
+// Images and PDFs are stored as-is. Strings longer than
+// REDACTION_MAX_STRING_LENGTH are cut to that length (text artifacts are
+// redacted in chunks of that size instead).
+
+const ENTROPY_THRESHOLD = parseFloat(process.env.REDACTION_ENTROPY_THRESHOLD || '4.0');
+const ENTROPY_MIN_LENGTH = parseInt(process.env.REDACTION_ENTROPY_MIN_LENGTH || '24');
+// Plain identifiers (letters, digits, underscores) need more to look random
+const IDENTIFIER_MIN_LENGTH = Math.max(ENTROPY_MIN_LENGTH, 32);
+const IDENTIFIER_MIN_DIGIT_RUNS = 3;
+const MAX_RULE_PATTERN_LENGTH = 1000;
+const MAX_STRING_LENGTH = parseInt(process.env.REDACTION_MAX_STRING_LENGTH || String(1024 * 1024));
+const RULE_TIMEOUT_MS = parseInt(process.env.REDACTION_RULE_TIMEOUT_MS || '2000');
+
+// Redaction took too long (usually a team rule backtracking catastrophically).
+// The write is refused rather than stored unredacted.
+export class RedactionTimeoutError extends Error {
+  constructor(message, status = 422) {
+    super(message);
+    this.name = 'RedactionTimeoutError';
+    this.status = status;
+  }
+}
+
+const placeholder = type => `[REDACTED:${type}]`;
+
+// Checked in order. A (?<pre>...) / (?<post>...) group is kept around the
+// placeholder, so only the secret itself is replaced.
+const BUILTIN_DETECTORS = [
+  {
+    type: 'private_key',
+    // The body may not contain '-----', so a match never backtracks over a
+    // later BEGIN (lazy [\s\S]*? was quadratic on repeated headers)
+    pattern: /-----BEGIN [A-Z ]{0,40}PRIVATE KEY(?: BLOCK)?-----[^-]*(?:-(?!----)[^-]*)*-----END [A-Z ]{0,40}PRIVATE KEY(?: BLOCK)?-----/g
+  },
+  {
+    type: 'connection_string',
+    pattern: /(?<pre>\b(?:postgres(?:ql)?|mysql|mariadb|mongodb(?:\+srv)?|rediss?|amqps?|mssql|sqlserver|jdbc:[a-z]+):\/\/[^\s:@/]*:)[^\s@/]+(?<post>@)/gi
+  },
+  {
+    type: 'aws_access_key',
+    pattern: /\b(?:AKIA|ASIA|ABIA|ACCA)[0-9A-Z]{16}\b/g
+  },
+  {
+    type: 'aws_secret_key',
+    pattern: /(?<pre>aws_?secret_?(?:access_?)?key["']?\s*[:=]\s*["']?)[A-Za-z0-9/+]{40}(?![A-Za-z0-9/+])/gi
+  },
+  {
+    type: 'gcp_api_key',
+    pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g
+  },
+  {
+    type: 'azure_storage_key',
+    pattern: /(?<pre>AccountKey=)[A-Za-z0-9+/]{86,88}={0,2}/g
+  },
+  {
+    type: 'github_token',
+    pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/g
+  },
+  {
+    type: 'slack_token',
+    pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g
+  },
+  {
+    type: 'stripe_key',
+    pattern: /\b[rs]k_(?:live|test)_[A-Za-z0-9]{16,}\b/g
+  },
+  {
+    type: 'api_key',
+    pattern: /\bsk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}/g
+  },
+  {
+    type: 'jwt',
+    pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g
+  },
+  {
+    type: 'bearer_token',
+    pattern: /(?<pre>\bBearer\s+)(?!\[REDACTED)[A-Za-z0-9._~+/-]{16,}=*/g
+  },
+  {
+    type: 'secret',
+    pattern: /(?<pre>\b(?:password|passwd|pwd|secret|client_secret|api[_-]?key|access[_-]?token|auth[_-]?token)["']?\s*[:=]\s*["']?)(?!\[REDACTED)[^\s"',;&]{4,}/gi
+  },
+  {
+    type: 'email',
+    // Bounded parts and a start that cannot be inside another local part keep this linear
+    pattern: /(?<![A-Za-z0-9._%+-])[A-Za-z0-9._%+-]{1,64}@[A-Za-z0-9-]{1,63}(?:\.[A-Za-z0-9-]{1,63}){0,8}\.[A-Za-z]{2,24}\b/g,
+    ignore: match => /^git@/i.test(match) // SSH remotes, not people
+  }
+];
+
+// Object keys whose string values are always secrets
+const SECRET_KEY = /^(?:password|passwd|secret|client_secret|api[_-]?key|access[_-]?token|refresh[_-]?token|auth[_-]?token|private[_-]?key|token)$/i;
+
+export const REDACTION_TYPES = [...BUILTIN_DETECTORS.map(d => d.type), 'high_entropy', 'custom', 'truncated'];
+
+function shannonEntropy(value) {
+  const counts = new Map();
+
+  for (const char of value) {
+    counts.set(char, (counts.get(char) || 0) + 1);
+  }
+
+  let entropy = 0;
+
+  for (const count of counts.values()) {
+    const p = count / value.length;
+    entropy -= p * Math.log2(p);
+  }
+
+  return entropy;
+}
+
+// Long random-looking tokens: letters and digits mixed, not hex (hashes and
+// commit SHAs are not secrets). Identifiers like useComplianceRollup2024Query
+// are long and varied too, so without base64 punctuation a token must also be
+// longer, mixed case, and have digits scattered through it.
+export function isHighEntropy(token) {
+  if (!/[0-9]/.test(token) || !/[A-Za-z]/.test(token) || /^[0-9a-f]+$/i.test(token)) {
+    return false;
+  }
+
+  if (/^[A-Za-z0-9_]+$/.test(token) && (
+    token.length < IDENTIFIER_MIN_LENGTH ||
+    !/[a-z]/.test(token) ||
+    !/[A-Z]/.test(token) ||
+    token.match(/[0-9]+/g).length < IDENTIFIER_MIN_DIGIT_RUNS
+  )) {
+    return false;
+  }
+
+  return shannonEntropy(token) >= ENTROPY_THRESHOLD;
+}
+
+// '/', '.' and '-' end a token, so file paths, package names and kebab-case
+// names are scored a segment at a time
+const ENTROPY_TOKEN = new RegExp(`[A-Za-z0-9+_=]{${ENTROPY_MIN_LENGTH},}`, 'g');
+
+function redactString(value, detectors, counts) {
+  const truncated = value.length > MAX_STRING_LENGTH;
+  let result = truncated ? value.slice(0, MAX_STRING_LENGTH) : value;
+
+  for (const { type, pattern, ignore } of detectors) {
+    result = result.replace(pattern, (...args) => {
+      const match = args[0];
+      const groups = typeof args[args.length - 1] === 'object' ? args[args.length - 1] : {};
+
+      if (ignore && ignore(match)) return match;
+
+      counts[type] = (counts[type] || 0) + 1;
+      return (groups.pre || '') + placeholder(type) + (groups.post || '');
+    });
+  }
+
+  result = result.replace(ENTROPY_TOKEN, token => {
+    if (!isHighEntropy(token)) return token;
+
+    counts.high_entropy = (counts.high_entropy || 0) + 1;
+    return placeholder('high_entropy');
+  });
+
+  if (truncated) {
+    counts.truncated = (counts.truncated || 0) + 1;
+    result += placeholder('truncated');
+  }
+
+  return result;
+}
+
+function redactNested(value, detectors, counts) {
+  if (typeof value === 'string') {
+    return redactString(value, detectors, counts);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => redactNested(item, detectors, counts));
+  }
+
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const redacted = {};
+
+    for (const [key, item] of Object.entries(value)) {
+      if (SECRET_KEY.test(key) && typeof item === 'string' && item && !item.startsWith('[REDACTED:')) {
+        counts.secret = (counts.secret || 0) + 1;
+        redacted[key] = placeholder('secret');
+      } else {
+        redacted[key] = redactNested(item, detectors, counts);
+      }
+    }
+
+    return redacted;
+  }
+
+  return value;
+}
+
+// Team rule rows -> detectors (invalid patterns were rejected on save, but a
+// rule that no longer compiles is skipped rather than failing the write)
+export function compileRules(rules) {
+  const detectors = [];
+
+  for (const rule of rules) {
+    try {
+      const flags = new Set([...(rule.flags || ''), 'g']);
+      detectors.push({ type: rule.placeholder_type || 'custom', pattern: new RegExp(rule.pattern, [...flags].join('')) });
+    } catch (error) {
+      console.error(`Skipping redaction rule ${rule.id}:`, error.message);
+    }
+  }
+
+  return detectors;
+}
+
+// Redact strings anywhere in `value`. Team rules run before the built-in
+// detectors. Returns { value, redactions } with redactions null when nothing matched.
+// Runs in the calling thread without a time limit: use redactWithRules.
+export function redactValue(value, { rules = [] } = {}) {
+  const counts = {};
+  const redacted = redactNested(value, [...compileRules(rules), ...BUILTIN_DETECTORS], counts);
+
+  return { value: redacted, redactions: Object.keys(counts).length > 0 ? counts : null };
+}
+
+// Team rules are user-written regular expressions and the input is
+// client-controlled, so redaction runs in a worker thread that is terminated
+// when a call takes longer than RULE_TIMEOUT_MS. Requests queued behind the
+// one that timed out are sent to a fresh worker.
+let worker = null;
+let nextRequestId = 1;
+let timer = null;
+const pending = new Map();
+
+function startWorker() {
+  const instance = new Worker(new URL('./redaction-worker.js', import.meta.url));
+
+  instance.on('message', ({ id, result, error }) => {
+    const entry = pending.get(id);
+    if (!entry) return;
+
+    pending.delete(id);
+    clearTimeout(timer);
+    armTimer();
+
+    if (error) {
+      entry.reject(new Error(error));
+    } else {
+      entry.resolve(result);
+    }
+  });
+
+  const fail = error => {
+    if (worker !== instance) return;
+
+    worker = null;
+    clearTimeout(timer);
+    for (const entry of pending.values()) {
+      entry.reject(error);
+    }
+    pending.clear();
+  };
+
+  instance.on('error', fail);
+  instance.on('exit', code => fail(new Error(`Redaction worker exited with code ${code}`)));
+
+  // Listeners ref the worker; it must not keep the process alive
+  instance.unref();
+
+  worker = instance;
+  return instance;
+}
+
+// The worker handles requests in order, so only the oldest pending one is
+// running: its clock starts when the one before it finishes
+function armTimer() {
+  const [id] = pending.keys();
+
+  if (id !== undefined) {
+    timer = setTimeout(() => timeOut(id), RULE_TIMEOUT_MS);
+  }
+}
+
+function timeOut(id) {
+  const entry = pending.get(id);
+  if (!entry) return;
+
+  pending.delete(id);
+  entry.reject(new RedactionTimeoutError(entry.message.rules.length > 0
+    ? `A team redaction rule took longer than ${RULE_TIMEOUT_MS}ms; fix or disable the rule`
+    : `Redaction took longer than ${RULE_TIMEOUT_MS}ms`
+  ));
+
+  const stopped = worker;
+  worker = null;
+  stopped.terminate();
+
+  if (pending.size > 0) {
+    const replacement = startWorker();
+
+    for (const [queuedId, { message }] of pending) {
+      replacement.postMessage({ id: queuedId, ...message });
+    }
+
+    armTimer();
+  }
+}
+
+// redactValue with team rules (possibly none), off the main thread
+export function redactWithRules(value, rules) {
+  const message = {
+    value,
+    rules: rules.map(({ id, pattern, flags, placeholder_type }) => ({ id, pattern, flags, placeholder_type }))
+  };
+
+  return new Promise((resolve, reject) => {
+    const id = nextRequestId++;
+
+    pending.set(id, { resolve, reject, message });
+    (worker || startWorker()).postMessage({ id, ...message });
+
+    if (pending.size === 1) {
+      armTimer();
+    }
+  });
+}
+
+// Add redaction counts together (either side may be null)
+export function mergeRedactions(a, b) {
+  if (!a) return b || null;
+  if (!b) return a;
+
+  const merged = { ...a };
+
+  for (const [type, count] of Object.entries(b)) {
+    merged[type] = (merged[type] || 0) + count;
+  }
+
+  return merged;
+}
+
+export async function getTeamRedactionRules(teamId, { enabledOnly = false } = {}) {
+  const result = await pool.query(
+    `SELECT * FROM redaction_rules
+     WHERE team_id = $1 ${enabledOnly ? 'AND enabled' : ''}
+     ORDER BY name`,
+    [teamId]
+  );
+
+  return result.rows;
+}
+
+// Redact the named fields of a record with the team's rules.
+// Returns { record, redactions } (the record is a copy); throws
+// RedactionTimeoutError when a team rule runs too long.
+export async function redactForTeam(teamId, record, fields) {
+  const rules = teamId ? await getTeamRedactionRules(teamId, { enabledOnly: true }) : [];
+  const copy = { ...record };
+  let redactions = null;
+
+  for (const field of fields) {
+    if (copy[field] === undefined || copy[field] === null) continue;
+
+    const result = await redactWithRules(copy[field], rules);
+    copy[field] = result.value;
+    redactions = mergeRedactions(redactions, result.redactions);
+  }
+
+  return { record: copy, redactions };
+}
+
+// Cut text into pieces of at most MAX_STRING_LENGTH, at line ends where there
+// is one, and never inside a private key block that fits in a piece
+export function splitText(text, size = MAX_STRING_LENGTH) {
+  const pieces = [];
+  let start = 0;
+
+  while (text.length - start > size) {
+    let end = text.lastIndexOf('\n', start + size - 1) + 1;
+    if (end <= start) end = start + size;
+
+    const begin = text.lastIndexOf('-----BEGIN ', end - 1);
+    if (begin > start && begin > text.lastIndexOf('-----END ', end - 1)) {
+      end = text.lastIndexOf('\n', begin) + 1 || begin;
+      if (end <= start) end = begin;
+    }
+
+    pieces.push(text.slice(start, end));
+    start = end;
+  }
+
+  pieces.push(text.slice(start));
+  return pieces;
+}
+
+// Redact a text file (uploaded artifacts) with the team's rules, a piece at a
+// time so large files are neither truncated nor held to one time limit.
+// Returns { text, redactions }.
+export async function redactTextForTeam(teamId, text) {
+  const rules = teamId ? await getTeamRedactionRules(teamId, { enabledOnly: true }) : [];
+  const pieces = [];
+  let redactions = null;
+
+  for (const piece of splitText(text)) {
+    const result = await redactWithRules(piece, rules);
+    pieces.push(result.value);
+    redactions = mergeRedactions(redactions, result.redactions);
+  }
+
+  return { text: pieces.join(''), redactions };
+}
+
+// ==================================
+// TEAM RULES
+// ==================================
+
+// Pick and check rule fields from a request body; returns { error } or { fields }
+export function validateRedactionRule(body, { partial = false } = {}) {
+  const fields = {};
+
+  if (body.name !== undefined) {
+    if (typeof body.name !== 'string' || !body.name.trim() || body.name.length > 255) {
+      return { error: 'Invalid name' };
+    }
+    fields.name = body.name.trim();
+  }
+
+  if (body.pattern !== undefined) {
+    if (typeof body.pattern !== 'string' || !body.pattern || body.pattern.length > MAX_RULE_PATTERN_LENGTH) {
+      return { error: `pattern must be a regular expression of at most ${MAX_RULE_PATTERN_LENGTH} characters` };
+    }
+    fields.pattern = body.pattern;
+  }
+
+  if (body.flags !== undefined) {
+    if (typeof body.flags !== 'string' || !/^[imsu]*$/.test(body.flags)) {
+      return { error: 'flags may only contain i, m, s and u' };
+    }
+    fields.flags = body.flags;
+  }
+
+  if (body.placeholder_type !== undefined) {
+    if (typeof body.placeholder_type !== 'string' || !/^[a-z][a-z0-9_]{0,49}$/.test(body.placeholder_type)) {
+      return { error: 'placeholder_type must be lowercase letters, digits and underscores' };
+    }
+    fields.placeholder_type = body.placeholder_type;
+  }
+
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== 'boolean') {
+      return { error: 'Invalid enabled' };
+    }
+    fields.enabled = body.enabled;
+  }
+
+  if (!partial && (!fields.name || !fields.pattern)) {
+    return { error: 'Rule name and pattern required' };
+  }
+
+  if (fields.pattern !== undefined || fields.flags !== undefined) {
+    try {
+      const regex = new RegExp(fields.pattern ?? '', fields.flags ?? '');
+
+      // A pattern matching the empty string would redact between every character
+      if (fields.pattern !== undefined && regex.test('')) {
+        return { error: 'pattern must not match an empty string' };
+      }
+    } catch (error) {
+      return { error: `Invalid pattern: ${error.message}` };
+    }
+  }
+
+  return { fields };
+}
+
+export async function findTeamRedactionRule(id, teamId) {
+  const result = await pool.query(
+    'SELECT * FROM redaction_rules WHERE id = $1 AND team_id = $2',
+    [id, teamId]
+  );
+
+  return result.rows[0] || null;
+}
+
+export async function createRedactionRule(fields, { teamId, userId }) {
+  const result = await pool.query(
+    `INSERT INTO redaction_rules (team_id, name, pattern, flags, placeholder_type, enabled, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [
+      teamId,
+      fields.name,
+      fields.pattern,
+      fields.flags ?? 'i',
+      fields.placeholder_type || 'custom',
+      fields.enabled !== false,
+      userId
+    ]
+  );
+
+  return result.rows[0];
+}
+
+export async function updateRedactionRule(rule, fields) {
+  // Flags are checked together with the pattern they will be used with
+  if (fields.pattern === undefined && fields.flags !== undefined) {
+    try {
+      new RegExp(rule.pattern, fields.flags);
+    } catch (error) {
+      return { error: `Invalid flags for pattern: ${error.message}` };
+    }
+  }
+
+  const names = Object.keys(fields);
+
+  if (names.length === 0) {
+    return { rule };
+  }
+
+  const assignments = names.map((name, index) => `${name} = $${index + 2}`);
+
+  const result = await pool.query(
+    `UPDATE redaction_rules
+     SET ${assignments.join(', ')}, updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [rule.id, ...names.map(name => fields[name])]
+  );
+
+  return { rule: result.rows[0] };
+}
+
+export async function deleteRedactionRule(id) {
+  await pool.query('DELETE FROM redaction_rules WHERE id = $1', [id]);
+}
+
+// ==================================
+// STORED ROWS
+// ==================================
+
+export const REDACTION_SCAN_TARGETS = {
+  evidence: {
+    table: 'evidence_repository_v2',
+    fields: ['evidence_data', 'prompt_text', 'completion_text'],
+    jsonFields: ['evidence_data']
+  },
+  tool_executions: {
+    table: 'mcp_tool_executions',
+    fields: ['input_params', 'output_result', 'error_message'],
+    jsonFields: ['input_params', 'output_result']
+  }
+};
+
+// Scan one page of a team's stored rows (ordered by id, after `after`) with
+// the current rules. With apply, changed rows are rewritten and their
+// redaction counts added to. Returns totals, the matching rows and the cursor
+// for the next page (null when done).
+export async function scanStoredRows(teamId, target, { apply = false, limit = 500, after = null } = {}) {
+  const { table, fields, jsonFields } = REDACTION_SCAN_TARGETS[target];
+  const rules = await getTeamRedactionRules(teamId, { enabledOnly: true });
+
+  const rows = await pool.query(
+    `SELECT id, redactions, ${fields.join(', ')}
+     FROM ${table}
+     WHERE team_id = $1 ${after ? 'AND id > $3' : ''}
+     ORDER BY id
+     LIMIT $2`,
+    after ? [teamId, limit, after] : [teamId, limit]
+  );
+
+  const matched = [];
+  let totals = null;
+
+  for (const row of rows.rows) {
+    const changes = {};
+    let found = null;
+
+    for (const field of fields) {
+      if (row[field] === null) continue;
+
+      const { value, redactions } = await redactWithRules(row[field], rules);
+
+      if (redactions) {
+        changes[field] = value;
+        found = mergeRedactions(found, redactions);
+      }
+    }
+
+    if (!found) continue;
+
+    matched.push({ id: row.id, redactions: found });
+    totals = mergeRedactions(totals, found);
+
+    if (apply) {
+      const names = Object.keys(changes);
+      const assignments = names.map((name, index) => `${name} = $${index + 3}`);
+
+      await pool.query(
+        `UPDATE ${table}
+         SET ${assignments.join(', ')}, redactions = $2, redacted_at = NOW()
+         WHERE id = $1`,
+        [
+          row.id,
+          JSON.stringify(mergeRedactions(row.redactions, found)),
+          ...names.map(name => (jsonFields.includes(name) ? JSON.stringify(changes[name]) : changes[name]))
+        ]
+      );
+    }
+  }
+
+  return {
+    target,
+    applied: apply,
+    scanned: rows.rows.length,
+    matched: matched.length,
+    redactions: totals,
+    rows: matched,
+    next_cursor: rows.rows.length === limit ? rows.rows[rows.rows.length - 1].id : null
+  };
+}
@@ -0,0 +1,87 @@
+import crypto from 'crypto';
+import pool from '../config/database.js';
+
+// Refresh tokens live for the length of a session; access tokens are short
+// lived and carry the session id so revocation takes effect immediately
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS || '168');
+
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function newRefreshToken() {
+  return crypto.randomBytes(48).toString('base64url');
+}
+
+// Create a session for a freshly authenticated user
+export async function createSession(user, { userAgent = null, ipAddress = null } = {}) {
+  const refreshToken = newRefreshToken();
+
+  const result = await pool.query(
+    `INSERT INTO user_sessions (user_id, token_hash, expires_at, user_agent, ip_address)
+     VALUES ($1, $2, NOW() + make_interval(hours => $3), $4, $5)
+     RETURNING id, user_id, expires_at, created_at`,
+    [user.id, hashToken(refreshToken), SESSION_TTL_HOURS, userAgent, ipAddress]
+  );
+
+  return { session: result.rows[0], refreshToken };
+}
+
+// Exchange a refresh token for a new one (rotation); the old token stops working
+export async function rotateSession(refreshToken) {
+  const nextToken = newRefreshToken();
+
+  const result = await pool.query(
+    `UPDATE user_sessions
+     SET token_hash = $2, refreshed_at = NOW(), last_activity = NOW()
+     WHERE token_hash = $1 AND revoked_at IS NULL AND expires_at > NOW()
+     RETURNING id, user_id, expires_at`,
+    [hashToken(refreshToken), hashToken(nextToken)]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  return { session: result.rows[0], refreshToken: nextToken };
+}
+
+export async function revokeSession(sessionId, revokedBy = null) {
+  const result = await pool.query(
+    `UPDATE user_sessions
+     SET revoked_at = NOW(), revoked_by = $2
+     WHERE id = $1 AND revoked_at IS NULL
+     RETURNING id, user_id`,
+    [sessionId, revokedBy]
+  );
+
+  return result.rows[0] || null;
+}
+
+// Revoke every active session of a user, optionally keeping one
+export async function revokeUserSessions(userId, { revokedBy = null, exceptSessionId = null } = {}) {
+  const result = await pool.query(
+    `UPDATE user_sessions
+     SET revoked_at = NOW(), revoked_by = $2
+     WHERE user_id = $1 AND revoked_at IS NULL AND id IS DISTINCT FROM $3
+     RETURNING id`,
+    [userId, revokedBy, exceptSessionId]
+  );
+
+  return result.rowCount;
+}
+
+export async function listSessions(userId, { includeInactive = false } = {}) {
+  const result = await pool.query(
+    `SELECT id, user_id, created_at, last_activity, refreshed_at, expires_at,
+            revoked_at, user_agent, ip_address,
+            (revoked_at IS NULL AND expires_at > NOW()) as active
+     FROM user_sessions
+     WHERE user_id = $1
+       AND ($2 OR (revoked_at IS NULL AND expires_at > NOW()))
+     ORDER BY last_activity DESC`,
+    [userId, includeInactive]
+  );
+
+  return result.rows;
+}
@@ -0,0 +1,187 @@
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import pool from '../config/database.js';
+import { hashToken, revokeUserSessions } from './sessions.js';
+
+// User and team administration. Admins manage the teams of their own
+// organization; invitations are single-use tokens stored as SHA-256 hashes.
+
+export const USER_ROLES = ['admin', 'lead', 'developer'];
+
+export const PASSWORD_MIN_LENGTH = 8;
+
+const BCRYPT_ROUNDS = 10;
+const INVITATION_TTL_HOURS = parseInt(process.env.INVITATION_TTL_HOURS || '72');
+
+// Columns safe to return to API clients (never password_hash)
+export const USER_COLUMNS = `u.id, u.username, u.email, u.full_name, u.role, u.team_id, u.is_active,
+  u.created_at, u.last_login, u.deactivated_at, t.name as team_name, t.organization`;
+
+export function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+    return `Password must be at least ${PASSWORD_MIN_LENGTH} characters`;
+  }
+  return null;
+}
+
+export function hashPassword(password) {
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+// Team row if it belongs to the organization, else null
+export async function findOrganizationTeam(teamId, organization) {
+  const result = await pool.query(
+    'SELECT * FROM teams WHERE id = $1 AND organization IS NOT DISTINCT FROM $2',
+    [teamId, organization]
+  );
+
+  return result.rows[0] || null;
+}
+
+// User row (public columns) if their team belongs to the organization, else null
+export async function findOrganizationUser(userId, organization) {
+  const result = await pool.query(
+    `SELECT ${USER_COLUMNS}
+     FROM users u
+     JOIN teams t ON u.team_id = t.id
+     WHERE u.id = $1 AND t.organization IS NOT DISTINCT FROM $2`,
+    [userId, organization]
+  );
+
+  return result.rows[0] || null;
+}
+
+// Teams a user may administer: every team of an admin's organization, a lead's own team
+export async function manageableTeamIds(user) {
+  if (user.role === 'admin') {
+    const result = await pool.query(
+      'SELECT id FROM teams WHERE organization IS NOT DISTINCT FROM $1',
+      [user.organization]
+    );
+    return result.rows.map(row => row.id);
+  }
+
+  if (user.role === 'lead' && user.team_id) {
+    return [user.team_id];
+  }
+
+  return [];
+}
+
+export async function createUser({ username, email, password, fullName = null, role = 'developer', teamId }, client = pool) {
+  const passwordHash = await hashPassword(password);
+
+  const result = await client.query(
+    `INSERT INTO users (username, email, password_hash, full_name, role, team_id)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id, username, email, full_name, role, team_id, is_active, created_at`,
+    [username, email, passwordHash, fullName, role, teamId]
+  );
+
+  return result.rows[0];
+}
+
+// Deactivate and end every session; authMiddleware rejects the user from the next request
+export async function deactivateUser(userId, deactivatedBy) {
+  const result = await pool.query(
+    `UPDATE users
+     SET is_active = false, deactivated_at = NOW(), deactivated_by = $2, updated_at = NOW()
+     WHERE id = $1 AND is_active = true
+     RETURNING id, username, is_active, deactivated_at`,
+    [userId, deactivatedBy]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const revoked = await revokeUserSessions(userId, { revokedBy: deactivatedBy });
+  return { user: result.rows[0], revokedSessions: revoked };
+}
+
+export async function reactivateUser(userId) {
+  const result = await pool.query(
+    `UPDATE users
+     SET is_active = true, deactivated_at = NULL, deactivated_by = NULL, updated_at = NOW()
+     WHERE id = $1 AND is_active = false
+     RETURNING id, username, is_active`,
+    [userId]
+  );
+
+  return result.rows[0] || null;
+}
+
+// ==================================
+// INVITATIONS
+// ==================================
+
+// Create an invitation; the plaintext token is only ever returned here
+export async function createInvitation({ email, fullName = null, role = 'developer', teamId, invitedBy }) {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  const result = await pool.query(
+    `INSERT INTO user_invitations (email, full_name, role, team_id, token_hash, invited_by, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, NOW() + make_interval(hours => $7))
+     RETURNING id, email, full_name, role, team_id, invited_by, expires_at, created_at`,
+    [email, fullName, role, teamId, hashToken(token), invitedBy, INVITATION_TTL_HOURS]
+  );
+
+  return { invitation: result.rows[0], token };
+}
+
+export async function revokeInvitation(id, teamIds) {
+  const result = await pool.query(
+    `UPDATE user_invitations
+     SET revoked_at = NOW()
+     WHERE id = $1 AND team_id = ANY($2) AND accepted_at IS NULL AND revoked_at IS NULL
+     RETURNING id`,
+    [id, teamIds]
+  );
+
+  return result.rows[0] || null;
+}
+
+// Redeem an invitation: creates the user with their chosen password and
+// marks the invitation used. Returns null if the token is not redeemable.
+export async function acceptInvitation(token, { username, password, fullName }) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const invitation = await client.query(
+      `SELECT * FROM user_invitations
+       WHERE token_hash = $1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()
+       FOR UPDATE`,
+      [hashToken(token)]
+    );
+
+    if (invitation.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const invite = invitation.rows[0];
+    const user = await createUser({
+      username,
+      email: invite.email,
+      password,
+      fullName: fullName || invite.full_name,
+      role: invite.role,
+      teamId: invite.team_id
+    }, client);
+
+    await client.query(
+      'UPDATE user_invitations SET accepted_at = NOW(), accepted_user_id = $2 WHERE id = $1',
+      [invite.id, user.id]
+    );
+
+    await client.query('COMMIT');
+    return user;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
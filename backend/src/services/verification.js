@@ -0,0 +1,243 @@
+import pool from '../config/database.js';
+
+// Verification engine: evaluates submitted evidence against verification_rules
+
+// Resolve the piece of evidence a rule refers to. Evidence is normally keyed
+// by type inside evidence_data; a submission whose evidence_type matches the
+// rule is treated as the item itself.
+function resolveEvidenceItem(evidence, key) {
+  const data = evidence.evidence_data || {};
+
+  if (key && data[key] !== undefined && data[key] !== null) {
+    return data[key];
+  }
+
+  if (key && evidence.evidence_type === key) {
+    return data;
+  }
+
+  return undefined;
+}
+
+function isEmpty(value) {
+  if (value === undefined || value === null) return true;
+  if (typeof value === 'string') return value.trim() === '';
+  if (Array.isArray(value)) return value.length === 0;
+  if (typeof value === 'object') return Object.keys(value).length === 0;
+  return false;
+}
+
+// Path-like values may be a plain string or an object carrying `path`/`file`
+function extractPath(value) {
+  if (typeof value === 'string') return value;
+  if (value && typeof value === 'object') return value.path || value.file || value.filename || null;
+  return null;
+}
+
+function parseRating(value, format) {
+  if (typeof value === 'number') return value;
+  if (value && typeof value === 'object') return parseRating(value.rating ?? value.value, format);
+  if (typeof value !== 'string') return NaN;
+
+  if (format) {
+    // "X/10" -> /^\s*(\d+(?:\.\d+)?)\s*\/\s*10\s*$/
+    const pattern = format
+      .split('X')
+      .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\//g, '\\s*\\/\\s*'))
+      .join('(\\d+(?:\\.\\d+)?)');
+    const match = value.match(new RegExp(`^\\s*${pattern}\\s*$`));
+    return match ? parseFloat(match[1]) : NaN;
+  }
+
+  return parseFloat(value);
+}
+
+function isJsonPayload(value) {
+  if (value && typeof value === 'object') return true;
+  if (typeof value !== 'string') return false;
+
+  try {
+    const parsed = JSON.parse(value);
+    return parsed !== null && typeof parsed === 'object';
+  } catch {
+    return false;
+  }
+}
+
+function extractCommand(value) {
+  if (typeof value === 'string') return value;
+  if (value && typeof value === 'object') return value.command || value.cmd || null;
+  return null;
+}
+
+// Tools may be reported as evidence_data.tool, evidence_data.tools_used or
+// as part of the evidence type (e.g. 'puppeteer_screenshot')
+function collectTools(evidence) {
+  const data = evidence.evidence_data || {};
+  const tools = [];
+
+  if (typeof data.tool === 'string') tools.push(data.tool);
+  if (Array.isArray(data.tools_used)) tools.push(...data.tools_used.filter(t => typeof t === 'string'));
+  if (evidence.evidence_type) tools.push(evidence.evidence_type);
+
+  return tools.map(t => t.toLowerCase());
+}
+
+function checkToolRequirement(rule, evidence) {
+  const config = rule.rule_config || {};
+  const required = (config.required_tool || '').toLowerCase();
+
+  if (!required) {
+    return { passed: false, reason: 'Rule has no required_tool configured' };
+  }
+
+  const tools = collectTools(evidence);
+
+  if (!tools.some(tool => tool.includes(required))) {
+    return { passed: false, reason: config.error_message || `Required tool "${config.required_tool}" not used` };
+  }
+
+  const forbidden = (config.forbidden_alternatives || []).map(t => t.toLowerCase());
+  const used = forbidden.filter(alt => tools.some(tool => tool.includes(alt)));
+
+  if (used.length > 0) {
+    return { passed: false, reason: `Forbidden alternative used: ${used.join(', ')}` };
+  }
+
+  return { passed: true, reason: `Required tool "${config.required_tool}" used` };
+}
+
+function checkEvidenceRequirement(rule, evidence) {
+  const config = rule.rule_config || {};
+  const key = config.evidence_type;
+  const item = resolveEvidenceItem(evidence, key);
+
+  if (isEmpty(item)) {
+    return { passed: false, reason: `Missing required evidence "${key}"` };
+  }
+
+  if (config.file_extension || config.must_show_path) {
+    const path = extractPath(item);
+
+    if (config.must_show_path && (!path || !/[\\/]/.test(path))) {
+      return { passed: false, reason: `Evidence "${key}" must include a file path` };
+    }
+
+    if (config.file_extension && (!path || !path.toLowerCase().endsWith(config.file_extension.toLowerCase()))) {
+      return { passed: false, reason: `Evidence "${key}" must be a ${config.file_extension} file` };
+    }
+  }
+
+  if (config.min_rating !== undefined || config.max_rating !== undefined || config.format) {
+    const rating = parseRating(item, config.format);
+
+    if (Number.isNaN(rating)) {
+      return { passed: false, reason: `Evidence "${key}" is not a rating${config.format ? ` in format ${config.format}` : ''}` };
+    }
+
+    if (config.min_rating !== undefined && rating < config.min_rating) {
+      return { passed: false, reason: `Rating ${rating} is below minimum ${config.min_rating}` };
+    }
+
+    if (config.max_rating !== undefined && rating > config.max_rating) {
+      return { passed: false, reason: `Rating ${rating} is above maximum ${config.max_rating}` };
+    }
+  }
+
+  if (config.not_just_status && (typeof item === 'number' || /^\s*\d{3}\s*$/.test(String(item)))) {
+    return { passed: false, reason: `Evidence "${key}" contains only a status code` };
+  }
+
+  if (config.must_show_json && !isJsonPayload(item)) {
+    return { passed: false, reason: `Evidence "${key}" must contain JSON data` };
+  }
+
+  if (Array.isArray(config.acceptable_commands)) {
+    const command = extractCommand(item);
+
+    if (!command || !config.acceptable_commands.some(c => command.trim().startsWith(c))) {
+      return {
+        passed: false,
+        reason: `Evidence "${key}" must come from one of: ${config.acceptable_commands.join(', ')}`
+      };
+    }
+  }
+
+  return { passed: true, reason: `Evidence "${key}" satisfies requirements` };
+}
+
+// Uploaded artifacts (evidence.artifacts) of a type, optionally restricted by MIME type
+function checkArtifactRequirement(rule, evidence) {
+  const config = rule.rule_config || {};
+  const minCount = config.min_count || 1;
+  const mimeTypes = config.mime_types || (config.mime_type ? [config.mime_type] : null);
+
+  const matching = (evidence.artifacts || []).filter(artifact =>
+    (!config.artifact_type || artifact.artifact_type === config.artifact_type) &&
+    (!mimeTypes || mimeTypes.includes(artifact.mime_type))
+  );
+
+  if (matching.length < minCount) {
+    const kind = [config.artifact_type, mimeTypes && `(${mimeTypes.join(', ')})`].filter(Boolean).join(' ');
+    return { passed: false, reason: `Requires ${minCount} uploaded ${kind || 'artifact'}, found ${matching.length}` };
+  }
+
+  return { passed: true, reason: `${matching.length} matching artifact(s) uploaded` };
+}
+
+// Rule type -> checker(rule, evidence) => { passed, reason }
+const ruleCheckers = {
+  tool_requirement: checkToolRequirement,
+  evidence_requirement: checkEvidenceRequirement,
+  artifact_requirement: checkArtifactRequirement
+};
+
+// Load enabled rules for a task category, highest priority first
+export async function loadRules(category) {
+  const result = await pool.query(
+    `SELECT * FROM verification_rules
+     WHERE category = $1 AND enabled = true
+     ORDER BY priority DESC`,
+    [category]
+  );
+
+  return result.rows;
+}
+
+// Evaluate evidence against a set of rules without touching the database
+export function evaluateEvidence(evidence, rules) {
+  const results = rules.map(rule => {
+    const checker = ruleCheckers[rule.rule_type];
+    const base = {
+      rule_id: rule.id,
+      rule_name: rule.rule_name,
+      rule_type: rule.rule_type,
+      priority: rule.priority
+    };
+
+    if (!checker) {
+      return { ...base, passed: null, reason: `Unsupported rule type "${rule.rule_type}"` };
+    }
+
+    try {
+      return { ...base, ...checker(rule, evidence) };
+    } catch (error) {
+      return { ...base, passed: false, reason: `Rule evaluation error: ${error.message}` };
+    }
+  });
+
+  const evaluated = results.filter(r => r.passed !== null);
+  let status = 'unverified';
+
+  if (evaluated.length > 0) {
+    status = evaluated.every(r => r.passed) ? 'passed' : 'failed';
+  }
+
+  return { status, results };
+}
+
+// Load the rules for the evidence's category and evaluate it
+export async function verifyEvidence(evidence) {
+  const rules = await loadRules(evidence.task_category);
+  return evaluateEvidence(evidence, rules);
+}
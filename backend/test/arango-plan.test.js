@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { summarizePlan, checkPlan, QueryRejectedError } from '../src/config/arango.js';
+
+// Trimmed-down shapes of what db.explain() returns
+const plan = (nodes, collections = []) => ({ nodes, collections: collections.map(name => ({ name, type: 'read' })) });
+
+const call = (name, args = []) => ({ type: 'function call', name, subNodes: [{ type: 'array', subNodes: args }] });
+
+const calculation = expression => ({ type: 'CalculationNode', expression });
+
+const rejects = (summary, pattern, options) => {
+  assert.throws(() => checkPlan(summary, options), error => {
+    assert.ok(error instanceof QueryRejectedError);
+    assert.equal(error.status, 403);
+    assert.match(error.message, pattern);
+    return true;
+  });
+};
+
+test('reads from allowlisted collections pass', () => {
+  const summary = summarizePlan(plan([
+    { type: 'SingletonNode' },
+    { type: 'EnumerateCollectionNode', collection: 'knowledge_patterns' },
+    calculation(call('LOWER', [{ type: 'attribute access', name: 'name' }])),
+    { type: 'ReturnNode' }
+  ], ['knowledge_patterns']));
+
+  assert.deepEqual(summary.collections, ['knowledge_patterns']);
+  assert.deepEqual(summary.functions, ['LOWER']);
+  assert.doesNotThrow(() => checkPlan(summary));
+});
+
+test('collections and views outside the allowlist are refused', () => {
+  rejects(summarizePlan(plan([{ type: 'EnumerateCollectionNode', collection: 'users' }], ['users'])), /Collections not allowed: users/);
+  rejects(summarizePlan(plan([{ type: 'EnumerateCollectionNode' }], ['_users'])), /Collections not allowed: _users/);
+  rejects(summarizePlan(plan([{ type: 'EnumerateViewNode', view: 'secret_view' }])), /Collections not allowed: secret_view/);
+});
+
+test('graph traversals are refused even when the plan lists no collection', () => {
+  // FOR v IN 1..5 ANY 'users/x' GRAPH 'knowledge_graph'
+  rejects(summarizePlan(plan([
+    { type: 'SingletonNode' },
+    { type: 'TraversalNode', graph: 'knowledge_graph', vertexId: 'users/x' },
+    { type: 'ReturnNode' }
+  ])), /Graph traversals not allowed in custom AQL \(TraversalNode\)/);
+
+  for (const type of ['ShortestPathNode', 'KShortestPathsNode', 'EnumeratePathsNode']) {
+    rejects(summarizePlan(plan([{ type, edgeCollections: ['evidence_validates_standard'] }], ['evidence_validates_standard'])), new RegExp(type));
+  }
+});
+
+test('graph nodes inside subqueries are found', () => {
+  const summary = summarizePlan(plan([
+    { type: 'SingletonNode' },
+    {
+      type: 'SubqueryNode',
+      subquery: { nodes: [{ type: 'SingletonNode' }, { type: 'TraversalNode', vertexId: 'users/x' }] }
+    }
+  ]));
+
+  rejects(summary, /TraversalNode/);
+});
+
+test('functions that read collections at runtime are refused, nested or not', () => {
+  rejects(summarizePlan(plan([calculation(call('DOCUMENT', [{ type: 'value', value: 'users/admin' }]))])), /Functions not allowed: DOCUMENT/);
+  rejects(summarizePlan(plan([calculation(call('LENGTH', [call('collections')]))])), /Functions not allowed: COLLECTIONS/);
+  rejects(summarizePlan(plan([calculation(call('CALL', [{ type: 'value', value: 'DOCUMENT' }]))])), /CALL/);
+  rejects(summarizePlan(plan([calculation({ type: 'user function call', name: 'MYLIB::LEAK' })])), /USER::MYLIB::LEAK/);
+});
+
+test('writes need allowWrites', () => {
+  const summary = summarizePlan(plan([
+    { type: 'EnumerateCollectionNode', collection: 'knowledge_patterns' },
+    { type: 'UpdateNode', collection: 'knowledge_patterns' }
+  ], ['knowledge_patterns']));
+
+  rejects(summary, /Write operations not allowed: UpdateNode/);
+  assert.doesNotThrow(() => checkPlan(summary, { allowWrites: true }));
+});
@@ -0,0 +1,85 @@
+import fs from 'fs';
+import readline from 'readline';
+
+// Fake stdio MCP server for the mcp-client tests. Behaviour is picked with
+// FAKE_MCP_MODE:
+//   (unset)       normal server, exits when stdin closes
+//   stubborn      ignores stdin closing and SIGTERM, so only SIGKILL stops it
+//   crash         writes to stderr and exits before answering initialize
+// FAKE_MCP_PID_FILE, when set, receives the process id.
+
+const mode = process.env.FAKE_MCP_MODE || '';
+
+if (process.env.FAKE_MCP_PID_FILE) {
+  fs.writeFileSync(process.env.FAKE_MCP_PID_FILE, String(process.pid));
+}
+
+if (mode === 'crash') {
+  process.stderr.write('fake server: missing API token\n');
+  process.exit(3);
+}
+
+// Two pages of tools, to exercise nextCursor
+const PAGES = [
+  [
+    { name: 'echo', description: 'Echo the text back', inputSchema: { type: 'object', properties: { text: { type: 'string' } } } },
+    { name: 'slow', description: 'Never answers' }
+  ],
+  [
+    { name: 'fail', description: 'Answers with a JSON-RPC error', annotations: { destructiveHint: false } }
+  ]
+];
+
+const send = message => process.stdout.write(JSON.stringify({ jsonrpc: '2.0', ...message }) + '\n');
+
+function handle(message) {
+  const { id, method, params = {} } = message;
+
+  if (id === undefined) return; // notifications
+
+  switch (method) {
+    case 'initialize':
+      return send({
+        id,
+        result: {
+          protocolVersion: params.protocolVersion,
+          serverInfo: { name: 'fake-mcp', version: '1.0.0' },
+          capabilities: { tools: {} }
+        }
+      });
+
+    case 'tools/list': {
+      const page = params.cursor ? Number(params.cursor) : 0;
+      return send({
+        id,
+        result: { tools: PAGES[page], ...(page + 1 < PAGES.length ? { nextCursor: String(page + 1) } : {}) }
+      });
+    }
+
+    case 'tools/call':
+      if (params.name === 'echo') {
+        return send({ id, result: { content: [{ type: 'text', text: params.arguments?.text ?? '' }], isError: false } });
+      }
+      if (params.name === 'slow') return;
+      if (params.name === 'fail') {
+        return send({ id, error: { code: -32000, message: 'tool failed' } });
+      }
+      return send({ id, error: { code: -32602, message: `Unknown tool: ${params.name}` } });
+
+    default:
+      return send({ id, error: { code: -32601, message: 'Method not found' } });
+  }
+}
+
+// Non-JSON noise on stdout must not break the client
+process.stdout.write('fake-mcp starting\n');
+
+const lines = readline.createInterface({ input: process.stdin });
+lines.on('line', line => handle(JSON.parse(line)));
+
+if (mode === 'stubborn') {
+  process.on('SIGTERM', () => {});
+  setInterval(() => {}, 1000);
+} else {
+  lines.on('close', () => process.exit(0));
+}
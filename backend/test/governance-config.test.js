@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseGovernanceConfig, semanticError } from '../src/services/governance-config.js';
+
+const PROJECT_ID = '6f1c2a3e-1111-4222-8333-944455556666';
+
+const yaml = lines => lines.join('\n') + '\n';
+
+test('a valid file parses into the config', () => {
+  const { config, errors } = parseGovernanceConfig(yaml([
+    'version: 1',
+    'project:',
+    `  id: ${PROJECT_ID}`,
+    '  name: Web',
+    'environments:',
+    '  staging:',
+    '    hostname_pattern: "*.staging.example.com"',
+    '    type: shared',
+    'hooks:',
+    '  enabled: true',
+    '  toggles:',
+    '    lint: false',
+    'verification:',
+    '  required_categories: [testing, security]'
+  ]));
+
+  assert.deepEqual(errors, []);
+  assert.equal(config.project.id, PROJECT_ID);
+  assert.equal(config.environments.staging.type, 'shared');
+  assert.deepEqual(config.hooks.toggles, { lint: false });
+  assert.deepEqual(config.verification.required_categories, ['testing', 'security']);
+});
+
+test('schema errors carry the path and the line of the offending value', () => {
+  const { config, errors } = parseGovernanceConfig(yaml([
+    'project:',
+    '  id: not-a-uuid',
+    '  extra: 1'
+  ]));
+
+  assert.equal(config, null);
+  assert.deepEqual(errors, [
+    { line: 2, column: 7, path: 'project.id', message: 'must be a valid uuid' },
+    { line: 3, column: 3, path: 'project.extra', message: 'unknown property "extra"' }
+  ]);
+});
+
+test('environment names, types and required fields are checked', () => {
+  const { errors } = parseGovernanceConfig(yaml([
+    'version: 2',
+    'project:',
+    `  id: ${PROJECT_ID}`,
+    'environments:',
+    '  "bad name":',
+    '    hostname_pattern: x',
+    '  prod:',
+    '    type: cloud'
+  ]));
+
+  assert.deepEqual(errors.map(error => [error.line, error.path]), [
+    [1, 'version'],
+    [5, 'environments.bad name'],
+    [8, 'environments.prod'],
+    [8, 'environments.prod.type']
+  ]);
+  assert.match(errors[2].message, /missing required property "hostname_pattern"/);
+  assert.match(errors[3].message, /must be one of: local, shared, production/);
+});
+
+test('type errors and a missing project are reported', () => {
+  const { errors } = parseGovernanceConfig(yaml(['hooks:', '  enabled: "yes"']));
+
+  assert.deepEqual(errors, [
+    { line: 1, column: 1, path: '', message: 'missing required property "project"' },
+    { line: 2, column: 12, path: 'hooks.enabled', message: 'must be boolean, got string' }
+  ]);
+});
+
+test('an empty file is missing its project', () => {
+  const { config, errors } = parseGovernanceConfig('');
+
+  assert.equal(config, null);
+  assert.match(errors[0].message, /missing required property "project"/);
+});
+
+test('YAML syntax errors and duplicate keys are reported with their line', () => {
+  const syntax = parseGovernanceConfig('project: [unclosed\n');
+  assert.equal(syntax.config, null);
+  assert.equal(syntax.errors[0].path, '');
+
+  const duplicate = parseGovernanceConfig(yaml(['project:', '  id: a', '  id: b']));
+  assert.deepEqual(duplicate.errors, [{ line: 3, column: 3, path: '', message: 'Map keys must be unique' }]);
+});
+
+test('semantic errors point at the value in the file', () => {
+  const parsed = parseGovernanceConfig(yaml([
+    'project:',
+    `  id: ${PROJECT_ID}`,
+    'environments:',
+    '  staging:',
+    '    hostname_pattern: "*.staging"'
+  ]));
+
+  assert.deepEqual(
+    semanticError(parsed, ['environments', 'staging', 'hostname_pattern'], 'pattern already used'),
+    { line: 5, column: 23, path: 'environments.staging.hostname_pattern', message: 'pattern already used' }
+  );
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateExecution, classifyExitCode } from '../src/services/hook-telemetry.js';
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+const run = (fields = {}) => ({
+  execution_id: '0b6a4c1e-2f3d-4e5f-8a9b-0c1d2e3f4a5b',
+  hook_id: '1c7b5d2f-3a4e-4f60-9b0c-1d2e3f4a5b6c',
+  exit_code: 0,
+  ...fields
+});
+
+test('a minimal run is valid', () => {
+  assert.equal(validateExecution(run(), NOW), null);
+  assert.equal(validateExecution(run({
+    execution_id: '0B6A4C1E-2F3D-4E5F-8A9B-0C1D2E3F4A5B',
+    hook_version: 3,
+    duration_ms: 0,
+    project_id: null,
+    occurred_at: '2026-10-19T11:00:00Z'
+  }), NOW), null);
+});
+
+test('ids must be UUIDs', () => {
+  assert.equal(validateExecution(null, NOW), 'Execution must be an object');
+  assert.equal(validateExecution(run({ execution_id: undefined }), NOW), 'execution_id must be a UUID');
+  assert.equal(validateExecution(run({ hook_id: 'lint' }), NOW), 'hook_id must be a UUID');
+  assert.equal(validateExecution(run({ project_id: 'web' }), NOW), 'project_id must be a UUID');
+  assert.equal(validateExecution(run({ environment_id: '1' }), NOW), 'environment_id must be a UUID');
+  assert.equal(validateExecution(run({ user_id: 'alice' }), NOW), 'user_id must be a UUID');
+});
+
+test('numbers must be integers', () => {
+  assert.equal(validateExecution(run({ exit_code: '0' }), NOW), 'exit_code must be an integer');
+  assert.equal(validateExecution(run({ hook_version: 1.5 }), NOW), 'hook_version must be an integer');
+  assert.equal(validateExecution(run({ duration_ms: -1 }), NOW), 'duration_ms must be a non-negative integer');
+});
+
+test('occurred_at must be a plausible time', () => {
+  assert.equal(validateExecution(run({ occurred_at: 'yesterday' }), NOW), 'occurred_at must be a timestamp');
+  assert.equal(validateExecution(run({ occurred_at: '2026-10-19T12:04:00Z' }), NOW), null);
+  assert.equal(validateExecution(run({ occurred_at: '2026-10-19T12:10:00Z' }), NOW), 'occurred_at is in the future');
+  assert.equal(validateExecution(run({ occurred_at: '2026-08-01T00:00:00Z' }), NOW), 'occurred_at is older than 30 days');
+});
+
+test('exit codes map to results and block reasons', () => {
+  assert.deepEqual(classifyExitCode(0), { result: 'passed', blockReason: null });
+  assert.deepEqual(classifyExitCode(2), { result: 'blocked', blockReason: 'blocked' });
+  assert.deepEqual(classifyExitCode(10), { result: 'blocked', blockReason: 'mock_detection' });
+  assert.deepEqual(classifyExitCode(11), { result: 'blocked', blockReason: 'forbidden_phrase' });
+  assert.deepEqual(classifyExitCode(1), { result: 'error', blockReason: null });
+  assert.deepEqual(classifyExitCode(127), { result: 'error', blockReason: null });
+});
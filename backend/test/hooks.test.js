@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveHookRows, hashContent, bundleEtag } from '../src/services/hooks.js';
+
+let nextId = 1;
+
+const hook = (name, scope, fields = {}) => ({
+  id: `hook-${nextId++}`,
+  name,
+  scope,
+  version: 1,
+  enabled: true,
+  category: 'quality',
+  hook_type: 'pre_tool_use',
+  script_content: `#!/bin/sh\n# ${name} ${scope}\n`,
+  ...fields
+});
+
+test('the most specific scope wins and lists what it overrides', () => {
+  const global = hook('lint', 'global');
+  const team = hook('lint', 'team');
+  const project = hook('lint', 'project');
+
+  const [resolved] = resolveHookRows([global, project, team]);
+
+  assert.equal(resolved.id, project.id);
+  assert.equal(resolved.scope, 'project');
+  assert.deepEqual(resolved.overrides.map(o => o.id), [team.id, global.id]);
+  assert.equal(resolved.content_hash, hashContent(project.script_content));
+});
+
+test('only the latest version of each scope counts', () => {
+  const v1 = hook('lint', 'team', { version: 1, script_content: 'old' });
+  const v3 = hook('lint', 'team', { version: 3, script_content: 'new' });
+  const v2 = hook('lint', 'team', { version: 2, script_content: 'middle' });
+
+  const [resolved] = resolveHookRows([v1, v3, v2]);
+
+  assert.equal(resolved.id, v3.id);
+  assert.deepEqual(resolved.overrides, []);
+});
+
+test('a disabled winner switches the hook off instead of falling back', () => {
+  const hooks = resolveHookRows([
+    hook('lint', 'global'),
+    hook('lint', 'team', { enabled: false }),
+    hook('secrets', 'global')
+  ]);
+
+  assert.deepEqual(hooks.map(h => h.name), ['secrets']);
+});
+
+test('a disabled older version does not hide the latest one', () => {
+  const hooks = resolveHookRows([
+    hook('lint', 'team', { version: 1, enabled: false }),
+    hook('lint', 'team', { version: 2, enabled: true })
+  ]);
+
+  assert.equal(hooks.length, 1);
+  assert.equal(hooks[0].version, 2);
+});
+
+test('rows without a scope are team hooks', () => {
+  const legacy = hook('lint', null);
+  const [resolved] = resolveHookRows([hook('lint', 'global'), legacy]);
+
+  assert.equal(resolved.id, legacy.id);
+  assert.equal(resolved.scope, 'team');
+});
+
+test('hooks are sorted by name and the ETag follows their content', () => {
+  const rows = [hook('b', 'team'), hook('a', 'team')];
+  const hooks = resolveHookRows(rows);
+
+  assert.deepEqual(hooks.map(h => h.name), ['a', 'b']);
+  assert.equal(bundleEtag(hooks), bundleEtag(resolveHookRows(rows)));
+
+  const changed = resolveHookRows([rows[0], { ...rows[1], script_content: 'changed' }]);
+  assert.notEqual(bundleEtag(changed), bundleEtag(hooks));
+});
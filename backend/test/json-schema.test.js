@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateValue, formatPath } from '../src/services/json-schema.js';
+
+const messages = (value, schema) => validateValue(value, schema).map(error => error.message);
+
+test('types, enums and required properties', () => {
+  assert.deepEqual(messages(1.5, { type: 'integer' }), ['must be integer, got number']);
+  assert.deepEqual(messages(3, { type: 'number' }), []);
+  assert.deepEqual(messages('c', { enum: ['a', 'b'] }), ['must be one of: a, b']);
+  assert.deepEqual(messages({}, { type: 'object', required: ['name'] }), ['missing required property "name"']);
+});
+
+test('patterns match values and property names', () => {
+  assert.deepEqual(messages('abc', { pattern: '^[a-z]+$' }), []);
+  assert.deepEqual(messages('ABC', { pattern: '^[a-z]+$' }), ['must match ^[a-z]+$']);
+
+  const errors = validateValue({ ok: 1, 'bad key': 2 }, { type: 'object', propertyNames: { pattern: '^\\S+$' } });
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].key, true);
+  assert.equal(formatPath(errors[0].path), 'bad key');
+  assert.equal(errors[0].message, 'name "bad key" must match ^\\S+$');
+});
+
+test('invalid schema patterns are reported instead of thrown', () => {
+  assert.deepEqual(messages('x', { pattern: '([a-z' }), ['schema pattern ([a-z is invalid']);
+  assert.deepEqual(
+    messages({ key: 1 }, { type: 'object', propertyNames: { pattern: '*' } }),
+    ['schema pattern * is invalid']
+  );
+});
+
+test('patterns prone to catastrophic backtracking are not run', () => {
+  const started = Date.now();
+  for (const pattern of ['^(a+)+$', '^(a*)*b$', '^(a|aa)*b$', '^((a+))+$', '(\\w{1,}){2,}x', '^(a)\\1$']) {
+    assert.deepEqual(messages('a'.repeat(40) + '!', { pattern }), [`schema pattern ${pattern} is too complex to check`]);
+  }
+  assert.ok(Date.now() - started < 1000);
+
+  assert.deepEqual(messages('x', { pattern: 'a'.repeat(300) }), ['schema pattern is too long']);
+  assert.deepEqual(messages('ab-12', { pattern: '^(ab|cd)-[0-9]+$' }), []);
+  assert.deepEqual(messages('(a+)', { pattern: '^[(a+)]+$' }), []);
+});
+
+test('overlong strings are not matched against patterns', () => {
+  assert.deepEqual(messages('a'.repeat(5000), { pattern: '^a+$' }), ['is too long to check against ^a+$']);
+  assert.deepEqual(messages('a'.repeat(4096), { pattern: '^a+$' }), []);
+});
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { discoverTools, callTool, McpProtocolError } from '../src/services/mcp-client.js';
+
+const FAKE_SERVER = fileURLToPath(new URL('./fixtures/fake-mcp-server.js', import.meta.url));
+
+const fakeServer = (env = {}) => ({
+  transport: 'stdio',
+  command: process.execPath,
+  args: [FAKE_SERVER],
+  env
+});
+
+const isRunning = pid => {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+test('discoverTools initializes and follows tools/list pages', async () => {
+  const result = await discoverTools(fakeServer());
+
+  assert.equal(result.protocol_version, '2024-11-05');
+  assert.deepEqual(result.server_info, { name: 'fake-mcp', version: '1.0.0' });
+  assert.deepEqual(result.tools.map(tool => tool.name), ['echo', 'slow', 'fail']);
+  assert.deepEqual(result.tools[0].input_schema.properties, { text: { type: 'string' } });
+  assert.deepEqual(result.tools[1].input_schema, { type: 'object' });
+  assert.deepEqual(result.tools[2].annotations, { destructiveHint: false });
+});
+
+test('callTool returns the tools/call result', async () => {
+  const result = await callTool(fakeServer(), 'echo', { text: 'hello' });
+
+  assert.deepEqual(result, { content: [{ type: 'text', text: 'hello' }], isError: false });
+});
+
+test('callTool rejects with the JSON-RPC error', async () => {
+  await assert.rejects(callTool(fakeServer(), 'fail', {}), error => {
+    assert.ok(error instanceof McpProtocolError);
+    assert.equal(error.status, 502);
+    assert.equal(error.rpcError.code, -32000);
+    return true;
+  });
+});
+
+test('callTool times out and stops the server', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-test-'));
+  const pidFile = path.join(dir, 'pid');
+
+  try {
+    await assert.rejects(
+      callTool(fakeServer({ FAKE_MCP_PID_FILE: pidFile }), 'slow', {}, { timeoutMs: 200 }),
+      error => error.status === 504 && error.timedOut === true
+    );
+
+    const pid = Number(await fs.readFile(pidFile, 'utf8'));
+    assert.equal(isRunning(pid), false);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('a server that ignores stdin close and SIGTERM is killed', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-test-'));
+  const pidFile = path.join(dir, 'pid');
+
+  try {
+    const result = await callTool(
+      fakeServer({ FAKE_MCP_MODE: 'stubborn', FAKE_MCP_PID_FILE: pidFile }),
+      'echo',
+      { text: 'still here' }
+    );
+
+    assert.equal(result.content[0].text, 'still here');
+
+    const pid = Number(await fs.readFile(pidFile, 'utf8'));
+    assert.equal(isRunning(pid), false);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('a server that exits during initialize reports its stderr', async () => {
+  await assert.rejects(discoverTools(fakeServer({ FAKE_MCP_MODE: 'crash' })), error => {
+    assert.ok(error instanceof McpProtocolError);
+    assert.match(error.message, /exit code 3/);
+    assert.match(error.message, /missing API token/);
+    return true;
+  });
+});
+
+test('a missing command is reported', async () => {
+  await assert.rejects(
+    discoverTools({ transport: 'stdio', command: '/nonexistent/mcp-server', args: [] }),
+    /command not found/
+  );
+});
+
+test('only stdio servers are supported', async () => {
+  await assert.rejects(
+    discoverTools({ transport: 'http', url: 'http://localhost:1' }),
+    error => error.status === 400
+  );
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { policyMatches, selectPolicy } from '../src/services/mcp-policies.js';
+
+let nextId = 1;
+const policy = (fields = {}) => ({
+  id: `p${nextId++}`,
+  scope: 'team',
+  server_pattern: '*',
+  tool_pattern: '*',
+  environment_types: null,
+  decision: 'allow',
+  priority: 0,
+  enabled: true,
+  ...fields
+});
+
+const call = { serverName: 'github', toolName: 'delete_repo', environmentType: 'production' };
+
+test('policies match on server and tool globs, case-insensitively', () => {
+  assert.equal(policyMatches(policy({ server_pattern: 'git*', tool_pattern: 'delete_*' }), call), true);
+  assert.equal(policyMatches(policy({ server_pattern: 'GitHub' }), call), true);
+  assert.equal(policyMatches(policy({ tool_pattern: 'create_*' }), call), false);
+  assert.equal(policyMatches(policy({ server_pattern: 'gitlab' }), call), false);
+  assert.equal(policyMatches(policy({ enabled: false }), call), false);
+});
+
+test('environment_types limit matches, with unknown for calls without an environment', () => {
+  const prodOnly = policy({ environment_types: ['production'] });
+  assert.equal(policyMatches(prodOnly, call), true);
+  assert.equal(policyMatches(prodOnly, { ...call, environmentType: 'local' }), false);
+  assert.equal(policyMatches(prodOnly, { ...call, environmentType: null }), false);
+
+  const unknownOnly = policy({ environment_types: ['unknown'] });
+  assert.equal(policyMatches(unknownOnly, { ...call, environmentType: null }), true);
+  assert.equal(policyMatches(unknownOnly, call), false);
+});
+
+test('no matching rule selects nothing', () => {
+  assert.equal(selectPolicy([], call), null);
+  assert.equal(selectPolicy([policy({ tool_pattern: 'read_*', decision: 'deny' })], call), null);
+});
+
+test('the most specific scope wins', () => {
+  const global = policy({ scope: 'global', decision: 'require_approval' });
+  const team = policy({ scope: 'team', decision: 'allow' });
+  const project = policy({ scope: 'project', decision: 'require_approval' });
+
+  assert.equal(selectPolicy([global, team], call), team);
+  assert.equal(selectPolicy([global, team, project], call), project);
+  assert.equal(selectPolicy([project, global], call), project);
+});
+
+test('a deny in a wider scope is a floor narrower scopes cannot relax', () => {
+  const globalDeny = policy({ scope: 'global', decision: 'deny' });
+  const projectAllow = policy({ scope: 'project', decision: 'allow', priority: 100 });
+  assert.equal(selectPolicy([globalDeny, projectAllow], call), globalDeny);
+
+  const teamDeny = policy({ scope: 'team', decision: 'deny' });
+  const globalAllow = policy({ scope: 'global', decision: 'allow' });
+  assert.equal(selectPolicy([globalAllow, teamDeny, projectAllow], call), teamDeny);
+});
+
+test('within a scope, priority decides, then the stricter decision', () => {
+  const high = policy({ decision: 'allow', priority: 10 });
+  const low = policy({ decision: 'deny', priority: 1 });
+  assert.equal(selectPolicy([low, high], call), high);
+
+  const allow = policy({ decision: 'allow', priority: 5 });
+  const approval = policy({ decision: 'require_approval', priority: 5 });
+  const deny = policy({ decision: 'deny', priority: 5 });
+  assert.equal(selectPolicy([allow, approval], call), approval);
+  assert.equal(selectPolicy([approval, allow, deny], call), deny);
+});
@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateEvidence } from '../src/services/verification.js';
+
+const rule = (rule_type, rule_config, extra = {}) => ({
+  id: extra.id || 1,
+  rule_name: extra.rule_name || `${rule_type} rule`,
+  rule_type,
+  rule_config,
+  priority: extra.priority || 0
+});
+
+test('without rules the evidence stays unverified', () => {
+  assert.deepEqual(evaluateEvidence({ evidence_data: {} }, []), { status: 'unverified', results: [] });
+});
+
+test('unsupported rule types are reported but do not decide the status', () => {
+  const { status, results } = evaluateEvidence({ evidence_data: {} }, [rule('llm_judgement', {})]);
+
+  assert.equal(status, 'unverified');
+  assert.equal(results[0].passed, null);
+  assert.match(results[0].reason, /Unsupported rule type/);
+});
+
+test('tool_requirement needs the tool and rejects forbidden alternatives', () => {
+  const screenshot = rule('tool_requirement', {
+    required_tool: 'puppeteer',
+    forbidden_alternatives: ['curl']
+  });
+
+  assert.equal(evaluateEvidence({ evidence_type: 'puppeteer_screenshot', evidence_data: {} }, [screenshot]).status, 'passed');
+  assert.equal(evaluateEvidence({ evidence_data: { tools_used: ['Puppeteer'] } }, [screenshot]).status, 'passed');
+  assert.equal(evaluateEvidence({ evidence_data: { tool: 'playwright' } }, [screenshot]).status, 'failed');
+
+  const { results } = evaluateEvidence({ evidence_data: { tools_used: ['puppeteer', 'curl'] } }, [screenshot]);
+  assert.equal(results[0].passed, false);
+  assert.match(results[0].reason, /Forbidden alternative used: curl/);
+});
+
+test('tool_requirement without required_tool fails', () => {
+  const { results } = evaluateEvidence({ evidence_data: { tool: 'x' } }, [rule('tool_requirement', {})]);
+
+  assert.equal(results[0].passed, false);
+});
+
+test('evidence_requirement checks presence, path and extension', () => {
+  const screenshot = rule('evidence_requirement', {
+    evidence_type: 'screenshot',
+    must_show_path: true,
+    file_extension: '.PNG'
+  });
+
+  const check = data => evaluateEvidence({ evidence_data: data }, [screenshot]).results[0];
+
+  assert.equal(check({ screenshot: '/tmp/shots/home.png' }).passed, true);
+  assert.equal(check({ screenshot: { path: 'shots\\home.png' } }).passed, true);
+  assert.match(check({}).reason, /Missing required evidence "screenshot"/);
+  assert.match(check({ screenshot: '   ' }).reason, /Missing required evidence/);
+  assert.match(check({ screenshot: 'home.png' }).reason, /must include a file path/);
+  assert.match(check({ screenshot: '/tmp/home.jpg' }).reason, /must be a \.PNG file/);
+});
+
+test('evidence_requirement uses the submission itself when its type matches', () => {
+  const logs = rule('evidence_requirement', { evidence_type: 'console_logs', must_show_json: true });
+
+  assert.equal(evaluateEvidence({ evidence_type: 'console_logs', evidence_data: { level: 'info' } }, [logs]).status, 'passed');
+  assert.equal(evaluateEvidence({ evidence_data: { console_logs: '{"ok":true}' } }, [logs]).status, 'passed');
+  assert.equal(evaluateEvidence({ evidence_data: { console_logs: 'not json' } }, [logs]).status, 'failed');
+});
+
+test('evidence_requirement parses ratings in the configured format', () => {
+  const review = rule('evidence_requirement', { evidence_type: 'review', format: 'X/10', min_rating: 7, max_rating: 10 });
+  const check = value => evaluateEvidence({ evidence_data: { review: value } }, [review]).results[0];
+
+  assert.equal(check('8/10').passed, true);
+  assert.equal(check(' 7.5 / 10 ').passed, true);
+  assert.match(check('6/10').reason, /below minimum 7/);
+  assert.match(check('8 out of 10').reason, /not a rating in format X\/10/);
+  assert.equal(check({ rating: '9/10' }).passed, true);
+});
+
+test('evidence_requirement rejects bare status codes and unlisted commands', () => {
+  const api = rule('evidence_requirement', { evidence_type: 'api_response', not_just_status: true });
+  const tests = rule('evidence_requirement', { evidence_type: 'test_run', acceptable_commands: ['npm test', 'pytest'] });
+
+  assert.equal(evaluateEvidence({ evidence_data: { api_response: '200' } }, [api]).status, 'failed');
+  assert.equal(evaluateEvidence({ evidence_data: { api_response: 200 } }, [api]).status, 'failed');
+  assert.equal(evaluateEvidence({ evidence_data: { api_response: '{"id":1}' } }, [api]).status, 'passed');
+
+  assert.equal(evaluateEvidence({ evidence_data: { test_run: { command: ' pytest -q' } } }, [tests]).status, 'passed');
+  assert.equal(evaluateEvidence({ evidence_data: { test_run: 'echo ok' } }, [tests]).status, 'failed');
+});
+
+test('artifact_requirement counts matching uploads', () => {
+  const screenshots = rule('artifact_requirement', { artifact_type: 'screenshot', mime_types: ['image/png'], min_count: 2 });
+  const png = { artifact_type: 'screenshot', mime_type: 'image/png' };
+
+  assert.equal(evaluateEvidence({ artifacts: [png, png] }, [screenshots]).status, 'passed');
+
+  const { results } = evaluateEvidence({ artifacts: [png, { ...png, mime_type: 'image/jpeg' }] }, [screenshots]);
+  assert.equal(results[0].passed, false);
+  assert.match(results[0].reason, /Requires 2 uploaded screenshot \(image\/png\), found 1/);
+});
+
+test('every evaluated rule must pass', () => {
+  const rules = [
+    rule('tool_requirement', { required_tool: 'jest' }, { id: 1 }),
+    rule('evidence_requirement', { evidence_type: 'coverage' }, { id: 2 })
+  ];
+
+  const { status, results } = evaluateEvidence({ evidence_data: { tool: 'jest' } }, rules);
+
+  assert.equal(status, 'failed');
+  assert.deepEqual(results.map(r => [r.rule_id, r.passed]), [[1, true], [2, false]]);
+});
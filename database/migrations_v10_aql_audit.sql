@@ -0,0 +1,19 @@
+-- V10 Migration: Custom AQL Query Audit
+-- Description: Every custom AQL query run through the API is recorded
+
+CREATE TABLE IF NOT EXISTS aql_query_audit (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  aql TEXT NOT NULL,
+  bind_vars JSONB,
+  write_requested BOOLEAN DEFAULT false,
+  status VARCHAR(20) NOT NULL, -- 'success', 'rejected', 'error'
+  error_message TEXT,
+  row_count INTEGER,
+  truncated BOOLEAN DEFAULT false,
+  duration_ms INTEGER,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_aql_audit_user ON aql_query_audit(user_id);
+CREATE INDEX IF NOT EXISTS idx_aql_audit_created ON aql_query_audit(created_at);
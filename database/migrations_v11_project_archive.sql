@@ -0,0 +1,30 @@
+-- V11 Migration: Project Archiving
+-- Description: Soft-archived projects are hidden and reject new evidence, history is kept
+
+ALTER TABLE projects
+ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP,
+ADD COLUMN IF NOT EXISTS archived_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_projects_active ON projects(team_id) WHERE archived_at IS NULL;
+
+-- Summary view gains the archive marker (new columns must go last)
+CREATE OR REPLACE VIEW project_summary AS
+SELECT
+  p.id,
+  p.name,
+  p.repo_url,
+  p.team_id,
+  t.name as team_name,
+  COUNT(DISTINCT e.id) as evidence_count,
+  COUNT(DISTINCT env.id) as environment_count,
+  COUNT(DISTINCT pkls.id) as knowledge_link_count,
+  MAX(e.created_at) as last_evidence_at,
+  p.created_at,
+  p.updated_at,
+  p.archived_at
+FROM projects p
+LEFT JOIN teams t ON p.team_id = t.id
+LEFT JOIN evidence_repository_v2 e ON p.id = e.project_id
+LEFT JOIN environments env ON p.id = env.project_id
+LEFT JOIN project_knowledge_links pkls ON p.id = pkls.project_id
+GROUP BY p.id, p.name, p.repo_url, p.team_id, t.name, p.created_at, p.updated_at, p.archived_at;
@@ -0,0 +1,34 @@
+-- V12 Migration: User & Team Administration
+-- Description: Deactivatable users and single-use invitation tokens
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN IF NOT EXISTS deactivated_at TIMESTAMP,
+ADD COLUMN IF NOT EXISTS deactivated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT NOW();
+
+CREATE INDEX IF NOT EXISTS idx_users_team ON users(team_id);
+
+CREATE INDEX IF NOT EXISTS idx_teams_organization ON teams(organization);
+
+-- ============================================================
+-- INVITATIONS
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS user_invitations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  email VARCHAR(255) NOT NULL,
+  full_name VARCHAR(255),
+  role VARCHAR(50) NOT NULL DEFAULT 'developer',
+  team_id UUID REFERENCES teams(id) ON DELETE CASCADE,
+  token_hash VARCHAR(64) NOT NULL UNIQUE, -- SHA-256 of the invitation token
+  invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  expires_at TIMESTAMP NOT NULL,
+  accepted_at TIMESTAMP,
+  accepted_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  revoked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_invitations_team ON user_invitations(team_id);
+CREATE INDEX IF NOT EXISTS idx_invitations_email ON user_invitations(LOWER(email));
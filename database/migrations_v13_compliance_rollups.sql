@@ -0,0 +1,47 @@
+-- V13 Migration: Compliance Rollups
+-- Description: Daily rollups of evidence_repository_v2 and hook executions into
+-- compliance_metrics, plus a v2-backed compliance_dashboard view
+
+-- One row per (date, team, project, environment, user, category). Evidence
+-- rows carry task counts; hook execution rows have category NULL and carry
+-- hook counts. project_id/user_id stay VARCHAR from v1 and hold UUID text.
+-- Failed verifications go in failed_tasks and hook blocks in hook_blocks; the
+-- v1 blocked_tasks column is left at 0.
+ALTER TABLE compliance_metrics
+ADD COLUMN IF NOT EXISTS team_id UUID REFERENCES teams(id) ON DELETE CASCADE,
+ADD COLUMN IF NOT EXISTS environment_id UUID REFERENCES environments(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS failed_tasks INTEGER DEFAULT 0,
+ADD COLUMN IF NOT EXISTS unverified_tasks INTEGER DEFAULT 0,
+ADD COLUMN IF NOT EXISTS hook_executions INTEGER DEFAULT 0,
+ADD COLUMN IF NOT EXISTS hook_blocks INTEGER DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_metrics_team_date ON compliance_metrics(team_id, date);
+CREATE INDEX IF NOT EXISTS idx_metrics_environment ON compliance_metrics(environment_id);
+
+-- Days that have been rolled up (drives backfill)
+CREATE TABLE IF NOT EXISTS compliance_rollup_runs (
+  date DATE PRIMARY KEY,
+  row_count INTEGER NOT NULL DEFAULT 0,
+  rolled_up_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Compliance dashboard now reads the v2 evidence repository
+DROP VIEW IF EXISTS compliance_dashboard;
+
+CREATE VIEW compliance_dashboard AS
+SELECT
+  DATE_TRUNC('day', created_at) as date,
+  task_category,
+  COUNT(*) as total_verifications,
+  COUNT(DISTINCT user_id) as unique_users,
+  COUNT(DISTINCT project_id) as unique_projects,
+  COUNT(*) FILTER (WHERE verification_status = 'passed') as passed,
+  COUNT(*) FILTER (WHERE verification_status = 'failed') as blocked,
+  ROUND(
+    100.0 * COUNT(*) FILTER (WHERE verification_status = 'passed') /
+    NULLIF(COUNT(*) FILTER (WHERE verification_status IN ('passed', 'failed')), 0),
+    2
+  ) as pass_rate
+FROM evidence_repository_v2
+GROUP BY DATE_TRUNC('day', created_at), task_category
+ORDER BY date DESC, task_category;
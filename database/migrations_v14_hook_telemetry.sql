@@ -0,0 +1,53 @@
+-- V14 Migration: Hook Execution Telemetry
+-- Description: Team-scoped, de-duplicated hook run reports from clients
+
+-- The v1 columns held free-form strings; keep only values that are UUIDs.
+-- The original strings are copied to legacy_* first so nothing is lost.
+DROP VIEW IF EXISTS hook_effectiveness;
+
+ALTER TABLE hook_execution_log
+ADD COLUMN IF NOT EXISTS legacy_user_id TEXT,
+ADD COLUMN IF NOT EXISTS legacy_project_id TEXT;
+
+UPDATE hook_execution_log
+SET legacy_user_id = COALESCE(legacy_user_id, user_id::text),
+    legacy_project_id = COALESCE(legacy_project_id, project_id::text)
+WHERE (user_id IS NOT NULL AND legacy_user_id IS NULL)
+   OR (project_id IS NOT NULL AND legacy_project_id IS NULL);
+
+ALTER TABLE hook_execution_log
+ALTER COLUMN user_id TYPE UUID
+  USING CASE WHEN user_id ~* '^[0-9a-f]{8}-([0-9a-f]{4}-){3}[0-9a-f]{12}$' THEN user_id::uuid END,
+ALTER COLUMN project_id TYPE UUID
+  USING CASE WHEN project_id ~* '^[0-9a-f]{8}-([0-9a-f]{4}-){3}[0-9a-f]{12}$' THEN project_id::uuid END;
+
+ALTER TABLE hook_execution_log
+ADD COLUMN IF NOT EXISTS execution_id UUID, -- generated by the client, used to drop duplicate uploads
+ADD COLUMN IF NOT EXISTS team_id UUID REFERENCES teams(id) ON DELETE CASCADE,
+ADD COLUMN IF NOT EXISTS hook_id UUID REFERENCES hook_configurations_v2(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS hook_version INTEGER,
+ADD COLUMN IF NOT EXISTS environment_id UUID REFERENCES environments(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS block_reason VARCHAR(50), -- 'mock_detection', 'forbidden_phrase', 'blocked'
+ADD COLUMN IF NOT EXISTS overridden BOOLEAN DEFAULT false, -- user bypassed the block (false positive)
+ADD COLUMN IF NOT EXISTS override_reason TEXT,
+ADD COLUMN IF NOT EXISTS occurred_at TIMESTAMP, -- client clock; created_at is receipt time
+ADD COLUMN IF NOT EXISTS api_key_id UUID REFERENCES api_keys(id) ON DELETE SET NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_hook_log_execution
+  ON hook_execution_log(team_id, execution_id);
+CREATE INDEX IF NOT EXISTS idx_hook_log_team_hook ON hook_execution_log(team_id, hook_name);
+CREATE INDEX IF NOT EXISTS idx_hook_log_hook_id ON hook_execution_log(hook_id);
+CREATE INDEX IF NOT EXISTS idx_hook_log_occurred ON hook_execution_log(occurred_at);
+
+CREATE VIEW hook_effectiveness AS
+SELECT
+  hook_name,
+  execution_result,
+  COUNT(*) as execution_count,
+  AVG(execution_time_ms) as avg_execution_time,
+  COUNT(DISTINCT user_id) as unique_users,
+  team_id
+FROM hook_execution_log
+WHERE COALESCE(occurred_at, created_at) >= NOW() - INTERVAL '30 days'
+GROUP BY team_id, hook_name, execution_result
+ORDER BY execution_count DESC;
@@ -0,0 +1,19 @@
+-- V15 Migration: Live Event Stream
+-- Description: Team-scoped events pushed to dashboards over WebSocket, kept briefly for resume
+
+CREATE TABLE IF NOT EXISTS event_stream (
+  id BIGSERIAL PRIMARY KEY, -- clients resume from the last id they saw
+  team_id UUID NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+  topic VARCHAR(100) NOT NULL, -- e.g. 'evidence.submitted', 'hook.updated'
+  project_id UUID REFERENCES projects(id) ON DELETE SET NULL,
+  environment_id UUID REFERENCES environments(id) ON DELETE SET NULL,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL, -- who caused the event
+  visible_to UUID REFERENCES users(id) ON DELETE CASCADE, -- set for private evidence
+  data JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_stream_team ON event_stream(team_id, id);
+CREATE INDEX IF NOT EXISTS idx_event_stream_created ON event_stream(created_at);
+
+COMMENT ON TABLE event_stream IS 'Recent team events for the live dashboard stream';
@@ -0,0 +1,35 @@
+-- V16 Migration: MCP Server Registry Management
+-- Description: Registry CRUD fields, heartbeat timeouts and status history for uptime
+
+ALTER TABLE mcp_servers_registry
+ADD COLUMN IF NOT EXISTS description TEXT,
+ADD COLUMN IF NOT EXISTS transport VARCHAR(20) DEFAULT 'stdio', -- 'stdio', 'http', 'sse'
+ADD COLUMN IF NOT EXISTS url VARCHAR(500), -- for http/sse transports
+ADD COLUMN IF NOT EXISTS heartbeat_interval_seconds INTEGER DEFAULT 60,
+ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMP,
+ADD COLUMN IF NOT EXISTS last_error TEXT,
+ADD COLUMN IF NOT EXISTS created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP, -- soft delete keeps connection and execution history
+ADD COLUMN IF NOT EXISTS archived_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_mcp_servers_heartbeat
+  ON mcp_servers_registry(last_heartbeat) WHERE archived_at IS NULL;
+
+-- Every status transition; consecutive rows give the time spent in each status
+CREATE TABLE IF NOT EXISTS mcp_server_status_history (
+  id BIGSERIAL PRIMARY KEY,
+  server_id UUID NOT NULL REFERENCES mcp_servers_registry(id) ON DELETE CASCADE,
+  status VARCHAR(50) NOT NULL,
+  previous_status VARCHAR(50),
+  reason VARCHAR(100), -- 'heartbeat', 'reported_error', 'heartbeat_timeout', 'archived', ...
+  details TEXT,
+  changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  changed_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_mcp_status_history_server ON mcp_server_status_history(server_id, changed_at);
+
+ALTER TABLE mcp_connections
+ADD COLUMN IF NOT EXISTS close_reason VARCHAR(100);
+
+COMMENT ON TABLE mcp_server_status_history IS 'MCP server status transitions, used for uptime';
@@ -0,0 +1,10 @@
+-- V17 Migration: MCP Tool Discovery
+-- Description: Cached tools/list results and test invocations from the API
+
+ALTER TABLE mcp_servers_registry
+ADD COLUMN IF NOT EXISTS tools_discovered_at TIMESTAMP,
+ADD COLUMN IF NOT EXISTS server_info JSONB; -- protocol version, serverInfo and capabilities from initialize
+
+-- Where an execution came from: 'client' (reported by an MCP client) or 'test' (test-tool endpoint)
+ALTER TABLE mcp_tool_executions
+ADD COLUMN IF NOT EXISTS source VARCHAR(20) DEFAULT 'client';
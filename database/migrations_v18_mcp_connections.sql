@@ -0,0 +1,23 @@
+-- V18 Migration: MCP Connection Lifecycle
+-- Description: Connections opened and closed by hook clients, with project context and idle tracking
+
+ALTER TABLE mcp_connections
+ADD COLUMN IF NOT EXISTS team_id UUID REFERENCES teams(id) ON DELETE CASCADE,
+ADD COLUMN IF NOT EXISTS project_id UUID REFERENCES projects(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS environment_id UUID REFERENCES environments(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS api_key_id UUID REFERENCES api_keys(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS last_activity_at TIMESTAMP DEFAULT NOW();
+
+-- Older rows belong to their user's team
+UPDATE mcp_connections c
+SET team_id = u.team_id
+FROM users u
+WHERE c.user_id = u.id AND c.team_id IS NULL;
+
+-- connection_id is the client's session id: one open connection per id and team,
+-- so a retried connect returns the existing row
+CREATE UNIQUE INDEX IF NOT EXISTS idx_mcp_connections_open
+  ON mcp_connections(team_id, connection_id) WHERE status = 'connected';
+CREATE INDEX IF NOT EXISTS idx_mcp_connections_team ON mcp_connections(team_id, connected_at);
+CREATE INDEX IF NOT EXISTS idx_mcp_connections_activity
+  ON mcp_connections(last_activity_at) WHERE status = 'connected';
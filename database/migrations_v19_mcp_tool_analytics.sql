@@ -0,0 +1,21 @@
+-- V19 Migration: MCP Tool Usage Analytics
+-- Description: Team, project, environment and connection context on tool executions
+
+-- migrations_v3_projects.sql declared project_id/environment_id with CREATE TABLE
+-- IF NOT EXISTS, which is a no-op where v2 already created the table
+ALTER TABLE mcp_tool_executions
+ADD COLUMN IF NOT EXISTS project_id UUID REFERENCES projects(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS environment_id UUID REFERENCES environments(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS team_id UUID REFERENCES teams(id) ON DELETE CASCADE,
+ADD COLUMN IF NOT EXISTS connection_id UUID REFERENCES mcp_connections(id) ON DELETE SET NULL;
+
+-- Older rows belong to their user's team
+UPDATE mcp_tool_executions e
+SET team_id = u.team_id
+FROM users u
+WHERE e.user_id = u.id AND e.team_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_tool_exec_team_created ON mcp_tool_executions(team_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_tool_exec_server_tool ON mcp_tool_executions(server_id, tool_name);
+CREATE INDEX IF NOT EXISTS idx_tool_exec_project ON mcp_tool_executions(project_id);
+CREATE INDEX IF NOT EXISTS idx_tool_exec_environment ON mcp_tool_executions(environment_id);
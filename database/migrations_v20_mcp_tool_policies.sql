@@ -0,0 +1,34 @@
+-- V20 Migration: MCP Tool Policies
+-- Description: Allow/deny/require-approval rules for MCP tools, and the policy decision on each tool execution
+
+CREATE TABLE IF NOT EXISTS mcp_tool_policies (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  scope VARCHAR(20) NOT NULL DEFAULT 'team' CHECK (scope IN ('global', 'team', 'project')),
+  team_id UUID REFERENCES teams(id) ON DELETE CASCADE, -- owning team (creator's team for global rules)
+  project_id UUID REFERENCES projects(id) ON DELETE CASCADE, -- project-scoped rules only
+  server_pattern VARCHAR(255) NOT NULL DEFAULT '*', -- glob on the server name
+  tool_pattern VARCHAR(255) NOT NULL DEFAULT '*', -- glob on the tool name
+  environment_types TEXT[], -- NULL = any; 'local', 'shared', 'production', 'unknown'
+  decision VARCHAR(20) NOT NULL CHECK (decision IN ('allow', 'deny', 'require_approval')),
+  priority INTEGER NOT NULL DEFAULT 0, -- higher wins within a scope
+  reason TEXT, -- shown to the user when the rule applies
+  enabled BOOLEAN NOT NULL DEFAULT true,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  CHECK ((scope = 'project') = (project_id IS NOT NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_mcp_policies_team ON mcp_tool_policies(team_id) WHERE enabled;
+CREATE INDEX IF NOT EXISTS idx_mcp_policies_project ON mcp_tool_policies(project_id) WHERE enabled;
+
+-- policy_decision: 'allow', 'deny', 'require_approval' (ran without a recorded
+-- approval), 'approved' or 'rejected' (the user's answer to require_approval)
+ALTER TABLE mcp_tool_executions
+ADD COLUMN IF NOT EXISTS policy_id UUID REFERENCES mcp_tool_policies(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS policy_decision VARCHAR(20);
+
+CREATE INDEX IF NOT EXISTS idx_tool_exec_policy_decision
+  ON mcp_tool_executions(team_id, policy_decision, created_at) WHERE policy_decision IS NOT NULL;
+
+COMMENT ON TABLE mcp_tool_policies IS 'MCP tool allow/deny/require-approval rules; the most specific scope wins, but a deny cannot be relaxed by a narrower scope';
@@ -0,0 +1,27 @@
+-- V21 Migration: Secret and PII Redaction
+-- Description: Team redaction rules, and a record of what was redacted from evidence and tool executions
+
+CREATE TABLE IF NOT EXISTS redaction_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  team_id UUID NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  pattern TEXT NOT NULL, -- JavaScript regular expression; a (?<pre>...)/(?<post>...) group is kept
+  flags VARCHAR(10) NOT NULL DEFAULT 'i',
+  placeholder_type VARCHAR(50) NOT NULL DEFAULT 'custom', -- shown as [REDACTED:<type>]
+  enabled BOOLEAN NOT NULL DEFAULT true,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(team_id, name)
+);
+
+-- redactions: count per redaction type, e.g. {"email": 2, "jwt": 1}; NULL when nothing was found
+ALTER TABLE evidence_repository_v2
+ADD COLUMN IF NOT EXISTS redactions JSONB,
+ADD COLUMN IF NOT EXISTS redacted_at TIMESTAMP;
+
+ALTER TABLE mcp_tool_executions
+ADD COLUMN IF NOT EXISTS redactions JSONB,
+ADD COLUMN IF NOT EXISTS redacted_at TIMESTAMP;
+
+COMMENT ON TABLE redaction_rules IS 'Team-specific patterns redacted from evidence and MCP tool executions on write';
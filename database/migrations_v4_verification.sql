@@ -0,0 +1,17 @@
+-- V4 Migration: Server-Side Evidence Verification
+-- Description: Stores the verification engine verdict on each evidence row
+
+-- ============================================================
+-- VERIFICATION VERDICT ON EVIDENCE
+-- ============================================================
+
+ALTER TABLE evidence_repository_v2
+ADD COLUMN IF NOT EXISTS verification_status VARCHAR(20) DEFAULT 'unverified', -- 'passed', 'failed', 'unverified'
+ADD COLUMN IF NOT EXISTS verification_results JSONB DEFAULT '[]',
+ADD COLUMN IF NOT EXISTS verified_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_evidence_verification_status ON evidence_repository_v2(verification_status);
+
+-- ============================================================
+-- MIGRATION COMPLETE
+-- ============================================================
@@ -0,0 +1,33 @@
+-- V5 Migration: Hook Versioning
+-- Description: Edits create new version rows; a hook lineage is (name, team, scope, project)
+
+-- ============================================================
+-- VERSION METADATA
+-- ============================================================
+
+ALTER TABLE hook_configurations_v2
+ADD COLUMN IF NOT EXISTS change_note TEXT,
+ADD COLUMN IF NOT EXISTS rolled_back_from UUID REFERENCES hook_configurations_v2(id) ON DELETE SET NULL;
+
+-- ============================================================
+-- UNIQUE VERSION PER LINEAGE
+-- ============================================================
+
+-- The V2 constraint ignores scope/project, so a project override could not
+-- reuse the name of a team hook
+ALTER TABLE hook_configurations_v2
+DROP CONSTRAINT IF EXISTS hook_configurations_v2_name_team_id_version_key;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_hook_v2_lineage_version ON hook_configurations_v2 (
+  name,
+  team_id,
+  COALESCE(scope, 'team'),
+  COALESCE(project_id, '00000000-0000-0000-0000-000000000000'::uuid),
+  version
+);
+
+CREATE INDEX IF NOT EXISTS idx_hook_v2_name ON hook_configurations_v2(name);
+
+-- ============================================================
+-- MIGRATION COMPLETE
+-- ============================================================
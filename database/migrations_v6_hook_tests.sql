@@ -0,0 +1,40 @@
+-- V6 Migration: Hook Test Runner
+-- Description: Saved test cases per hook lineage and richer test result records
+
+-- ============================================================
+-- SAVED TEST CASES
+-- ============================================================
+
+-- Test cases belong to the hook lineage (name, team, scope, project),
+-- so they survive new versions and can gate publishing one
+CREATE TABLE IF NOT EXISTS hook_test_cases (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  hook_name VARCHAR(255) NOT NULL,
+  team_id UUID REFERENCES teams(id) ON DELETE CASCADE,
+  scope VARCHAR(50) DEFAULT 'team',
+  project_id UUID REFERENCES projects(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  test_input JSONB DEFAULT '{}', -- { stdin, env, args }
+  context JSONB DEFAULT '{}', -- synthetic PROJECT_ID, REPO_BRANCH, COMMIT_SHA, ...
+  expected JSONB DEFAULT '{}', -- { exit_code, stdout_contains, stderr_contains, stdout_not_contains }
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_hook_test_cases_lineage ON hook_test_cases(hook_name, team_id);
+
+-- ============================================================
+-- TEST RESULTS
+-- ============================================================
+
+ALTER TABLE hook_test_results
+ADD COLUMN IF NOT EXISTS test_case_id UUID REFERENCES hook_test_cases(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS script_hash VARCHAR(80),
+ADD COLUMN IF NOT EXISTS expected JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_hook_test_results_hook ON hook_test_results(hook_id);
+
+-- ============================================================
+-- MIGRATION COMPLETE
+-- ============================================================
@@ -0,0 +1,21 @@
+-- V7 Migration: Server-Side Sessions
+-- Description: Access tokens are bound to a user_sessions row that can be revoked;
+-- token_hash holds the SHA-256 of the session's current refresh token
+
+-- ============================================================
+-- SESSION METADATA & REVOCATION
+-- ============================================================
+
+ALTER TABLE user_sessions
+ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP,
+ADD COLUMN IF NOT EXISTS revoked_by UUID REFERENCES users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS user_agent TEXT,
+ADD COLUMN IF NOT EXISTS ip_address VARCHAR(64),
+ADD COLUMN IF NOT EXISTS refreshed_at TIMESTAMP;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sessions_token_unique ON user_sessions(token_hash);
+CREATE INDEX IF NOT EXISTS idx_sessions_active ON user_sessions(user_id) WHERE revoked_at IS NULL;
+
+-- ============================================================
+-- MIGRATION COMPLETE
+-- ============================================================
@@ -0,0 +1,40 @@
+-- V8 Migration: Project-Scoped API Keys
+-- Description: Machine credentials for hook clients and CI runners
+
+-- ============================================================
+-- API KEYS
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name VARCHAR(255) NOT NULL,
+  key_prefix VARCHAR(20) NOT NULL, -- shown in listings to identify a key
+  key_hash VARCHAR(64) NOT NULL UNIQUE, -- SHA-256 of the full key
+  team_id UUID NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+  project_id UUID REFERENCES projects(id) ON DELETE CASCADE,
+  environment_id UUID REFERENCES environments(id) ON DELETE CASCADE,
+  permissions JSONB NOT NULL DEFAULT '[]', -- e.g. ["evidence:write", "hooks:read"]
+  expires_at TIMESTAMP,
+  last_used_at TIMESTAMP,
+  last_used_ip VARCHAR(64),
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  revoked_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_team ON api_keys(team_id);
+CREATE INDEX IF NOT EXISTS idx_api_keys_project ON api_keys(project_id);
+
+-- ============================================================
+-- EVIDENCE SUBMITTER IDENTITY
+-- ============================================================
+
+ALTER TABLE evidence_repository_v2
+ADD COLUMN IF NOT EXISTS api_key_id UUID REFERENCES api_keys(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS submitted_via VARCHAR(20) DEFAULT 'user'; -- 'user', 'api_key'
+
+CREATE INDEX IF NOT EXISTS idx_evidence_api_key ON evidence_repository_v2(api_key_id);
+
+-- ============================================================
+-- MIGRATION COMPLETE
+-- ============================================================
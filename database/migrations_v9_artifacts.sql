@@ -0,0 +1,53 @@
+-- V9 Migration: Evidence Artifacts
+-- Description: Content-addressed (sha256) blobs such as screenshots and logs attached to evidence
+
+-- ============================================================
+-- BLOBS (one row per unique content)
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS artifact_blobs (
+  sha256 VARCHAR(64) PRIMARY KEY,
+  size_bytes BIGINT NOT NULL,
+  mime_type VARCHAR(255) NOT NULL,
+  storage_backend VARCHAR(50) NOT NULL DEFAULT 'local',
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- ============================================================
+-- EVIDENCE <-> BLOB LINKS
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS evidence_artifacts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  evidence_id UUID NOT NULL REFERENCES evidence_repository_v2(id) ON DELETE CASCADE,
+  sha256 VARCHAR(64) NOT NULL REFERENCES artifact_blobs(sha256),
+  artifact_type VARCHAR(50) NOT NULL, -- 'screenshot', 'log', 'report', ...
+  filename VARCHAR(500),
+  mime_type VARCHAR(255) NOT NULL,
+  size_bytes BIGINT NOT NULL,
+  uploaded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  api_key_id UUID REFERENCES api_keys(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(evidence_id, sha256)
+);
+
+CREATE INDEX IF NOT EXISTS idx_evidence_artifacts_evidence ON evidence_artifacts(evidence_id);
+CREATE INDEX IF NOT EXISTS idx_evidence_artifacts_sha ON evidence_artifacts(sha256);
+
+-- ============================================================
+-- RULES: SCREENSHOT ARTIFACT FOR WEB TASKS
+-- ============================================================
+
+INSERT INTO verification_rules (category, rule_name, rule_type, priority, enabled, rule_config)
+SELECT 'web', 'Screenshot Artifact Uploaded', 'artifact_requirement', 85, false, '{
+  "artifact_type": "screenshot",
+  "mime_types": ["image/png"],
+  "min_count": 1
+}'::jsonb
+WHERE NOT EXISTS (
+  SELECT 1 FROM verification_rules WHERE rule_name = 'Screenshot Artifact Uploaded'
+);
+
+-- ============================================================
+-- MIGRATION COMPLETE
+-- ============================================================